@@ -24,8 +24,17 @@ import {Extension, gettext as _} from 'resource:///org/gnome/shell/extensions/ex
 // Import our modular components
 import { RequestQueue } from './lib/RequestQueue.js';
 import { ETagManager } from './lib/ETagManager.js';
+import { StorageProvider } from './lib/StorageProvider.js';
+import { Keyring } from './lib/Keyring.js';
 import { GitHubProvider } from './lib/GitHubProvider.js';
+import { GitLabProvider } from './lib/GitLabProvider.js';
+import { GiteaProvider } from './lib/GiteaProvider.js';
+import { GitCLIProvider } from './lib/GitCLIProvider.js';
 import { NextcloudProvider } from './lib/NextcloudProvider.js';
+import { WebDAVProvider } from './lib/WebDAVProvider.js';
+import { S3Provider } from './lib/S3Provider.js';
+import { LocalFolderProvider } from './lib/LocalFolderProvider.js';
+import { GVfsProvider } from './lib/GVfsProvider.js';
 // GoogleDriveProvider requires GOA typelib — import dynamically so the extension
 // still loads when gir1.2-goa-1.0 / gnome-online-accounts is not installed.
 let GoogleDriveProvider = null;
@@ -36,9 +45,13 @@ try {
 }
 import { FileMonitor } from './lib/FileMonitor.js';
 import { SettingsMonitor } from './lib/SettingsMonitor.js';
+import { SchemaPaths } from './lib/SchemaPaths.js';
 import { WallpaperManager } from './lib/WallpaperManager.js';
 import { SyncManager } from './lib/SyncManager.js';
 import { PanelIndicator } from './lib/PanelIndicator.js';
+import { ConflictDialog } from './lib/ConflictDialog.js';
+import { HistoryStore } from './lib/HistoryStore.js';
+import { SyncPlanDialog } from './lib/SyncPlanDialog.js';
 
 /**
  * Main extension class that orchestrates all components
@@ -66,6 +79,8 @@ export default class ConfigSyncExtension extends Extension {
         this._requestQueue = null;
         this._etagManager = null;
         this._storageProvider = null;
+        this._mirrorProviders = [];
+        this._fallbackProviders = [];
         this._fileMonitor = null;
         this._settingsMonitor = null;
         this._wallpaperManager = null;
@@ -74,21 +89,32 @@ export default class ConfigSyncExtension extends Extension {
         // State management
         this._debounceTimeout = null;
         this._pendingChanges = false;
+        this._monitoringGeneration = 0;
         this._pollingTimeout = null;
         this._isPolling = false;
         this._lastKnownCommit = null;
         this._remoteChangesDetected = false;
+        this._reconcilePending = false;
 
         // Status update timer
         this._statusUpdateTimer = null;
 
         // Settings signal handler IDs for cleanup
         this._settingsSignalIds = [];
+
+        // Resolves once provider secrets are loaded from the keyring
+        this._secretsReady = null;
     }
     
     enable() {
         // Initialize settings
         this._settings = this.getSettings();
+
+        // A reconcile queued before the last disable was dropped with the queue
+        this._reconcilePending = false;
+
+        // Provider credentials need these; syncs wait for them
+        this._secretsReady = this._loadSecrets();
         
         // Initialize core components
         this._initializeComponents();
@@ -96,6 +122,10 @@ export default class ConfigSyncExtension extends Extension {
         // Create and setup panel indicator
         this._indicator = new PanelIndicator();
         this._indicator.setExtension(this);
+        this._indicator.updateMirrorStatus(this._syncManager.getMirrorStatus());
+        this._indicator.updateConflictStatus(this._syncManager.getConflicts().length);
+        this._indicator.updateUndoStatus(this._syncManager.getLatestSnapshot());
+        this._updateProfileMenu();
         Main.panel.addToStatusArea(this.uuid, this._indicator);
         
         // Setup session handlers
@@ -168,6 +198,14 @@ export default class ConfigSyncExtension extends Extension {
         // Management components
         this._wallpaperManager = new WallpaperManager(this._storageProvider);
         this._syncManager = new SyncManager(this._storageProvider, this._wallpaperManager, this._settings);
+        this._syncManager.setFailoverCallback((fallback) => this._onFailoverChanged(fallback));
+        this._syncManager.setConflictCallback((count) => {
+            if (this._indicator) {
+                this._indicator.updateConflictStatus(count);
+            }
+        });
+        this._updateMirrorProviders();
+        this._updateFallbackProviders();
 
         // Set up change callbacks
         this._fileMonitor.setChangeCallback((source) => this._onChangeDetected(source));
@@ -180,22 +218,148 @@ export default class ConfigSyncExtension extends Extension {
      */
     _createStorageProvider() {
         const providerName = this._settings.get_string('storage-provider');
+        const provider = this._createProviderById(providerName);
+        if (provider) {
+            return this._withProfile(provider);
+        }
+
+        if (providerName === 'googledrive') {
+            console.warn('GnomingProfiles: Google Drive selected but GOA is not available, falling back to GitHub');
+            this._settings.set_string('storage-provider', 'github');
+        }
+        return this._withProfile(new GitHubProvider(this._requestQueue, this._etagManager));
+    }
+
+    /**
+     * Point a new provider at the active profile
+     * @param {StorageProvider} provider - Newly created provider
+     * @returns {StorageProvider} The same provider
+     */
+    _withProfile(provider) {
+        provider.profile = this._syncManager ? this._syncManager.profile : this._settings.get_string('profile');
+        return provider;
+    }
 
-        switch (providerName) {
+    /**
+     * Create a storage provider by its settings ID
+     * @param {string} providerId - Provider ID as stored in 'storage-provider'
+     * @returns {StorageProvider|null} Provider, or null if unknown or unavailable
+     */
+    _createProviderById(providerId) {
+        switch (providerId) {
+            case 'github':
+                return new GitHubProvider(this._requestQueue, this._etagManager);
+            case 'gitlab':
+                return new GitLabProvider(this._requestQueue, this._etagManager);
+            case 'gitea':
+                return new GiteaProvider(this._requestQueue, this._etagManager);
+            case 'git':
+                return new GitCLIProvider(this._requestQueue, this._etagManager);
             case 'nextcloud':
                 return new NextcloudProvider(this._requestQueue, this._etagManager);
+            case 'webdav':
+                return new WebDAVProvider(this._requestQueue, this._etagManager);
+            case 's3':
+                return new S3Provider(this._requestQueue, this._etagManager);
+            case 'localfolder':
+                return new LocalFolderProvider(this._requestQueue, this._etagManager);
+            case 'gvfs':
+                return new GVfsProvider(this._requestQueue, this._etagManager);
             case 'googledrive':
-                if (GoogleDriveProvider) {
-                    return new GoogleDriveProvider(this._requestQueue, this._etagManager);
-                }
-                console.warn('GnomingProfiles: Google Drive selected but GOA is not available, falling back to GitHub');
-                this._settings.set_string('storage-provider', 'github');
-                return new GitHubProvider(this._requestQueue, this._etagManager);
-            case 'github':
+                return GoogleDriveProvider
+                    ? new GoogleDriveProvider(this._requestQueue, this._etagManager)
+                    : null;
             default:
-                return new GitHubProvider(this._requestQueue, this._etagManager);
+                return null;
         }
     }
+
+    /**
+     * Create providers listed in a strv setting, in order, skipping the
+     * primary, duplicates and providers that aren't available
+     * @param {string} key - Settings key holding provider IDs
+     * @returns {Array<StorageProvider>} Providers
+     */
+    _createProvidersFromSetting(key) {
+        const primaryId = this._settings.get_string('storage-provider');
+        const ids = [...new Set(this._settings.get_strv(key))].filter(id => id !== primaryId);
+
+        const providers = [];
+        for (const id of ids) {
+            const provider = this._createProviderById(id);
+            if (provider) {
+                providers.push(this._withProfile(provider));
+            } else {
+                console.warn(`GnomingProfiles: Ignoring unavailable provider "${id}" in ${key}`);
+            }
+        }
+        return providers;
+    }
+
+    /**
+     * (Re)create mirror providers from the 'mirror-providers' setting.
+     * The primary provider is never mirrored to itself.
+     */
+    _updateMirrorProviders() {
+        for (const mirror of this._mirrorProviders) {
+            mirror.cleanup();
+        }
+
+        this._mirrorProviders = this._createProvidersFromSetting('mirror-providers');
+
+        if (this._syncManager) {
+            this._syncManager.setMirrorProviders(this._mirrorProviders);
+        }
+        if (this._indicator) {
+            this._indicator.updateMirrorStatus(this._syncManager.getMirrorStatus());
+        }
+    }
+
+    /**
+     * (Re)create fallback providers from the ordered 'fallback-providers' setting
+     */
+    _updateFallbackProviders() {
+        for (const fallback of this._fallbackProviders) {
+            fallback.cleanup();
+        }
+
+        this._fallbackProviders = this._createProvidersFromSetting('fallback-providers');
+
+        if (this._syncManager) {
+            this._syncManager.setFallbackProviders(this._fallbackProviders);
+        }
+    }
+
+    /**
+     * Reflect failover state in the panel
+     * @param {StorageProvider|null} fallback - Fallback in use, or null when back on the primary
+     */
+    _onFailoverChanged(fallback) {
+        if (fallback) {
+            console.warn(`GnomingProfiles: ${this._storageProvider.name} unavailable, using ${fallback.name}`);
+        }
+        if (this._indicator) {
+            this._indicator.updateFailoverStatus(fallback ? fallback.name : null, this._storageProvider.name);
+        }
+    }
+
+    /**
+     * Upload everything to the primary once it is reachable again after a
+     * failover. Polls keep seeing the need until it has run, so only one
+     * is queued or running at a time.
+     */
+    _reconcileWithPrimary() {
+        if (this._reconcilePending) return;
+        this._reconcilePending = true;
+        this._performSyncOperation('reconcile', async () => {
+            try {
+                await this._syncManager.syncToRemote();
+            } finally {
+                this._reconcilePending = false;
+            }
+            return 'Reconciled with primary';
+        }, true);
+    }
     
     /**
      * Clean up all components with proper memory management
@@ -206,6 +370,16 @@ export default class ConfigSyncExtension extends Extension {
             this._storageProvider = null;
         }
 
+        for (const mirror of this._mirrorProviders) {
+            mirror.cleanup();
+        }
+        this._mirrorProviders = [];
+
+        for (const fallback of this._fallbackProviders) {
+            fallback.cleanup();
+        }
+        this._fallbackProviders = [];
+
         if (this._fileMonitor) {
             this._fileMonitor.stopAll();
             this._fileMonitor = null;
@@ -290,22 +464,53 @@ export default class ConfigSyncExtension extends Extension {
     }
     
     /**
-     * Setup change monitoring for files and GSettings
+     * Setup change monitoring for files and GSettings. Rerun after syncs
+     * too, so relocatable schemas pick up dconf paths a restore created.
+     * Callers don't wait for it; a newer call or a stop while dconf is
+     * listing supersedes this one, and errors are logged here.
      */
-    _setupChangeMonitoring() {
-        const changeMonitoringEnabled = this._settings.get_boolean('auto-sync-on-change');
+    async _setupChangeMonitoring() {
+        const generation = ++this._monitoringGeneration;
         
-        // Get configured items
-        const filePaths = this._settings.get_strv('sync-files');
+        // Get configured schemas
         const baseSchemas = this._settings.get_strv('gsettings-schemas');
-        const allSchemas = [...baseSchemas];
+        const entries = [...baseSchemas];
         
         // Add wallpaper schemas if enabled
         const syncWallpapers = this._settings.get_boolean('sync-wallpapers');
         if (syncWallpapers) {
-            allSchemas.push(...this._wallpaperManager.getWallpaperSchemas());
+            entries.push(...this._wallpaperManager.getWallpaperSchemas());
+        }
+        
+        let allSchemas;
+        try {
+            allSchemas = await SchemaPaths.expand(entries);
+        } catch (e) {
+            console.error(`GnomingProfiles: Failed to expand schema entries: ${e.message}`);
+            return;
+        }
+        // Superseded, stopped or disabled while dconf was listing
+        if (generation !== this._monitoringGeneration || !this._settingsMonitor || !this._indicator) {
+            return;
         }
         
+        try {
+            this._applyChangeMonitoring(allSchemas);
+        } catch (e) {
+            console.error(`GnomingProfiles: Failed to set up change monitoring: ${e.message}`);
+        }
+    }
+    
+    /**
+     * Install file and schema monitors from the current settings
+     * @param {string[]} allSchemas - Expanded schema entries
+     */
+    _applyChangeMonitoring(allSchemas) {
+        // Read now rather than before the schema listing, which may have
+        // outlasted a change to them
+        const changeMonitoringEnabled = this._settings.get_boolean('auto-sync-on-change');
+        const filePaths = this._settings.get_strv('sync-files');
+        
         // Check schema availability
         const { available: availableSchemas } = this._settingsMonitor.checkSchemaAvailability(allSchemas);
         
@@ -329,6 +534,9 @@ export default class ConfigSyncExtension extends Extension {
      * Stop change monitoring with proper cleanup
      */
     _stopChangeMonitoring() {
+        // Stale setups still waiting on dconf must not reinstall monitors
+        this._monitoringGeneration++;
+        
         if (this._fileMonitor) {
             this._fileMonitor.stopAll();
         }
@@ -474,6 +682,11 @@ export default class ConfigSyncExtension extends Extension {
 
             const result = await this._storageProvider.pollForChanges(credentials);
 
+            // The primary answered, so uploads made to a fallback can go back to it
+            if (this._syncManager && this._syncManager.primaryNeedsReconcile) {
+                this._reconcileWithPrimary();
+            }
+
             if (result.etag304) {
                 if (this._indicator) {
                     this._indicator.showETagEfficiency();
@@ -497,7 +710,7 @@ export default class ConfigSyncExtension extends Extension {
                 return;
             }
 
-            // Generic change detection (Nextcloud and future providers)
+            // Generic change detection (Nextcloud, Local Folder and future providers)
             this._onRemoteChangesDetected(null);
 
         } catch (error) {
@@ -598,10 +811,63 @@ export default class ConfigSyncExtension extends Extension {
             }),
             this._settings.connect('changed::storage-provider', () => {
                 this._onStorageProviderChanged();
+            }),
+            this._settings.connect('changed::mirror-providers', () => {
+                this._updateMirrorProviders();
+            }),
+            this._settings.connect('changed::fallback-providers', () => {
+                this._updateFallbackProviders();
+            }),
+            this._settings.connect('changed::conflict-resolutions', () => {
+                this._onConflictResolutions();
+            }),
+            this._settings.connect('changed::restore-snapshot', () => {
+                this._onRestoreSnapshot();
+            }),
+            this._settings.connect('changed::history-request', () => {
+                this._onHistoryRequest();
+            }),
+            this._settings.connect('changed::profile', () => {
+                this._onProfileChanged();
+            }),
+            this._settings.connect('changed::profiles', () => {
+                this._updateProfileMenu();
+            }),
+            this._settings.connect('changed::secrets-changed', () => {
+                this._onSecretsChanged();
             })
         );
     }
 
+    /**
+     * Move provider secrets still in GSettings (from older versions, or set
+     * with gsettings) into the keyring, then load them for getCredentials().
+     * Polling is set up again, as it doesn't start without credentials.
+     */
+    async _loadSecrets() {
+        try {
+            await Keyring.migrate(this._settings);
+            await Keyring.load();
+        } catch (e) {
+            console.error(`GnomingProfiles: Failed to load secrets from the keyring: ${e.message}`);
+        }
+        if (this._settings && this._indicator) {
+            this._setupRemotePolling();
+        }
+    }
+
+    /**
+     * Preferences stored a secret in the keyring: load them again
+     */
+    _onSecretsChanged() {
+        if (!this._settings.get_boolean('secrets-changed')) {
+            return;
+        }
+
+        this._settings.set_boolean('secrets-changed', false);
+        this._secretsReady = this._loadSecrets();
+    }
+
     /**
      * Handle storage provider change - reinitialize components
      */
@@ -622,9 +888,11 @@ export default class ConfigSyncExtension extends Extension {
             this._wallpaperManager.storageProvider = this._storageProvider;
         }
         if (this._syncManager) {
+            // The upload manifest is checked against the new remote on the next upload
             this._syncManager.storageProvider = this._storageProvider;
-            this._syncManager.clearCache();
         }
+        this._updateMirrorProviders();
+        this._updateFallbackProviders();
 
         // Restart monitoring and polling
         this._setupChangeMonitoring();
@@ -640,17 +908,15 @@ export default class ConfigSyncExtension extends Extension {
         this._stopStatusUpdateTimer();
         
         this._statusUpdateTimer = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ConfigSyncExtension.STATUS_UPDATE_INTERVAL_MS, () => {
-            if (this._indicator && this._requestQueue && this._etagManager) {
+            if (this._indicator && this._requestQueue && this._etagManager && this._storageProvider) {
                 // Update queue status
                 this._indicator.updateQueueStatus(
                     this._requestQueue.pendingCount,
                     this._requestQueue.activeCount
                 );
 
-                // Update ETag status - check the appropriate key based on provider
-                const providerName = this._settings.get_string('storage-provider');
-                const etagKey = providerName === 'nextcloud' ? 'nextcloud-config' : 'commits';
-                const etagStatus = this._etagManager.getStatus(etagKey);
+                // Update ETag status using the active provider's change-detection key
+                const etagStatus = this._etagManager.getStatus(this._storageProvider.changeCacheKey);
                 this._indicator.updateETagStatus(etagStatus.hasETag, etagStatus.lastResult);
             }
             return GLib.SOURCE_CONTINUE;
@@ -671,6 +937,7 @@ export default class ConfigSyncExtension extends Extension {
      * Perform a sync operation with proper locking and UI feedback
      */
     async _performSyncOperation(operationType, syncFunction, allowQueue = false) {
+        await this._secretsReady;
         if (!this._syncManager || !this._indicator) {
             console.error(`Cannot perform sync operation: components not initialized`);
             return;
@@ -697,6 +964,10 @@ export default class ConfigSyncExtension extends Extension {
         } finally {
             // Always update UI
             this._indicator.updateSyncItemSensitivity(true);
+            this._indicator.updateMirrorStatus(this._syncManager.getMirrorStatus());
+            this._indicator.updateSkippedFiles(this._syncManager.getSkippedFiles());
+            this._indicator.updateSecretFindings(this._syncManager.getSecretFindings());
+            this._indicator.updateUndoStatus(this._syncManager.getLatestSnapshot());
             
             // Update monitoring status after sync completes
             this._setupChangeMonitoring();
@@ -757,6 +1028,206 @@ export default class ConfigSyncExtension extends Extension {
         });
     }
     
+    /**
+     * Apply conflict resolutions chosen in preferences
+     */
+    _onConflictResolutions() {
+        const queued = this._settings.get_strv('conflict-resolutions');
+        if (queued.length === 0) {
+            return;
+        }
+
+        this._settings.set_strv('conflict-resolutions', []);
+
+        let resolved = 0;
+        for (const entry of queued) {
+            try {
+                const { id, choice, value } = JSON.parse(entry);
+                if (this._syncManager.resolveConflict(id, choice, value)) {
+                    resolved++;
+                }
+            } catch (e) {
+                console.error(`GnomingProfiles: Failed to resolve conflict: ${e.message}`);
+            }
+        }
+
+        if (resolved > 0) {
+            this._uploadResolvedConflicts();
+        }
+    }
+
+    /**
+     * Undo the restore of a snapshot chosen in preferences
+     */
+    _onRestoreSnapshot() {
+        const id = this._settings.get_string('restore-snapshot');
+        if (!id) {
+            return;
+        }
+
+        this._settings.set_string('restore-snapshot', '');
+        this._undoRestore(id);
+    }
+
+    /**
+     * Load the version history, or restore from one of its revisions, as
+     * asked in preferences. The outcome goes to the history store, where
+     * preferences picks it up.
+     */
+    _onHistoryRequest() {
+        const json = this._settings.get_string('history-request');
+        if (!json) {
+            return;
+        }
+
+        this._settings.set_string('history-request', '');
+
+        let request;
+        try {
+            request = JSON.parse(json);
+        } catch (e) {
+            console.error(`GnomingProfiles: Invalid history request: ${e.message}`);
+            return;
+        }
+
+        const store = new HistoryStore();
+        store.update({ loading: true, error: null, status: null });
+
+        if (request.action === 'restore') {
+            this._restoreRevision(request.revision, request.target || null, store);
+            return;
+        }
+
+        this._performSyncOperation('history', async () => {
+            try {
+                const history = await this._syncManager.getHistory();
+                store.update({
+                    provider: history.provider,
+                    profile: this._syncManager.profile,
+                    loading: false,
+                    revisions: history.revisions
+                });
+            } catch (error) {
+                store.update({ loading: false, error: error.message });
+                throw error;
+            }
+            return 'History loaded';
+        }, true);
+    }
+
+    /**
+     * Restore the profile, a key or a file from a revision, then upload it
+     * so other machines get it too
+     * @param {{id: string, timestamp: string}} revision - Revision from the history
+     * @param {Object|null} target - {schema, key}, {path}, or null for everything
+     * @param {HistoryStore} store - Where the outcome is reported
+     */
+    _restoreRevision(revision, target, store) {
+        this._performSyncOperation('history restore', async () => {
+            let result;
+            try {
+                // Restored files must not trigger an upload before the restore is done
+                this._fileMonitor.setEnabled(false);
+                this._settingsMonitor.setEnabled(false);
+                try {
+                    result = await this._syncManager.restoreRevision(revision, target, (enabled) => {
+                        this._settingsMonitor.setEnabled(enabled);
+                    });
+                } finally {
+                    this._fileMonitor.setEnabled(true);
+                }
+                await this._syncManager.syncToRemote();
+            } catch (error) {
+                store.update({ loading: false, error: error.message });
+                throw error;
+            }
+
+            const when = new Date(revision.timestamp).toLocaleString();
+            let status = result.settings + result.files === 0
+                ? `Nothing to restore: already as of ${when}`
+                : `Restored ${result.settings} settings and ${result.files} files as of ${when}`;
+            if (result.missing.length > 0) {
+                status += `; not found in history: ${result.missing.join(', ')}`;
+            }
+            store.update({ loading: false, status });
+            return 'Restored from history';
+        }, true);
+    }
+
+    /**
+     * Put back the local state saved before a restore
+     * @param {string|null} id - Snapshot id, or null for the latest
+     */
+    _undoRestore(id) {
+        this._performSyncOperation('undo restore', async () => {
+            if (!this._syncManager.restoreSnapshot(id)) {
+                throw new Error('Snapshot not found');
+            }
+            return 'Restore undone';
+        });
+    }
+
+    /**
+     * Switch to the profile chosen in the panel menu or preferences. The
+     * setting goes back to the active profile if the switch can't save the
+     * current state first.
+     */
+    _onProfileChanged() {
+        const profile = this._settings.get_string('profile');
+        this._updateProfileMenu();
+        if (profile === this._syncManager.profile) {
+            return;
+        }
+
+        if (profile && !StorageProvider.isValidProfileName(profile)) {
+            console.warn(`GnomingProfiles: Ignoring invalid profile name "${profile}"`);
+            this._settings.set_string('profile', this._syncManager.profile);
+            return;
+        }
+
+        this._performSyncOperation('profile switch', async () => {
+            // Restored settings and files must not be uploaded back to the old profile
+            this._fileMonitor.setEnabled(false);
+            this._settingsMonitor.setEnabled(false);
+
+            try {
+                await this._syncManager.switchProfile(profile, (enabled) => {
+                    this._settingsMonitor.setEnabled(enabled);
+                });
+            } catch (error) {
+                if (this._syncManager.profile !== profile) {
+                    this._settings.set_string('profile', this._syncManager.profile);
+                }
+                throw error;
+            } finally {
+                this._fileMonitor.setEnabled(true);
+            }
+
+            // Change detection state belongs to the old profile
+            this._setupRemotePolling();
+            return `Switched to ${profile || 'default'} profile`;
+        }, true);
+    }
+
+    /**
+     * Show the active profile and the configured ones in the panel menu
+     */
+    _updateProfileMenu() {
+        if (this._indicator) {
+            this._indicator.updateProfiles(this._settings.get_string('profile'), this._settings.get_strv('profiles'));
+        }
+    }
+
+    /**
+     * Send resolved values to the remote so other machines pick them up
+     */
+    _uploadResolvedConflicts() {
+        this._performSyncOperation('conflict resolution', async () => {
+            await this._syncManager.syncToRemote();
+            return 'Conflicts resolved';
+        }, true);
+    }
+
     /**
      * Perform initial sync on extension enable
      */
@@ -809,6 +1280,76 @@ export default class ConfigSyncExtension extends Extension {
         });
     }
     
+    /**
+     * Dry-run an upload and a pull, then show what they would change
+     */
+    previewSync() {
+        this._performSyncOperation('preview', async () => {
+            const pushPlan = await this._syncManager.syncToRemote(true);
+            const result = await this._syncManager.syncFromRemote(true);
+            const pullPlan = result ? result.plan : null;
+            if (result && result.requiresRestore) {
+                await this._syncManager.restoreBackup(result.backupData, null, pullPlan);
+            }
+
+            const dialog = new SyncPlanDialog(pushPlan || null, pullPlan, {
+                onSyncNow: () => this.syncNow(),
+                onPull: () => this.syncFromRemote()
+            });
+            dialog.open();
+            return 'Preview ready';
+        });
+    }
+
+    undoLastRestore() {
+        this._undoRestore(null);
+    }
+
+    /**
+     * Upload a file held back for credentials found in it, after the user
+     * chose so from the panel. It goes on the allowlist, so later changes
+     * to it are uploaded without asking again.
+     * @param {string} filePath - sync-files path
+     */
+    allowSecretFile(filePath) {
+        const allowlist = this._settings.get_strv('secret-scan-allowlist');
+        if (!allowlist.includes(filePath)) {
+            this._settings.set_strv('secret-scan-allowlist', [...allowlist, filePath]);
+        }
+        this._performSyncOperation('upload', async () => {
+            await this._syncManager.syncToRemote();
+            return 'Upload complete';
+        }, true);
+    }
+
+    /**
+     * Switch profiles through the setting, so preferences and the panel
+     * menu go the same way
+     * @param {string} profile - Profile name, '' for the default profile
+     */
+    switchProfile(profile) {
+        this._settings.set_string('profile', profile);
+    }
+
+    showConflictDialog() {
+        const conflicts = this._syncManager.getConflicts();
+        if (conflicts.length === 0) {
+            return;
+        }
+
+        let resolved = 0;
+        const dialog = new ConflictDialog(conflicts, (id, choice, value) => {
+            this._syncManager.resolveConflict(id, choice, value);
+            resolved++;
+        });
+        dialog.connect('closed', () => {
+            if (resolved > 0) {
+                this._uploadResolvedConflicts();
+            }
+        });
+        dialog.open();
+    }
+
     openPreferences() {
         try {
             super.openPreferences();
@@ -0,0 +1,137 @@
+/*
+ * ConflictDialog.js - Modal dialog for resolving sync conflicts
+ * Part of Gnoming Profiles extension
+ */
+
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import { ConflictStore } from './ConflictStore.js';
+import { Utils } from './Utils.js';
+
+/**
+ * Walks through conflicts one at a time, showing the local and remote value
+ * and where the remote one came from. Each choice is passed to the resolve
+ * callback; the dialog closes after the last conflict.
+ */
+export const ConflictDialog = GObject.registerClass(
+class ConflictDialog extends ModalDialog.ModalDialog {
+    /**
+     * @param {Array<Object>} conflicts - From SyncManager.getConflicts()
+     * @param {Function} onResolve - (id, choice, editedValue) => void, throws if the choice can't be applied
+     */
+    _init(conflicts, onResolve) {
+        super._init({ styleClass: 'gnoming-profiles-conflict-dialog' });
+
+        this._conflicts = conflicts;
+        this._onResolve = onResolve;
+        this._index = 0;
+
+        this._content = new Dialog.MessageDialogContent();
+        this.contentLayout.add_child(this._content);
+
+        this._localLabel = this._addValueSection(_('This machine'));
+        this._remoteLabel = this._addValueSection(_('Remote'));
+
+        this._entryTitle = new St.Label({
+            text: _('Edited value'),
+            style_class: 'conflict-section-title'
+        });
+        this.contentLayout.add_child(this._entryTitle);
+        this._entry = new St.Entry({ can_focus: true, style_class: 'conflict-edit-entry' });
+        this._entry.clutter_text.set_single_line_mode(false);
+        this._entry.clutter_text.set_activatable(false);
+        this.contentLayout.add_child(this._entry);
+
+        this._errorLabel = new St.Label({ style_class: 'conflict-error', visible: false });
+        this.contentLayout.add_child(this._errorLabel);
+
+        this.addButton({
+            label: _('Close'),
+            action: () => this.close(),
+            key: Clutter.KEY_Escape
+        });
+        this.addButton({
+            label: _('Keep Mine'),
+            action: () => this._resolve(ConflictStore.RESOLVE_LOCAL)
+        });
+        this.addButton({
+            label: _('Take Theirs'),
+            action: () => this._resolve(ConflictStore.RESOLVE_REMOTE)
+        });
+        this._editButton = this.addButton({
+            label: _('Use Edited'),
+            action: () => this._resolve(ConflictStore.RESOLVE_EDIT, this._entry.get_text()),
+            default: true
+        });
+
+        this._showConflict();
+    }
+
+    _addValueSection(title) {
+        this.contentLayout.add_child(new St.Label({ text: title, style_class: 'conflict-section-title' }));
+
+        const label = new St.Label({ style_class: 'conflict-value' });
+        label.clutter_text.line_wrap = true;
+        this.contentLayout.add_child(new St.ScrollView({
+            child: new St.BoxLayout({ vertical: true, children: [label] }),
+            style_class: 'conflict-value-scroll',
+            hscrollbar_policy: St.PolicyType.NEVER
+        }));
+        return label;
+    }
+
+    _showConflict() {
+        const conflict = this._conflicts[this._index];
+        const total = this._conflicts.length;
+
+        this._content.title = total > 1
+            ? _(`Sync conflict ${this._index + 1} of ${total}`)
+            : _('Sync conflict');
+
+        const subject = conflict.type === ConflictStore.TYPE_FILE
+            ? conflict.localPath
+            : `${conflict.schema} ${conflict.key}`;
+        const when = conflict.remoteTimestamp
+            ? new Date(conflict.remoteTimestamp).toLocaleString()
+            : _('an unknown time');
+        this._content.description = _(`${subject}\nRemote value from ${conflict.remoteMachine || _('another machine')}, ${when}`);
+
+        // Binary files can only be kept or replaced, not edited
+        const binary = !!conflict.binary;
+        this._localLabel.text = binary
+            ? _(`Binary file, ${Utils.formatFileSize(conflict.localSize)}`)
+            : conflict.local;
+        this._remoteLabel.text = binary
+            ? _(`Binary file, ${Utils.formatFileSize(conflict.remoteSize)}`)
+            : conflict.remote;
+        this._entry.set_text(binary ? '' : conflict.local);
+        this._entry.visible = !binary;
+        this._entryTitle.visible = !binary;
+        this._editButton.reactive = !binary;
+        this._editButton.can_focus = !binary;
+        this._errorLabel.visible = false;
+    }
+
+    _resolve(choice, editedValue = null) {
+        const conflict = this._conflicts[this._index];
+        try {
+            this._onResolve(conflict.id, choice, editedValue);
+        } catch (e) {
+            this._errorLabel.text = _(`Could not apply: ${e.message}`);
+            this._errorLabel.visible = true;
+            return;
+        }
+
+        this._index++;
+        if (this._index >= this._conflicts.length) {
+            this.close();
+        } else {
+            this._showConflict();
+        }
+    }
+});
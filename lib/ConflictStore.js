@@ -0,0 +1,130 @@
+/*
+ * ConflictStore.js - Persistent list of unresolved sync conflicts
+ * Part of Gnoming Profiles extension
+ *
+ * Shared by the extension, which records conflicts during sync, and the
+ * preferences window, which runs in a separate process and only reads them.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Conflicts are gsettings keys or files changed differently on this machine
+ * and on the remote since the last sync. Each entry carries both values and
+ * where the remote value came from:
+ * { id, type, schema?, key?, base?, path?, localPath?, local, remote, remoteMachine, remoteTimestamp }
+ * Binary file conflicts also set binary, localSize and remoteSize, with
+ * local and remote base64-encoded. Conflicts over a symlink set symlink.
+ */
+export class ConflictStore {
+    static TYPE_GSETTINGS = 'gsettings';
+    static TYPE_FILE = 'file';
+
+    // Resolution choices
+    static RESOLVE_LOCAL = 'local';    // Keep mine
+    static RESOLVE_REMOTE = 'remote';  // Take theirs
+    static RESOLVE_EDIT = 'edit';      // Use an edited value
+
+    constructor() {
+        this._conflicts = new Map();
+        this.load();
+    }
+
+    /**
+     * Location of the conflict list, next to the merge base
+     * @returns {Gio.File}
+     */
+    static getFile() {
+        return Gio.File.new_for_path(GLib.build_filenamev(
+            [GLib.get_user_state_dir(), 'gnoming-profiles', 'conflicts.json']));
+    }
+
+    /**
+     * Build the id of a conflict from its type and schema/key or path
+     * @param {Object} conflict - Conflict without an id
+     * @returns {string}
+     */
+    static idFor(conflict) {
+        return conflict.type === ConflictStore.TYPE_FILE
+            ? `file:${conflict.path}`
+            : `gsettings:${conflict.schema}::${conflict.key}`;
+    }
+
+    /**
+     * (Re)read the conflict list from disk
+     */
+    load() {
+        this._conflicts.clear();
+        try {
+            const [, contents] = ConflictStore.getFile().load_contents(null);
+            const conflicts = JSON.parse(new TextDecoder().decode(contents));
+            for (const conflict of Array.isArray(conflicts) ? conflicts : []) {
+                this._conflicts.set(conflict.id, conflict);
+            }
+        } catch (e) {
+            if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                console.error(`ConflictStore: Failed to read conflicts: ${e.message}`);
+            }
+        }
+    }
+
+    get size() {
+        return this._conflicts.size;
+    }
+
+    /**
+     * @returns {Array<Object>} All unresolved conflicts, gsettings first
+     */
+    getAll() {
+        return [...this._conflicts.values()].sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    get(id) {
+        return this._conflicts.get(id) || null;
+    }
+
+    /**
+     * Replace every conflict of one type with the result of the latest merge
+     * @param {string} type - TYPE_GSETTINGS or TYPE_FILE
+     * @param {Array<Object>} conflicts - Conflicts found, without ids
+     */
+    replaceType(type, conflicts) {
+        for (const [id, conflict] of this._conflicts) {
+            if (conflict.type === type) {
+                this._conflicts.delete(id);
+            }
+        }
+        for (const conflict of conflicts) {
+            const entry = { ...conflict, type };
+            entry.id = ConflictStore.idFor(entry);
+            this._conflicts.set(entry.id, entry);
+        }
+        this._save();
+    }
+
+    remove(id) {
+        if (this._conflicts.delete(id)) {
+            this._save();
+        }
+    }
+
+    _save() {
+        try {
+            const file = ConflictStore.getFile();
+            const parent = file.get_parent();
+            if (!parent.query_exists(null)) {
+                parent.make_directory_with_parents(null);
+            }
+            file.replace_contents(
+                new TextEncoder().encode(JSON.stringify(this.getAll(), null, 2)),
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION | Gio.FileCreateFlags.PRIVATE,
+                null
+            );
+        } catch (e) {
+            console.error(`ConflictStore: Failed to save conflicts: ${e.message}`);
+        }
+    }
+}
@@ -0,0 +1,176 @@
+/*
+ * Encryption.js - Client-side encryption of uploaded content
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import { Keyring } from './Keyring.js';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_async');
+
+/**
+ * Encrypts and decrypts with `gpg --symmetric`: AES-256 with gpg's
+ * integrity check, so tampered or truncated data fails to decrypt instead
+ * of restoring garbage. Output is ASCII-armored, so encrypted content is
+ * text every provider can store. The passphrase comes from the keyring and
+ * is written to gpg's stdin, never its command line.
+ *
+ * A remote is encrypted when it has the key-check file: a known text
+ * encrypted with the passphrase. Decrypting it tells a wrong passphrase
+ * apart before anything is restored or uploaded next to data encrypted
+ * with another one.
+ */
+export class Encryption {
+    // Profile-relative path of the key-check file
+    static CHECK_FILE = 'encryption-check.asc';
+    static CHECK_TEXT = 'gnoming-profiles encryption check v1';
+    static ARMOR_HEADER = '-----BEGIN PGP MESSAGE-----';
+
+    // Key stretching makes each gpg call slow on purpose; this is per call
+    static GPG_TIMEOUT_SECONDS = 60;
+
+    /**
+     * @param {Gio.Settings} settings - Extension settings
+     */
+    constructor(settings) {
+        this._settings = settings;
+    }
+
+    /**
+     * Whether uploads should be encrypted
+     * @returns {boolean}
+     */
+    get enabled() {
+        return this._settings.get_boolean('encryption-enabled');
+    }
+
+    /**
+     * Read the passphrase from the keyring. Looked up for every sync, so a
+     * passphrase changed in preferences applies right away.
+     * @returns {Promise<string>}
+     */
+    async getPassphrase() {
+        const passphrase = await Keyring.lookup(Keyring.ENCRYPTION_PASSPHRASE);
+        if (!passphrase) {
+            throw new Error('No encryption passphrase in the keyring; set one in preferences');
+        }
+        return passphrase;
+    }
+
+    /**
+     * Whether content looks like encrypt() output
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static isEncrypted(bytes) {
+        const header = new TextDecoder().decode(bytes.subarray(0, Encryption.ARMOR_HEADER.length));
+        return header === Encryption.ARMOR_HEADER;
+    }
+
+    /**
+     * Encrypt content
+     * @param {Uint8Array} bytes - Plain content
+     * @param {string} passphrase - From getPassphrase()
+     * @returns {Promise<string>} ASCII-armored message
+     */
+    async encrypt(bytes, passphrase) {
+        const { ok, stdout, stderr } = await this._gpg(
+            ['--symmetric', '--cipher-algo', 'AES256', '--armor'], passphrase, bytes);
+        if (!ok) {
+            throw new Error(`Encryption failed: ${stderr}`);
+        }
+        return new TextDecoder().decode(stdout);
+    }
+
+    /**
+     * Decrypt content encrypted by encrypt(). Anything else fails: plain
+     * content, a wrong passphrase, or a message that was altered.
+     * @param {Uint8Array|string} content - Armored message
+     * @param {string} passphrase - From getPassphrase()
+     * @returns {Promise<Uint8Array>} Plain content
+     */
+    async decrypt(content, passphrase) {
+        const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+        const { ok, stdout, stderr } = await this._gpg(
+            ['--status-fd', '2', '--decrypt'], passphrase, bytes);
+
+        // gpg also accepts signed-only messages and ones encrypted to a key in
+        // the user's keyring; require passphrase encryption whose integrity
+        // check passed
+        const status = stderr.split('\n').filter(line => line.startsWith('[GNUPG:] '))
+            .map(line => line.split(' ')[1]);
+        if (!ok || !status.includes('NEED_PASSPHRASE_SYM') || !status.includes('DECRYPTION_OKAY') ||
+            status.includes('ENC_TO') || status.includes('DECRYPTION_FAILED')) {
+            throw new Error('Decryption failed: wrong passphrase, or the content was not encrypted or was altered');
+        }
+        return stdout;
+    }
+
+    /**
+     * Content of a new key-check file
+     * @param {string} passphrase - From getPassphrase()
+     * @returns {Promise<string>}
+     */
+    createCheck(passphrase) {
+        return this.encrypt(new TextEncoder().encode(Encryption.CHECK_TEXT), passphrase);
+    }
+
+    /**
+     * Whether a key-check file was written with this passphrase
+     * @param {string} content - The downloaded key-check file
+     * @param {string} passphrase - From getPassphrase()
+     * @returns {Promise<boolean>}
+     */
+    async verifyCheck(content, passphrase) {
+        try {
+            return new TextDecoder().decode(await this.decrypt(content, passphrase)) === Encryption.CHECK_TEXT;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Run gpg with the passphrase on the first line of stdin and the data
+     * after it. Uses loopback pinentry and no passphrase caching, so gpg-agent
+     * neither prompts nor remembers the passphrase.
+     * @returns {Promise<{ok: boolean, stdout: Uint8Array, stderr: string}>}
+     */
+    async _gpg(args, passphrase, bytes) {
+        const head = new TextEncoder().encode(`${passphrase}\n`);
+        const input = new Uint8Array(head.length + bytes.length);
+        input.set(head);
+        input.set(bytes, head.length);
+        const launcher = new Gio.SubprocessLauncher({
+            flags: Gio.SubprocessFlags.STDIN_PIPE | Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE
+        });
+        launcher.setenv('LC_ALL', 'C', true);
+
+        let proc;
+        try {
+            proc = launcher.spawnv(['gpg', '--batch', '--quiet', '--no-tty',
+                '--pinentry-mode', 'loopback', '--passphrase-fd', '0', '--no-symkey-cache',
+                '--output', '-', ...args]);
+        } catch (e) {
+            throw new Error(`Can't run gpg, which encryption needs: ${e.message}`);
+        }
+
+        let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, Encryption.GPG_TIMEOUT_SECONDS, () => {
+            console.warn('Encryption: gpg timed out, terminating');
+            proc.force_exit();
+            timeoutId = 0;
+            return GLib.SOURCE_REMOVE;
+        });
+
+        try {
+            const [stdout, stderr] = await proc.communicate_async(new GLib.Bytes(input), null);
+            return {
+                ok: proc.get_successful(),
+                stdout: stdout ? stdout.toArray() : new Uint8Array(),
+                stderr: stderr ? new TextDecoder().decode(stderr.toArray()).trim() : ''
+            };
+        } finally {
+            if (timeoutId) GLib.source_remove(timeoutId);
+        }
+    }
+}
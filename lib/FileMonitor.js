@@ -5,13 +5,24 @@
 
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import { FilePatterns } from './FilePatterns.js';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
 
 /**
- * Monitors configuration files for changes
+ * Monitors configuration files for changes. Directory and glob entries are
+ * watched recursively, following subdirectories as they are created.
  */
 export class FileMonitor {
+    // Gio has no recursive monitor, so every directory costs an inotify watch
+    static MAX_DIRECTORY_MONITORS = 1000;
+
     constructor() {
         this._monitors = new Map();
+        // Directory and glob roots (~ form) → directory path → monitor
+        this._trees = new Map();
+        this._patterns = new FilePatterns([]);
         this._changeCallback = null;
         this._isEnabled = true;
     }
@@ -102,11 +113,183 @@ export class FileMonitor {
         }
     }
     
+    /**
+     * Start watching a directory tree for a directory or glob entry. A root
+     * that doesn't exist yet is picked up when it is created.
+     * @param {string} root - Directory as written in sync-files (~ form)
+     */
+    _addTree(root) {
+        const monitors = new Map();
+        this._trees.set(root, monitors);
+
+        const rootPath = FilePatterns.expandHome(root);
+        if (GLib.file_test(rootPath, GLib.FileTest.IS_DIR)) {
+            this._watchDirectory(root, rootPath, monitors, true);
+            return;
+        }
+
+        let ancestor = Gio.File.new_for_path(rootPath).get_parent();
+        while (ancestor && !ancestor.query_exists(null)) {
+            ancestor = ancestor.get_parent();
+        }
+        if (ancestor) {
+            this._watchDirectory(root, ancestor.get_path(), monitors, false);
+        }
+    }
+
+    _removeTree(root) {
+        const monitors = this._trees.get(root);
+        if (!monitors) return;
+
+        for (const [dirPath, monitor] of monitors) {
+            try {
+                monitor.cancel();
+            } catch (e) {
+                console.error(`File Monitor: Error stopping monitor for ${dirPath}: ${e.message}`);
+            }
+        }
+        this._trees.delete(root);
+    }
+
+    _countDirectoryMonitors() {
+        let count = 0;
+        for (const monitors of this._trees.values()) {
+            count += monitors.size;
+        }
+        return count;
+    }
+
+    /**
+     * Watch a directory and, if recursive, every subdirectory below it.
+     * Subdirectories are listed asynchronously so a large tree doesn't
+     * block the shell; the walk stops if the tree is removed meanwhile.
+     */
+    async _watchDirectory(root, dirPath, monitors, recursive) {
+        const rootPath = FilePatterns.expandHome(root);
+        const pending = [dirPath];
+        while (pending.length > 0) {
+            if (this._trees.get(root) !== monitors) return;
+
+            const path = pending.pop();
+            if (monitors.has(path)) continue;
+
+            if (this._countDirectoryMonitors() >= FileMonitor.MAX_DIRECTORY_MONITORS) {
+                console.error(`File Monitor: Not watching ${path}, limit of ${FileMonitor.MAX_DIRECTORY_MONITORS} directories reached`);
+                return;
+            }
+
+            try {
+                const dir = Gio.File.new_for_path(path);
+                const monitor = dir.monitor_directory(Gio.FileMonitorFlags.NONE, null);
+                monitor.connect('changed', (monitor, file, otherFile, eventType) => {
+                    this._onTreeChanged(root, file, eventType);
+                });
+                monitors.set(path, monitor);
+
+                if (!recursive) continue;
+
+                const enumerator = await dir.enumerate_children_async(
+                    'standard::name,standard::type', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_LOW, null);
+                try {
+                    let infos;
+                    while ((infos = await enumerator.next_files_async(
+                        FilePatterns.ENUMERATE_BATCH, GLib.PRIORITY_LOW, null)).length > 0) {
+                        for (const info of infos) {
+                            const childPath = GLib.build_filenamev([path, info.get_name()]);
+                            if (info.get_file_type() === Gio.FileType.DIRECTORY &&
+                                !this._patterns.isExcluded(`${root}${childPath.slice(rootPath.length)}/`)) {
+                                pending.push(childPath);
+                            }
+                        }
+                    }
+                } finally {
+                    enumerator.close(null);
+                }
+            } catch (e) {
+                console.error(`File Monitor: Failed to watch directory ${path}: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Handle change events inside a watched tree
+     */
+    _onTreeChanged(root, changedFile, eventType) {
+        if (eventType !== Gio.FileMonitorEvent.CHANGED &&
+            eventType !== Gio.FileMonitorEvent.CREATED &&
+            eventType !== Gio.FileMonitorEvent.DELETED) {
+            return;
+        }
+
+        const monitors = this._trees.get(root);
+        if (!monitors) return;
+
+        const rootPath = FilePatterns.expandHome(root);
+        const changedPath = changedFile.get_path();
+        const insideRoot = changedPath === rootPath || changedPath.startsWith(`${rootPath}/`);
+
+        if (eventType === Gio.FileMonitorEvent.CREATED && GLib.file_test(changedPath, GLib.FileTest.IS_DIR)) {
+            if (insideRoot && monitors.has(rootPath)) {
+                // New subdirectory: watch it and anything already moved into it
+                this._watchDirectory(root, changedPath, monitors, true);
+            } else if (insideRoot || rootPath.startsWith(`${changedPath}/`)) {
+                // The root or one of its missing parents appeared
+                this._removeTree(root);
+                this._addTree(root);
+            }
+        } else if (eventType === Gio.FileMonitorEvent.DELETED && monitors.has(changedPath)) {
+            for (const [dirPath, monitor] of monitors) {
+                if (dirPath === changedPath || dirPath.startsWith(`${changedPath}/`)) {
+                    monitor.cancel();
+                    monitors.delete(dirPath);
+                }
+            }
+            // The root went away; wait for it to come back
+            if (monitors.size === 0) {
+                this._removeTree(root);
+                this._addTree(root);
+            }
+        }
+
+        if (!this._isEnabled || !insideRoot) return;
+
+        // Directories can hold matching files, so any directory event counts
+        const path = root + changedPath.slice(rootPath.length);
+        if (this._patterns.matches(path) || GLib.file_test(changedPath, GLib.FileTest.IS_DIR) ||
+            eventType === Gio.FileMonitorEvent.DELETED) {
+            if (this._changeCallback) {
+                this._changeCallback(`File: ${path}`);
+            }
+        }
+    }
+
     /**
      * Update the list of monitored files
-     * @param {string[]} filePaths - Array of file paths to monitor
+     * @param {string[]} filePaths - sync-files entries: files, directories,
+     *   globs and ! excludes
      */
     updateFiles(filePaths) {
+        this._patterns = new FilePatterns(filePaths);
+        const roots = this._patterns.getTreeRoots();
+
+        // Directory and glob entries: recursive tree monitors. Trees already
+        // installed are kept without walking them again.
+        for (const root of Array.from(this._trees.keys())) {
+            if (!roots.includes(root)) {
+                this._removeTree(root);
+            }
+        }
+        for (const root of roots) {
+            if (!this._trees.has(root)) {
+                this._addTree(root);
+            }
+        }
+
+        // Single files
+        filePaths = this._patterns.includes
+            .filter(pattern => pattern.type === FilePatterns.TYPE_FILE)
+            .map(pattern => pattern.entry);
+
         // Remove monitors for files no longer in the list
         const currentPaths = Array.from(this._monitors.keys());
         for (const path of currentPaths) {
@@ -132,11 +315,11 @@ export class FileMonitor {
     }
     
     /**
-     * Get the number of active file monitors
+     * Get the number of monitored entries (files and directory trees)
      * @returns {number} Number of monitors
      */
     getMonitorCount() {
-        return this._monitors.size;
+        return this._monitors.size + this._trees.size;
     }
     
     /**
@@ -151,6 +334,10 @@ export class FileMonitor {
             }
         }
         this._monitors.clear();
+
+        for (const root of Array.from(this._trees.keys())) {
+            this._removeTree(root);
+        }
     }
     
 }
\ No newline at end of file
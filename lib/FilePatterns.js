@@ -0,0 +1,261 @@
+/*
+ * FilePatterns.js - Directory and glob entries in the synced files list
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+/**
+ * Parses sync-files entries and matches paths against them. Entries are:
+ *   ~/.bashrc                       a single file
+ *   ~/.config/nvim/                 a directory, synced recursively
+ *   ~/.local/share/applications/*.desktop
+ *   ~/.config/fish/**               globs: * and ? stay within one path
+ *                                   segment, ** spans any number of them
+ *   !~/.config/nvim/plugin/         exclude (any of the above forms);
+ *   !*.swp                          without a slash it matches file names
+ *
+ * Paths are compared as written, so ~ entries match ~ paths.
+ */
+export class FilePatterns {
+    static TYPE_FILE = 'file';
+    static TYPE_DIR = 'dir';
+    static TYPE_GLOB = 'glob';
+
+    // Upper bound on files collected from directory and glob entries
+    static MAX_FILES = 5000;
+
+    // Upper bound on directory entries each directory or glob entry visits,
+    // matching or not, so a pattern like ~/**/*.conf can't walk the whole
+    // home directory
+    static MAX_ENTRIES = 50000;
+
+    // Directory entries read per call while walking
+    static ENUMERATE_BATCH = 100;
+
+    /**
+     * @param {string[]} entries - sync-files entries
+     */
+    constructor(entries) {
+        this.includes = [];
+        this.excludes = [];
+
+        for (const raw of entries) {
+            const entry = raw.trim();
+            if (!entry) continue;
+            if (entry.startsWith('!')) {
+                this.excludes.push(FilePatterns._parse(entry.slice(1), true));
+            } else {
+                this.includes.push(FilePatterns._parse(entry, false));
+            }
+        }
+    }
+
+    /**
+     * Check if an entry is more than a single file path
+     * @param {string} entry - sync-files entry
+     * @returns {boolean}
+     */
+    static isPattern(entry) {
+        return entry.startsWith('!') || entry.endsWith('/') || /[*?[]/.test(entry);
+    }
+
+    /**
+     * Expand a leading ~ to the home directory
+     * @param {string} path - Path as written in sync-files
+     * @returns {string} Absolute path
+     */
+    static expandHome(path) {
+        return path.startsWith('~') ? GLib.get_home_dir() + path.slice(1) : path;
+    }
+
+    static _parse(entry, exclude) {
+        if (/[*?[]/.test(entry)) {
+            const segments = entry.split('/');
+            const firstWild = segments.findIndex(segment => /[*?[]/.test(segment));
+            return {
+                type: FilePatterns.TYPE_GLOB,
+                entry,
+                root: segments.slice(0, firstWild).join('/'),
+                regex: FilePatterns._globToRegExp(entry),
+                basenameOnly: exclude && !entry.includes('/')
+            };
+        }
+
+        // A path without a trailing slash is still a directory if it is one here
+        let isDir = entry.endsWith('/');
+        const path = isDir ? entry.replace(/\/+$/, '') : entry;
+        if (!isDir) {
+            isDir = GLib.file_test(FilePatterns.expandHome(path), GLib.FileTest.IS_DIR);
+        }
+
+        return isDir
+            ? { type: FilePatterns.TYPE_DIR, entry, root: path }
+            : { type: FilePatterns.TYPE_FILE, entry, root: path, basenameOnly: exclude && !path.includes('/') };
+    }
+
+    static _globToRegExp(glob) {
+        let regex = '';
+        for (let i = 0; i < glob.length; i++) {
+            const c = glob[i];
+            if (c === '*' && glob[i + 1] === '*') {
+                i++;
+                if (glob[i + 1] === '/') {
+                    // "**/" matches zero or more directories
+                    i++;
+                    regex += '(?:.*/)?';
+                } else {
+                    regex += '.*';
+                }
+            } else if (c === '*') {
+                regex += '[^/]*';
+            } else if (c === '?') {
+                regex += '[^/]';
+            } else if (c === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end === -1) {
+                    regex += '\\[';
+                } else {
+                    regex += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                    i = end;
+                }
+            } else {
+                regex += c.replace(/[.+^${}()|\\]/g, '\\$&');
+            }
+        }
+        return new RegExp(`^${regex}$`);
+    }
+
+    static _matchesOne(pattern, path) {
+        const subject = pattern.basenameOnly ? GLib.path_get_basename(path) : path;
+        switch (pattern.type) {
+        case FilePatterns.TYPE_GLOB:
+            return pattern.regex.test(subject);
+        case FilePatterns.TYPE_DIR:
+            return path.startsWith(`${pattern.root}/`);
+        default:
+            return subject === pattern.root;
+        }
+    }
+
+    /**
+     * Check if a path is covered by an include and not excluded
+     * @param {string} path - File path as written in sync-files (~ form)
+     * @returns {boolean}
+     */
+    matches(path) {
+        return this.includes.some(pattern => FilePatterns._matchesOne(pattern, path)) &&
+            !this.isExcluded(path);
+    }
+
+    isExcluded(path) {
+        return this.excludes.some(pattern => FilePatterns._matchesOne(pattern, path));
+    }
+
+    /**
+     * Directories to watch recursively for directory and glob entries
+     * @returns {string[]} Root paths (~ form)
+     */
+    getTreeRoots() {
+        return this.includes
+            .filter(pattern => pattern.type !== FilePatterns.TYPE_FILE && pattern.root)
+            .map(pattern => pattern.root);
+    }
+
+    /**
+     * Expand the entries into file paths: single files as listed (whether or
+     * not they exist) and every matching file under directory and glob
+     * entries. Symlinks are listed as files and synced as links, so
+     * symlinked directories are not followed. Directories are read
+     * asynchronously, so a large walk doesn't block the shell. A walk stops
+     * after MAX_ENTRIES directory entries and its entry is reported; the
+     * entries after it are still walked until MAX_FILES files are collected
+     * in all, and the ones left then are reported without being walked.
+     * @returns {Promise<{files: string[], truncated: string[]}>} Paths, and entries that hit a limit
+     */
+    async expand() {
+        const files = new Set();
+        const truncated = [];
+
+        // Single files first, so they are kept however large the walks get
+        for (const pattern of this.includes) {
+            if (pattern.type === FilePatterns.TYPE_FILE && !this.isExcluded(pattern.root)) {
+                files.add(pattern.root);
+            }
+        }
+
+        for (const pattern of this.includes) {
+            if (pattern.type === FilePatterns.TYPE_FILE || !pattern.root) {
+                continue;
+            }
+            if (files.size >= FilePatterns.MAX_FILES) {
+                truncated.push(pattern.entry);
+                continue;
+            }
+
+            const complete = await this._walk(pattern.root, path => {
+                if (FilePatterns._matchesOne(pattern, path) && !this.isExcluded(path)) {
+                    files.add(path);
+                }
+                return files.size < FilePatterns.MAX_FILES;
+            });
+            if (!complete) {
+                truncated.push(pattern.entry);
+            }
+        }
+
+        return { files: [...files], truncated };
+    }
+
+    /**
+     * Visit regular files and symlinks below a directory, depth first
+     * @returns {Promise<boolean>} false if the visitor stopped the walk or it hit MAX_ENTRIES
+     */
+    async _walk(root, visit) {
+        const pending = [root];
+        let visited = 0;
+        while (pending.length > 0) {
+            const dirPath = pending.pop();
+            let enumerator;
+            try {
+                enumerator = await Gio.File.new_for_path(FilePatterns.expandHome(dirPath)).enumerate_children_async(
+                    'standard::name,standard::type', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_LOW, null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                    console.error(`FilePatterns: Failed to list ${dirPath}: ${e.message}`);
+                }
+                continue;
+            }
+
+            try {
+                let infos;
+                while ((infos = await enumerator.next_files_async(
+                    FilePatterns.ENUMERATE_BATCH, GLib.PRIORITY_LOW, null)).length > 0) {
+                    for (const info of infos) {
+                        if (++visited > FilePatterns.MAX_ENTRIES) {
+                            return false;
+                        }
+                        const path = `${dirPath}/${info.get_name()}`;
+                        const type = info.get_file_type();
+                        if (type === Gio.FileType.DIRECTORY) {
+                            if (!this.isExcluded(`${path}/`)) {
+                                pending.push(path);
+                            }
+                        } else if ((type === Gio.FileType.REGULAR || type === Gio.FileType.SYMBOLIC_LINK) && !visit(path)) {
+                            return false;
+                        }
+                    }
+                }
+            } catch (e) {
+                console.error(`FilePatterns: Failed to list ${dirPath}: ${e.message}`);
+            } finally {
+                enumerator.close(null);
+            }
+        }
+        return true;
+    }
+}
@@ -0,0 +1,146 @@
+/*
+ * GVfsProvider.js - Network location backend for any GVfs URI (sftp://, smb://, dav://)
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import { LocalFolderProvider } from './LocalFolderProvider.js';
+
+Gio._promisify(Gio.File.prototype, 'find_enclosing_mount_async');
+Gio._promisify(Gio.File.prototype, 'mount_enclosing_volume', 'mount_enclosing_volume_finish');
+
+/**
+ * GVfs storage provider.
+ * Gio.File already speaks sftp, smb, dav and friends through GVfs, so all
+ * file operations come from LocalFolderProvider; this class only resolves
+ * the base URI and mounts it on demand. Credentials come from GVfs itself
+ * (SSH agent, GNOME keyring), nothing is stored in GSettings.
+ */
+export class GVfsProvider extends LocalFolderProvider {
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._mountedUri = null;
+    }
+
+    get name() {
+        return 'Network Location';
+    }
+
+    get changeCacheKey() {
+        return 'gvfs-config-mtime';
+    }
+
+    /**
+     * Build credentials from GSettings.
+     */
+    getCredentials(settings) {
+        const baseUri = settings.get_string('gvfs-uri');
+        if (!baseUri) return null;
+        return { baseUri: baseUri.replace(/\/+$/, '') };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.baseUri && GLib.uri_peek_scheme(credentials.baseUri));
+    }
+
+    _getRoot(credentials) {
+        return Gio.File.new_for_uri(credentials.baseUri);
+    }
+
+    /**
+     * Mount the location's enclosing volume if it isn't mounted yet.
+     * Stays quiet when the location is already mounted (e.g. opened in Files).
+     * Nothing here can answer a password, host key or domain prompt, so a
+     * location that asks one fails with a hint to mount it in Files first,
+     * where the password can be remembered for later mounts.
+     */
+    async _ensureMounted(credentials) {
+        if (this._mountedUri === credentials.baseUri) return;
+
+        const root = this._getRoot(credentials);
+        try {
+            await root.find_enclosing_mount_async(GLib.PRIORITY_DEFAULT, null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_MOUNTED)) {
+                throw e;
+            }
+
+            let asked = false;
+            const operation = new Gio.MountOperation();
+            for (const signal of ['ask-password', 'ask-question']) {
+                operation.connect(signal, () => {
+                    asked = true;
+                    operation.reply(Gio.MountOperationResult.ABORTED);
+                });
+            }
+
+            try {
+                await root.mount_enclosing_volume(Gio.MountMountFlags.NONE, operation, null);
+            } catch (mountError) {
+                if (asked) {
+                    throw new Error(`${credentials.baseUri} needs a login to mount; mount it once in Files and let it remember the password`);
+                }
+                if (!mountError.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.ALREADY_MOUNTED)) {
+                    throw mountError;
+                }
+            }
+        }
+
+        this._mountedUri = credentials.baseUri;
+    }
+
+    // ── StorageProvider implementation ────────────────────────────────
+
+    async uploadBatch(changes, credentials) {
+        await this._ensureMounted(credentials);
+        return super.uploadBatch(changes, credentials);
+    }
+
+    async deleteBatch(paths, credentials) {
+        await this._ensureMounted(credentials);
+        return super.deleteBatch(paths, credentials);
+    }
+
+    async downloadFile(path, credentials) {
+        try {
+            await this._ensureMounted(credentials);
+        } catch (e) {
+            console.error(`GVfsProvider: Mount failed: ${e.message}`);
+            return { ok: false, status: GVfsProvider.STATUS_ERROR, content: null };
+        }
+        return super.downloadFile(path, credentials);
+    }
+
+    async downloadBinaryFile(path, credentials) {
+        await this._ensureMounted(credentials);
+        return super.downloadBinaryFile(path, credentials);
+    }
+
+    async listDirectory(path, credentials) {
+        try {
+            await this._ensureMounted(credentials);
+        } catch (e) {
+            console.error(`GVfsProvider: Mount failed: ${e.message}`);
+            return { ok: false, status: GVfsProvider.STATUS_ERROR, files: [] };
+        }
+        return super.listDirectory(path, credentials);
+    }
+
+    async pollForChanges(credentials) {
+        try {
+            await this._ensureMounted(credentials);
+            return await super.pollForChanges(credentials);
+        } catch (error) {
+            // The server may have gone away or the mount been unmounted; try again next time
+            this._mountedUri = null;
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    clearChangeCache() {
+        super.clearChangeCache();
+        this._mountedUri = null;
+    }
+}
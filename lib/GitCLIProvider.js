@@ -0,0 +1,402 @@
+/*
+ * GitCLIProvider.js - Plain git repository backend driven by the git CLI
+ * Part of Gnoming Profiles extension
+ *
+ * Keeps a local clone under ~/.local/share/gnoming-profiles/repo and syncs it
+ * with any remote git understands (ssh://, file://, https). Authentication is
+ * left to git itself, so SSH keys, agents and hardware tokens just work.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import { StorageProvider } from './StorageProvider.js';
+import { LocalFolderProvider } from './LocalFolderProvider.js';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_async');
+Gio._promisify(Gio.File.prototype, 'set_attributes_async', 'set_attributes_finish');
+
+/**
+ * Git CLI storage provider.
+ * File reads, writes and listings operate on the clone's working tree via
+ * LocalFolderProvider; this class adds clone, commit, pull --rebase and push.
+ * Change detection compares `git ls-remote` output with the last seen head.
+ *
+ * Uploads replace files like the other backends do rather than merging
+ * them: each batch is written on top of the remote head, and a rejected
+ * push writes it again on the new head instead of rebasing, since every
+ * machine rewrites config-backup.json and a rebase would conflict.
+ */
+export class GitCLIProvider extends LocalFolderProvider {
+    static GIT_TIMEOUT_SECONDS = 120;
+
+    // Downloads within this window reuse the last pull instead of fetching again
+    static PULL_FRESHNESS_MS = 30 * 1000;
+
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._lastPullTime = 0;
+        this._preparedFor = null;
+    }
+
+    get name() {
+        return 'Git';
+    }
+
+    get changeCacheKey() {
+        return 'gitcli-head';
+    }
+
+    /**
+     * Build credentials from GSettings.
+     */
+    getCredentials(settings) {
+        const remoteUrl = settings.get_string('git-remote-url');
+        const branch = settings.get_string('git-branch');
+        if (!remoteUrl) return null;
+        return {
+            remoteUrl,
+            branch: branch || 'main',
+            folderPath: GLib.build_filenamev([GLib.get_user_data_dir(), 'gnoming-profiles', 'repo'])
+        };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.remoteUrl && credentials.folderPath);
+    }
+
+    // ── git helpers ───────────────────────────────────────────────────
+
+    /**
+     * Run git and collect its output. Never prompts on a terminal and is
+     * force-killed after GIT_TIMEOUT_SECONDS so a stalled remote can't wedge sync.
+     * @param {string[]} args - git arguments
+     * @param {string|null} cwd - Working directory
+     * @param {boolean} binary - Return stdout as untrimmed bytes, for file contents
+     * @returns {Promise<{ok: boolean, stdout: string|Uint8Array, stderr: string}>}
+     */
+    async _run(args, cwd = null, binary = false) {
+        const launcher = new Gio.SubprocessLauncher({
+            flags: Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_PIPE
+        });
+        launcher.setenv('GIT_TERMINAL_PROMPT', '0', true);
+        launcher.setenv('LC_ALL', 'C', true);
+        if (cwd) launcher.set_cwd(cwd);
+
+        const proc = launcher.spawnv(['git', ...args]);
+
+        let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, GitCLIProvider.GIT_TIMEOUT_SECONDS, () => {
+            console.warn(`GitCLIProvider: git ${args[0]} timed out, terminating`);
+            proc.force_exit();
+            timeoutId = 0;
+            return GLib.SOURCE_REMOVE;
+        });
+
+        try {
+            if (binary) {
+                const [stdout, stderr] = await proc.communicate_async(null, null);
+                return {
+                    ok: proc.get_successful(),
+                    stdout: stdout ? stdout.toArray() : new Uint8Array(),
+                    stderr: stderr ? new TextDecoder().decode(stderr.toArray()).trim() : ''
+                };
+            }
+            const [stdout, stderr] = await proc.communicate_utf8_async(null, null);
+            return { ok: proc.get_successful(), stdout: (stdout || '').trim(), stderr: (stderr || '').trim() };
+        } finally {
+            if (timeoutId) GLib.source_remove(timeoutId);
+        }
+    }
+
+    /**
+     * Run git in the clone and throw on failure.
+     */
+    async _git(credentials, ...args) {
+        const result = await this._run(args, credentials.folderPath);
+        if (!result.ok) {
+            throw new Error(`git ${args[0]} failed: ${result.stderr || result.stdout}`);
+        }
+        return result.stdout;
+    }
+
+    /**
+     * Get the remote branch head SHA, or null if the branch doesn't exist yet.
+     */
+    async _remoteHead(credentials) {
+        const result = await this._run(['ls-remote', '--heads', credentials.remoteUrl, credentials.branch]);
+        if (!result.ok) {
+            throw new Error(`git ls-remote failed: ${result.stderr}`);
+        }
+        const line = result.stdout.split('\n').find(l => l.endsWith(`refs/heads/${credentials.branch}`));
+        return line ? line.split(/\s+/)[0] : null;
+    }
+
+    /**
+     * Make sure the clone exists, points at the configured remote and has a
+     * commit identity. Uses init + fetch rather than clone so an empty remote
+     * and a changed remote URL are handled the same way.
+     */
+    async _ensureRepository(credentials) {
+        const target = `${credentials.remoteUrl}#${credentials.branch}`;
+        if (this._preparedFor === target) return;
+
+        const root = this._getRoot(credentials);
+        const isRepo = await this._exists(root.get_child('.git'));
+
+        if (!isRepo) {
+            await this._ensureDirectory(root);
+            await this._git(credentials, 'init', '--quiet');
+            await this._git(credentials, 'remote', 'add', 'origin', credentials.remoteUrl);
+        } else {
+            const currentUrl = await this._run(['remote', 'get-url', 'origin'], credentials.folderPath);
+            if (!currentUrl.ok) {
+                await this._git(credentials, 'remote', 'add', 'origin', credentials.remoteUrl);
+            } else if (currentUrl.stdout !== credentials.remoteUrl) {
+                await this._git(credentials, 'remote', 'set-url', 'origin', credentials.remoteUrl);
+                this._lastPullTime = 0;
+            }
+        }
+
+        // Commits need an identity; fall back to a local one if the user has none configured
+        const email = await this._run(['config', 'user.email'], credentials.folderPath);
+        if (!email.ok) {
+            await this._git(credentials, 'config', 'user.name', 'Gnoming Profiles');
+            await this._git(credentials, 'config', 'user.email', `gnoming-profiles@${GLib.get_host_name()}`);
+        }
+
+        // Check out the configured branch, tracking the remote one if it exists
+        const currentBranch = await this._run(['symbolic-ref', '--short', 'HEAD'], credentials.folderPath);
+        if (!currentBranch.ok || currentBranch.stdout !== credentials.branch) {
+            const remoteHead = await this._remoteHead(credentials);
+            if (remoteHead) {
+                await this._git(credentials, 'fetch', '--quiet', 'origin', credentials.branch);
+                await this._git(credentials, 'checkout', '--quiet', '-B', credentials.branch, 'FETCH_HEAD');
+            } else {
+                await this._git(credentials, 'symbolic-ref', 'HEAD', `refs/heads/${credentials.branch}`);
+            }
+            this._lastPullTime = Date.now();
+        }
+
+        this._preparedFor = target;
+    }
+
+    /**
+     * Rebase local commits onto the remote branch, if it exists. A pull that
+     * fails, e.g. on a conflict, resets the clone to the remote branch before
+     * rethrowing, so it isn't left mid-rebase for every later pull and push.
+     */
+    async _pull(credentials) {
+        const remoteHead = await this._remoteHead(credentials);
+        if (remoteHead) {
+            try {
+                await this._git(credentials, 'pull', '--quiet', '--rebase', '--autostash', 'origin', credentials.branch);
+            } catch (e) {
+                await this._resetToRemote(credentials);
+                throw e;
+            }
+        }
+        this._lastPullTime = Date.now();
+    }
+
+    /**
+     * Drop local commits and changes and check out the remote branch, if it
+     * exists, ending any rebase a failed pull left behind. What was dropped
+     * never reached the remote, so the next sync sends it again.
+     */
+    async _resetToRemote(credentials) {
+        await this._run(['rebase', '--abort'], credentials.folderPath);
+        const remoteHead = await this._remoteHead(credentials);
+        if (remoteHead) {
+            await this._git(credentials, 'fetch', '--quiet', 'origin', credentials.branch);
+            await this._git(credentials, 'reset', '--quiet', '--hard', 'FETCH_HEAD');
+        }
+        await this._git(credentials, 'clean', '--quiet', '-d', '--force');
+        this._lastPullTime = Date.now();
+    }
+
+    /**
+     * Pull unless the clone was refreshed recently, so a restore that reads
+     * dozens of files only fetches once.
+     */
+    async _refresh(credentials) {
+        await this._ensureRepository(credentials);
+        if (Date.now() - this._lastPullTime > GitCLIProvider.PULL_FRESHNESS_MS) {
+            await this._pull(credentials);
+        }
+    }
+
+    /**
+     * Write a batch into the working tree on top of the remote head, commit
+     * it and push. A rejected push (someone else pushed meanwhile) is retried
+     * once, writing the batch again on the new head.
+     * @param {Object} credentials - Provider credentials
+     * @param {string} message - Commit message
+     * @param {Function} apply - Writes the batch into the working tree
+     */
+    async _commitAndPush(credentials, message, apply) {
+        await this._resetToRemote(credentials);
+        for (let attempt = 1; ; attempt++) {
+            await apply();
+            await this._git(credentials, 'add', '--all');
+            const staged = await this._run(['diff', '--cached', '--quiet'], credentials.folderPath);
+            if (staged.ok) {
+                // Nothing differs from what's already committed
+                return;
+            }
+
+            await this._git(credentials, 'commit', '--quiet', '-m', message);
+
+            const push = await this._run(['push', '--quiet', 'origin', `HEAD:refs/heads/${credentials.branch}`],
+                credentials.folderPath);
+            if (push.ok) break;
+            if (attempt > 1) {
+                await this._resetToRemote(credentials);
+                throw new Error(`git push failed: ${push.stderr || push.stdout}`);
+            }
+            console.warn(`GitCLIProvider: Push rejected, writing the batch again on the new head: ${push.stderr}`);
+            await this._resetToRemote(credentials);
+        }
+
+        // Our own push is not a remote change. This also replaces the mtime
+        // LocalFolderProvider.uploadBatch cached under the same key.
+        const head = await this._git(credentials, 'rev-parse', 'HEAD');
+        this.etagManager.setETag(this.changeCacheKey, head);
+    }
+
+    // ── StorageProvider implementation ────────────────────────────────
+
+    /**
+     * Write the batch into the working tree, commit it and push.
+     */
+    async uploadBatch(changes, credentials) {
+        await this._ensureRepository(credentials);
+        await this._commitAndPush(credentials, `Batch sync ${changes.length} files - ${new Date().toISOString()}`,
+            async () => {
+                await super.uploadBatch(changes, credentials);
+                await this._applyModes(changes, credentials);
+            });
+    }
+
+    /**
+     * Set the executable bit on written files from their tree mode, so git
+     * records 100755 for them and 100644 for the rest
+     */
+    async _applyModes(changes, credentials) {
+        for (const change of changes) {
+            if (change.mode !== '100755' && change.mode !== '100644') continue;
+            const info = new Gio.FileInfo();
+            info.set_attribute_uint32('unix::mode', change.mode === '100755' ? 0o755 : 0o644);
+            await this._resolve(credentials, change.path).set_attributes_async(info,
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, GLib.PRIORITY_DEFAULT, null);
+        }
+    }
+
+    /**
+     * Remove the files from the working tree and push the deletion as one commit.
+     */
+    async deleteBatch(paths, credentials) {
+        await this._ensureRepository(credentials);
+        await this._commitAndPush(credentials, `Remove ${paths.length} files - ${new Date().toISOString()}`,
+            () => super.deleteBatch(paths, credentials));
+    }
+
+    async downloadFile(path, credentials) {
+        try {
+            await this._refresh(credentials);
+        } catch (e) {
+            console.error(`GitCLIProvider: Pull failed: ${e.message}`);
+            return { ok: false, status: GitCLIProvider.STATUS_ERROR, content: null };
+        }
+        return super.downloadFile(path, credentials);
+    }
+
+    async downloadBinaryFile(path, credentials) {
+        await this._refresh(credentials);
+        return super.downloadBinaryFile(path, credentials);
+    }
+
+    async listDirectory(path, credentials) {
+        try {
+            await this._refresh(credentials);
+        } catch (e) {
+            console.error(`GitCLIProvider: Pull failed: ${e.message}`);
+            return { ok: false, status: GitCLIProvider.STATUS_ERROR, files: [] };
+        }
+        return super.listDirectory(path, credentials);
+    }
+
+    get historyType() {
+        return StorageProvider.HISTORY_COMMITS;
+    }
+
+    /**
+     * List the commits that changed a file, from the clone's history.
+     */
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        await this._refresh(credentials);
+        const result = await this._run(['log', `-n${limit}`, '--format=%H%x09%cI%x09%an%x09%s', 'HEAD', '--', path],
+            credentials.folderPath);
+        if (!result.ok) {
+            // Nothing pushed to this branch yet
+            if (result.stderr.includes('does not have any commits')) return [];
+            throw new Error(`git log failed: ${result.stderr}`);
+        }
+
+        return result.stdout.split('\n').filter(Boolean).map(line => {
+            const [id, timestamp, author, ...message] = line.split('\t');
+            return { id, timestamp, author, message: message.join('\t') };
+        });
+    }
+
+    /**
+     * Read a file at a commit with `git cat-file`, leaving the working tree alone.
+     */
+    async downloadRevision(path, revision, credentials) {
+        await this._refresh(credentials);
+        const result = await this._run(['cat-file', 'blob', `${revision}:${path}`], credentials.folderPath, true);
+        if (!result.ok) {
+            return { ok: false, status: GitCLIProvider.STATUS_NOT_FOUND, content: null };
+        }
+        return { ok: true, status: GitCLIProvider.STATUS_OK, content: result.stdout };
+    }
+
+    /**
+     * Poll with `git ls-remote`, which only transfers the ref list.
+     */
+    async pollForChanges(credentials) {
+        try {
+            const head = await this._remoteHead(credentials);
+
+            if (!head) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: false };
+            }
+
+            const cachedHead = this.etagManager.getETag(this.changeCacheKey);
+            this.etagManager.setETag(this.changeCacheKey, head);
+
+            if (!cachedHead) {
+                // First poll, just cache the head
+                this.etagManager.setLastPollResult(null);
+                return { hasChanges: false, etag304: false };
+            }
+
+            const hasChanges = cachedHead !== head;
+            if (hasChanges) {
+                // Make the next download fetch the new commits
+                this._lastPullTime = 0;
+            }
+            this.etagManager.setLastPollResult(hasChanges);
+            return { hasChanges, etag304: false };
+        } catch (error) {
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    clearChangeCache() {
+        super.clearChangeCache();
+        this._lastPullTime = 0;
+        this._preparedFor = null;
+    }
+}
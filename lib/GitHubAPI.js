@@ -5,6 +5,7 @@
 
 import GLib from 'gi://GLib';
 import Soup from 'gi://Soup';
+import { StorageError } from './StorageProvider.js';
 
 /**
  * GitHub API client with ETag support and request queuing
@@ -15,6 +16,9 @@ export class GitHubAPI {
         this.etagManager = etagManager;
         this.httpSession = null;
         this._defaultBranch = null;
+        // Overridden by API-compatible forges (see GiteaAPI)
+        this.baseUrl = 'https://api.github.com';
+        this.etagKey = 'commits';
         this._initializeSession();
     }
     
@@ -119,7 +123,7 @@ export class GitHubAPI {
         const response = await this.makeRequest(url, 'GET', token, null, null, true);
         
         if (!response.ok) {
-            throw new Error(`Binary download failed: ${response.status}`);
+            throw new StorageError(`Binary download failed: ${response.status}`, response.status);
         }
         
         if (response.isBinary && response.data instanceof Uint8Array) {
@@ -129,6 +133,41 @@ export class GitHubAPI {
         }
     }
     
+    /**
+     * URL returning only the most recent commit, used for change polling
+     * @param {string} username - GitHub username
+     * @param {string} repo - Repository name
+     * @returns {string} Commits URL
+     */
+    _latestCommitUrl(username, repo) {
+        return `${this.baseUrl}/repos/${username}/${repo}/commits?per_page=1`;
+    }
+
+    /**
+     * URL listing the commits that changed a path, newest first
+     * @param {string} username - GitHub username
+     * @param {string} repo - Repository name
+     * @param {string} path - File path
+     * @param {number} limit - Most commits to return
+     * @returns {string} Commits URL
+     */
+    _pathCommitsUrl(username, repo, path, limit) {
+        return `${this.baseUrl}/repos/${username}/${repo}/commits?path=${encodeURIComponent(path)}&per_page=${limit}`;
+    }
+
+    /**
+     * Get the commits that changed a path on the default branch
+     * @param {string} username - GitHub username
+     * @param {string} repo - Repository name
+     * @param {string} path - File path
+     * @param {string} token - GitHub token
+     * @param {number} limit - Most commits to return
+     * @returns {Promise<Object>} Commits response
+     */
+    async getPathCommits(username, repo, path, token, limit) {
+        return this.makeRequest(this._pathCommitsUrl(username, repo, path, limit), 'GET', token);
+    }
+
     /**
      * Poll for changes using ETag-based conditional requests
      * @param {string} username - GitHub username
@@ -137,8 +176,8 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Poll result
      */
     async pollForChanges(username, repo, token) {
-        const commitsUrl = `https://api.github.com/repos/${username}/${repo}/commits?per_page=1`;
-        const cachedETag = this.etagManager.getETag('commits');
+        const commitsUrl = this._latestCommitUrl(username, repo);
+        const cachedETag = this.etagManager.getETag(this.etagKey);
         
         
         try {
@@ -151,12 +190,12 @@ export class GitHubAPI {
             }
             
             if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status} - ${response.data}`);
+                throw new StorageError(`GitHub API error: ${response.status} - ${response.data}`, response.status);
             }
             
             // Store new ETag
             if (response.etag) {
-                this.etagManager.setETag('commits', response.etag);
+                this.etagManager.setETag(this.etagKey, response.etag);
             }
             
             const commits = JSON.parse(response.data);
@@ -176,10 +215,12 @@ export class GitHubAPI {
      * @param {string} repo - Repository name
      * @param {string} path - File path
      * @param {string} token - GitHub token
+     * @param {string|null} ref - Commit to read at, or null for the default branch
      * @returns {Promise<Object>} File contents
      */
-    async getContents(username, repo, path, token) {
-        const url = `https://api.github.com/repos/${username}/${repo}/contents/${path}`;
+    async getContents(username, repo, path, token, ref = null) {
+        let url = `${this.baseUrl}/repos/${username}/${repo}/contents/${path}`;
+        if (ref) url += `?ref=${encodeURIComponent(ref)}`;
         return this.makeRequest(url, 'GET', token);
     }
     
@@ -192,10 +233,28 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Blob response
      */
     async createBlob(username, repo, token, blobData) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/blobs`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/blobs`;
         return this.makeRequest(url, 'POST', token, blobData);
     }
     
+    /**
+     * Get the full recursive tree of a commit or branch
+     * @param {string} username - GitHub username
+     * @param {string} repo - Repository name
+     * @param {string} token - GitHub token
+     * @param {string} ref - Branch name, commit or tree SHA
+     * @returns {Promise<{ok: boolean, status: number, entries: Array}>}
+     */
+    async getTree(username, repo, token, ref) {
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`;
+        const response = await this.makeRequest(url, 'GET', token);
+        if (!response.ok) {
+            return { ok: false, status: response.status, entries: [] };
+        }
+        const treeData = JSON.parse(response.data);
+        return { ok: true, status: response.status, entries: treeData.tree || [] };
+    }
+
     /**
      * Create a tree
      * @param {string} username - GitHub username
@@ -205,7 +264,7 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Tree response
      */
     async createTree(username, repo, token, treeData) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/trees`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/trees`;
         return this.makeRequest(url, 'POST', token, treeData);
     }
     
@@ -218,7 +277,7 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Commit response
      */
     async createCommit(username, repo, token, commitData) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/commits`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/commits`;
         return this.makeRequest(url, 'POST', token, commitData);
     }
     
@@ -233,14 +292,14 @@ export class GitHubAPI {
         if (this._defaultBranch) {
             return this._defaultBranch;
         }
-        const url = `https://api.github.com/repos/${username}/${repo}`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}`;
         const response = await this.makeRequest(url, 'GET', token);
         if (response.ok) {
             const repoData = JSON.parse(response.data);
             this._defaultBranch = repoData.default_branch;
             return this._defaultBranch;
         }
-        throw new Error(`Failed to get repository info: ${response.status}`);
+        throw new StorageError(`Failed to get repository info: ${response.status}`, response.status);
     }
 
     /**
@@ -253,7 +312,7 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Reference response
      */
     async updateRef(username, repo, token, refData, branch) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/refs/heads/${branch}`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/refs/heads/${branch}`;
         return this.makeRequest(url, 'PATCH', token, refData);
     }
 
@@ -266,7 +325,7 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Branch response
      */
     async getBranch(username, repo, token, branch) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/refs/heads/${branch}`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/refs/heads/${branch}`;
         return this.makeRequest(url, 'GET', token);
     }
     
@@ -279,7 +338,7 @@ export class GitHubAPI {
      * @returns {Promise<Object>} Commit response
      */
     async getCommit(username, repo, sha, token) {
-        const url = `https://api.github.com/repos/${username}/${repo}/git/commits/${sha}`;
+        const url = `${this.baseUrl}/repos/${username}/${repo}/git/commits/${sha}`;
         return this.makeRequest(url, 'GET', token);
     }
     
@@ -287,7 +346,7 @@ export class GitHubAPI {
      * Clear ETag cache (call after making changes to repository)
      */
     clearETagCache() {
-        this.etagManager.clearETag('commits');
+        this.etagManager.clearETag(this.etagKey);
     }
     
     /**
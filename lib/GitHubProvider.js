@@ -4,8 +4,9 @@
  */
 
 import GLib from 'gi://GLib';
-import { StorageProvider } from './StorageProvider.js';
+import { StorageProvider, StorageError } from './StorageProvider.js';
 import { GitHubAPI } from './GitHubAPI.js';
+import { Keyring } from './Keyring.js';
 
 /**
  * GitHub storage provider using the GitHub REST API with Tree API batching.
@@ -13,18 +14,22 @@ import { GitHubAPI } from './GitHubAPI.js';
 export class GitHubProvider extends StorageProvider {
     constructor(requestQueue, etagManager) {
         super(requestQueue, etagManager);
-        this._api = new GitHubAPI(requestQueue, etagManager);
+        this._api = this._createApi(requestQueue, etagManager);
     }
 
     get name() {
         return 'GitHub';
     }
 
+    get changeCacheKey() {
+        return 'commits';
+    }
+
     /**
-     * Build credentials from GSettings.
+     * Build credentials from GSettings, with the token from the keyring cache.
      */
     getCredentials(settings) {
-        const token = settings.get_string('github-token');
+        const token = Keyring.get('github-token', settings);
         const repo = settings.get_string('github-repo');
         const username = settings.get_string('github-username');
         if (!token || !repo || !username) return null;
@@ -36,40 +41,102 @@ export class GitHubProvider extends StorageProvider {
     }
 
     /**
-     * Upload a batch of changes using the GitHub Tree API for atomic commits.
+     * Create the REST API client. Overridden by GitHub-compatible forges.
      */
-    async uploadBatch(changes, credentials) {
+    _createApi(requestQueue, etagManager) {
+        return new GitHubAPI(requestQueue, etagManager);
+    }
+
+    /**
+     * Get the API client for a set of credentials.
+     * Subclasses for GitHub-compatible forges point it at their instance here.
+     */
+    _apiFor(credentials) {
+        return this._api;
+    }
+
+    /**
+     * Resolve the branch head: branch name, commit SHA and tree SHA.
+     * The SHAs are null for an empty repository.
+     */
+    async _getHead(api, credentials) {
         const { token, username, repo } = credentials;
 
         // Detect default branch
-        const branch = await this._api.getDefaultBranch(username, repo, token);
+        const branch = await api.getDefaultBranch(username, repo, token);
 
-        // 1. Get current commit SHA
-        const branchResponse = await this._api.getBranch(username, repo, token, branch);
+        // Current commit SHA
+        const branchResponse = await api.getBranch(username, repo, token, branch);
 
-        let currentCommitSha;
+        let commitSha;
         if (branchResponse.ok) {
             const branchData = JSON.parse(branchResponse.data);
-            currentCommitSha = branchData.object.sha;
+            commitSha = branchData.object.sha;
         } else if (branchResponse.status === 404) {
-            currentCommitSha = null;
+            return { branch, commitSha: null, treeSha: null };
         } else {
-            throw new Error(`Failed to get current commit: ${branchResponse.status}`);
-        }
-
-        // 2. Get current tree SHA
-        let currentTreeSha = null;
-        if (currentCommitSha) {
-            const commitResponse = await this._api.getCommit(username, repo, currentCommitSha, token);
-            if (commitResponse.ok) {
-                const commitData = JSON.parse(commitResponse.data);
-                currentTreeSha = commitData.tree.sha;
-            } else {
-                throw new Error(`Failed to get current tree: ${commitResponse.status}`);
-            }
+            throw new StorageError(`Failed to get current commit: ${branchResponse.status}`, branchResponse.status);
+        }
+
+        // Current tree SHA
+        const commitResponse = await api.getCommit(username, repo, commitSha, token);
+        if (!commitResponse.ok) {
+            throw new StorageError(`Failed to get current tree: ${commitResponse.status}`, commitResponse.status);
+        }
+        const commitData = JSON.parse(commitResponse.data);
+        return { branch, commitSha, treeSha: commitData.tree.sha };
+    }
+
+    /**
+     * Create a tree on top of the head, commit it and move the branch.
+     */
+    async _commitTree(api, credentials, head, treeEntries, message) {
+        const { token, username, repo } = credentials;
+
+        // 1. Create new tree
+        const treeData = {
+            tree: treeEntries,
+            ...(head.treeSha && { base_tree: head.treeSha })
+        };
+        const treeResponse = await api.createTree(username, repo, token, treeData);
+        if (!treeResponse.ok) {
+            throw new StorageError(`Failed to create tree: ${treeResponse.status} - ${treeResponse.data}`, treeResponse.status);
         }
+        const newTree = JSON.parse(treeResponse.data);
 
-        // 3. Create blobs
+        // 2. Create commit
+        const commitData = {
+            message,
+            tree: newTree.sha,
+            ...(head.commitSha && { parents: [head.commitSha] })
+        };
+        const commitResponse = await api.createCommit(username, repo, token, commitData);
+        if (!commitResponse.ok) {
+            throw new StorageError(`Failed to create commit: ${commitResponse.status} - ${commitResponse.data}`, commitResponse.status);
+        }
+        const newCommit = JSON.parse(commitResponse.data);
+
+        // 3. Update branch reference
+        const refData = { sha: newCommit.sha, force: false };
+        const refResponse = await api.updateRef(username, repo, token, refData, head.branch);
+        if (!refResponse.ok) {
+            throw new StorageError(`Failed to update branch: ${refResponse.status} - ${refResponse.data}`, refResponse.status);
+        }
+
+        // Clear ETag cache since we just made changes
+        api.clearETagCache();
+    }
+
+    /**
+     * Upload a batch of changes using the GitHub Tree API for atomic commits.
+     */
+    async uploadBatch(changes, credentials) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+
+        const head = await this._getHead(api, credentials);
+
+        // Create blobs
         const treeEntries = [];
 
         for (const change of changes) {
@@ -79,7 +146,7 @@ export class GitHubProvider extends StorageProvider {
                     encoding: change.encoding || 'utf-8'
                 };
 
-                const blobResponse = await this._api.createBlob(username, repo, token, blobData);
+                const blobResponse = await api.createBlob(username, repo, token, blobData);
 
                 if (blobResponse.ok) {
                     const blob = JSON.parse(blobResponse.data);
@@ -101,40 +168,37 @@ export class GitHubProvider extends StorageProvider {
             throw new Error('No blobs were created successfully');
         }
 
-        // 4. Create new tree
-        const treeData = {
-            tree: treeEntries,
-            ...(currentTreeSha && { base_tree: currentTreeSha })
-        };
-        const treeResponse = await this._api.createTree(username, repo, token, treeData);
-        if (!treeResponse.ok) {
-            throw new Error(`Failed to create tree: ${treeResponse.status} - ${treeResponse.data}`);
-        }
-        const newTree = JSON.parse(treeResponse.data);
-
-        // 5. Create commit
         const commitMessage = `Batch sync ${treeEntries.length} files - ${new Date().toISOString()}`;
-        const commitData = {
-            message: commitMessage,
-            tree: newTree.sha,
-            ...(currentCommitSha && { parents: [currentCommitSha] })
-        };
-        const commitResponse = await this._api.createCommit(username, repo, token, commitData);
-        if (!commitResponse.ok) {
-            throw new Error(`Failed to create commit: ${commitResponse.status} - ${commitResponse.data}`);
-        }
-        const newCommit = JSON.parse(commitResponse.data);
+        await this._commitTree(api, credentials, head, treeEntries, commitMessage);
+    }
 
-        // 6. Update branch reference
-        const refData = { sha: newCommit.sha, force: false };
-        const refResponse = await this._api.updateRef(username, repo, token, refData, branch);
-        if (!refResponse.ok) {
-            throw new Error(`Failed to update branch: ${refResponse.status} - ${refResponse.data}`);
+    /**
+     * Delete files in one commit. A tree entry with a null SHA removes the path;
+     * GitHub rejects entries for paths that don't exist, so those are filtered out.
+     */
+    async deleteBatch(paths, credentials) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+
+        const head = await this._getHead(api, credentials);
+        if (!head.treeSha) return;
+
+        const treeResponse = await api.getTree(username, repo, token, head.treeSha);
+        if (!treeResponse.ok) {
+            throw new StorageError(`Failed to get repository tree: ${treeResponse.status}`, treeResponse.status);
         }
+        const existing = new Map(treeResponse.entries
+            .filter(entry => entry.type === 'blob')
+            .map(entry => [entry.path, entry.mode]));
 
-        // Clear ETag cache since we just made changes
-        this._api.clearETagCache();
+        const treeEntries = paths
+            .filter(path => existing.has(path))
+            .map(path => ({ path, mode: existing.get(path), type: 'blob', sha: null }));
+
+        if (treeEntries.length === 0) return;
 
+        const commitMessage = `Remove ${treeEntries.length} files - ${new Date().toISOString()}`;
+        await this._commitTree(api, credentials, head, treeEntries, commitMessage);
     }
 
     /**
@@ -142,7 +206,8 @@ export class GitHubProvider extends StorageProvider {
      */
     async downloadFile(path, credentials) {
         const { token, username, repo } = credentials;
-        const response = await this._api.getContents(username, repo, path, token);
+        const api = this._apiFor(credentials);
+        const response = await api.getContents(username, repo, path, token);
 
         if (!response.ok) {
             return { ok: false, status: response.status, content: null };
@@ -158,11 +223,12 @@ export class GitHubProvider extends StorageProvider {
      */
     async downloadBinaryFile(path, credentials) {
         const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
 
         // First get file metadata to obtain download_url
-        const response = await this._api.getContents(username, repo, path, token);
+        const response = await api.getContents(username, repo, path, token);
         if (!response.ok) {
-            throw new Error(`Failed to get file info for ${path}: ${response.status}`);
+            throw new StorageError(`Failed to get file info for ${path}: ${response.status}`, response.status);
         }
 
         const fileData = JSON.parse(response.data);
@@ -170,7 +236,7 @@ export class GitHubProvider extends StorageProvider {
         // Try direct binary download first
         if (fileData.download_url) {
             try {
-                return await this._api.downloadBinaryFile(fileData.download_url, token);
+                return await api.downloadBinaryFile(fileData.download_url, token);
             } catch (e) {
             }
         }
@@ -188,7 +254,8 @@ export class GitHubProvider extends StorageProvider {
      */
     async listDirectory(path, credentials) {
         const { token, username, repo } = credentials;
-        const response = await this._api.getContents(username, repo, path, token);
+        const api = this._apiFor(credentials);
+        const response = await api.getContents(username, repo, path, token);
 
         if (!response.ok) {
             return { ok: false, status: response.status, files: [] };
@@ -209,12 +276,62 @@ export class GitHubProvider extends StorageProvider {
         return { ok: true, status: response.status, files };
     }
 
+    /**
+     * Every batch is a commit, so a commit id reads any file as it was then
+     */
+    get historyType() {
+        return StorageProvider.HISTORY_COMMITS;
+    }
+
+    /**
+     * List the commits that changed a file.
+     */
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+        const response = await api.getPathCommits(username, repo, path, token, limit);
+
+        if (!response.ok) {
+            // An empty repository has no commits to list
+            if (response.status === 404 || response.status === 409) return [];
+            throw new StorageError(`Failed to list commits for ${path}: ${response.status}`, response.status);
+        }
+
+        return JSON.parse(response.data).map(commit => ({
+            id: commit.sha,
+            timestamp: (commit.commit.committer || commit.commit.author).date,
+            author: commit.commit.author ? commit.commit.author.name : null,
+            message: commit.commit.message.split('\n')[0]
+        }));
+    }
+
+    /**
+     * Download a file at a commit, through the download URL when the
+     * contents API leaves out the content of a large file.
+     */
+    async downloadRevision(path, revision, credentials) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+        const response = await api.getContents(username, repo, path, token, revision);
+
+        if (!response.ok) {
+            return { ok: false, status: response.status, content: null };
+        }
+
+        const fileData = JSON.parse(response.data);
+        if (!fileData.content && fileData.download_url) {
+            return { ok: true, status: response.status, content: await api.downloadBinaryFile(fileData.download_url, token) };
+        }
+        return { ok: true, status: response.status, content: GLib.base64_decode(fileData.content || '') };
+    }
+
     /**
      * Poll for remote changes using ETag-based conditional requests on the commits endpoint.
      */
     async pollForChanges(credentials) {
         const { token, username, repo } = credentials;
-        const result = await this._api.pollForChanges(username, repo, token);
+        const api = this._apiFor(credentials);
+        const result = await api.pollForChanges(username, repo, token);
         return result;
     }
 
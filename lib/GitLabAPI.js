@@ -0,0 +1,278 @@
+/*
+ * GitLabAPI.js - GitLab REST API (v4) integration with ETag support
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
+import { StorageError } from './StorageProvider.js';
+
+/**
+ * GitLab API client with ETag support and request queuing.
+ * Works against gitlab.com and self-managed instances.
+ */
+export class GitLabAPI {
+    static TREE_PAGE_SIZE = 100;
+
+    constructor(requestQueue, etagManager) {
+        this.requestQueue = requestQueue;
+        this.etagManager = etagManager;
+        this.httpSession = null;
+        this._defaultBranch = null;
+        this._initializeSession();
+    }
+
+    /**
+     * Initialize HTTP session for connection reuse
+     */
+    _initializeSession() {
+        this.httpSession = new Soup.Session();
+        this.httpSession.timeout = 30;
+        this.httpSession.max_conns = 10;
+        this.httpSession.user_agent = 'GNOME-Config-Sync/3.1.0-GitLab';
+    }
+
+    /**
+     * Build the API URL for a project
+     * @param {string} baseUrl - Instance URL (e.g. https://gitlab.com)
+     * @param {string} project - Project path (group/subgroup/project) or numeric ID
+     * @returns {string} Project API URL
+     */
+    projectUrl(baseUrl, project) {
+        return `${baseUrl}/api/v4/projects/${encodeURIComponent(project)}`;
+    }
+
+    /**
+     * Make a GitLab API request with ETag support
+     * @param {string} url - The API URL
+     * @param {string} method - HTTP method
+     * @param {string} token - Personal, project or group access token
+     * @param {Object} data - Request data (for POST/PUT)
+     * @param {string} etag - ETag for conditional requests
+     * @param {boolean} expectBinary - Whether to expect binary content instead of JSON
+     * @returns {Promise<Object>} Response object
+     */
+    async makeRequest(url, method, token, data = null, etag = null, expectBinary = false) {
+        return this.requestQueue.add(() => this._performRequest(url, method, token, data, etag, expectBinary));
+    }
+
+    /**
+     * Perform the actual HTTP request
+     */
+    _performRequest(url, method, token, data = null, etag = null, expectBinary = false) {
+        return new Promise((resolve, reject) => {
+            try {
+                const message = Soup.Message.new(method, url);
+                if (!message) {
+                    throw new Error(`Invalid GitLab URL: ${url}`);
+                }
+
+                message.request_headers.append('PRIVATE-TOKEN', token);
+
+                if (etag && method === 'GET') {
+                    message.request_headers.append('If-None-Match', etag);
+                }
+
+                if (data) {
+                    const json = JSON.stringify(data);
+                    message.set_request_body_from_bytes(
+                        'application/json',
+                        GLib.Bytes.new(new TextEncoder().encode(json))
+                    );
+                }
+
+                this.httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                    try {
+                        const bytes = session.send_and_read_finish(result);
+
+                        let responseETag = null;
+                        let nextPage = null;
+                        if (message.response_headers) {
+                            responseETag = message.response_headers.get_one('ETag');
+                            nextPage = message.response_headers.get_one('X-Next-Page') || null;
+                        }
+
+                        const rawData = bytes ? bytes.get_data() : null;
+                        let responseData;
+                        if (expectBinary) {
+                            responseData = rawData;
+                        } else {
+                            responseData = rawData ? new TextDecoder().decode(rawData) : '';
+                        }
+
+                        resolve({
+                            ok: message.status_code >= 200 && message.status_code < 300,
+                            status: message.status_code,
+                            data: responseData,
+                            etag: responseETag,
+                            nextPage,
+                            isBinary: expectBinary
+                        });
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Poll for changes using ETag-based conditional requests on the commits endpoint
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} token - Access token
+     * @param {string} branch - Branch name
+     * @returns {Promise<Object>} Poll result
+     */
+    async pollForChanges(baseUrl, project, token, branch) {
+        const url = `${this.projectUrl(baseUrl, project)}/repository/commits?ref_name=${encodeURIComponent(branch)}&per_page=1`;
+        const cachedETag = this.etagManager.getETag('gitlab-commits');
+
+        try {
+            const response = await this.makeRequest(url, 'GET', token, null, cachedETag);
+
+            if (response.status === 304) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, commits: [], etag304: true };
+            }
+
+            if (!response.ok) {
+                throw new StorageError(`GitLab API error: ${response.status} - ${response.data}`, response.status);
+            }
+
+            if (response.etag) {
+                this.etagManager.setETag('gitlab-commits', response.etag);
+            }
+
+            // Normalise to the GitHub commit shape the panel indicator understands
+            const commits = JSON.parse(response.data).map(c => ({
+                sha: c.id,
+                commit: { message: c.title || c.message || '' }
+            }));
+            this.etagManager.setLastPollResult(true);
+
+            return { hasChanges: true, commits, etag304: false };
+        } catch (error) {
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the commits on a branch that changed a path, newest first
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} token - Access token
+     * @param {string} branch - Branch name
+     * @param {string} path - File path
+     * @param {number} limit - Most commits to return
+     * @returns {Promise<Object>} Commits response
+     */
+    async getPathCommits(baseUrl, project, token, branch, path, limit) {
+        const url = `${this.projectUrl(baseUrl, project)}/repository/commits?ref_name=${encodeURIComponent(branch)}` +
+                    `&path=${encodeURIComponent(path)}&per_page=${limit}`;
+        return this.makeRequest(url, 'GET', token);
+    }
+
+    /**
+     * Get the default branch name for a project, cached per session
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} token - Access token
+     * @returns {Promise<string>} Default branch name
+     */
+    async getDefaultBranch(baseUrl, project, token) {
+        if (this._defaultBranch) {
+            return this._defaultBranch;
+        }
+        const response = await this.makeRequest(this.projectUrl(baseUrl, project), 'GET', token);
+        if (response.ok) {
+            const projectData = JSON.parse(response.data);
+            // Empty projects have no default branch yet
+            this._defaultBranch = projectData.default_branch || 'main';
+            return this._defaultBranch;
+        }
+        throw new StorageError(`Failed to get project info: ${response.status}`, response.status);
+    }
+
+    /**
+     * List a repository tree, following pagination
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} token - Access token
+     * @param {string} branch - Branch name
+     * @param {string} path - Directory path ('' for root)
+     * @param {boolean} recursive - Whether to list the whole subtree
+     * @returns {Promise<{ok: boolean, status: number, items: Array}>}
+     */
+    async getTree(baseUrl, project, token, branch, path = '', recursive = false) {
+        const items = [];
+        let page = '1';
+
+        while (page) {
+            let url = `${this.projectUrl(baseUrl, project)}/repository/tree?ref=${encodeURIComponent(branch)}` +
+                      `&per_page=${GitLabAPI.TREE_PAGE_SIZE}&page=${page}`;
+            if (path) url += `&path=${encodeURIComponent(path)}`;
+            if (recursive) url += '&recursive=true';
+
+            const response = await this.makeRequest(url, 'GET', token);
+            if (!response.ok) {
+                return { ok: false, status: response.status, items };
+            }
+
+            items.push(...JSON.parse(response.data));
+            page = response.nextPage;
+        }
+
+        return { ok: true, status: 200, items };
+    }
+
+    /**
+     * Get raw file contents
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} path - File path
+     * @param {string} token - Access token
+     * @param {string} branch - Branch name or commit SHA
+     * @param {boolean} expectBinary - Whether to return raw bytes
+     * @returns {Promise<Object>} Response object
+     */
+    async getRawFile(baseUrl, project, path, token, branch, expectBinary = false) {
+        const url = `${this.projectUrl(baseUrl, project)}/repository/files/${encodeURIComponent(path)}/raw` +
+                    `?ref=${encodeURIComponent(branch)}`;
+        return this.makeRequest(url, 'GET', token, null, null, expectBinary);
+    }
+
+    /**
+     * Create a commit with multiple file actions
+     * @param {string} baseUrl - Instance URL
+     * @param {string} project - Project path
+     * @param {string} token - Access token
+     * @param {Object} commitData - { branch, commit_message, actions }
+     * @returns {Promise<Object>} Commit response
+     */
+    async createCommit(baseUrl, project, token, commitData) {
+        const url = `${this.projectUrl(baseUrl, project)}/repository/commits`;
+        return this.makeRequest(url, 'POST', token, commitData);
+    }
+
+    /**
+     * Clear ETag cache (call after making changes to repository)
+     */
+    clearETagCache() {
+        this.etagManager.clearETag('gitlab-commits');
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        if (this.httpSession) {
+            this.httpSession.abort();
+            this.httpSession = null;
+        }
+        this._defaultBranch = null;
+    }
+}
@@ -0,0 +1,270 @@
+/*
+ * GitLabProvider.js - GitLab storage backend implementing StorageProvider
+ * Part of Gnoming Profiles extension
+ */
+
+import { StorageProvider, StorageError } from './StorageProvider.js';
+import { GitLabAPI } from './GitLabAPI.js';
+import { Keyring } from './Keyring.js';
+
+/**
+ * GitLab storage provider using the Commits API, which applies a whole batch
+ * of create/update actions as one atomic commit.
+ */
+export class GitLabProvider extends StorageProvider {
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._api = new GitLabAPI(requestQueue, etagManager);
+        this._lastSeenCommitId = null;
+    }
+
+    get name() {
+        return 'GitLab';
+    }
+
+    get changeCacheKey() {
+        return 'gitlab-commits';
+    }
+
+    /**
+     * Build credentials from GSettings, with the token from the keyring cache.
+     */
+    getCredentials(settings) {
+        const baseUrl = settings.get_string('gitlab-url');
+        const project = settings.get_string('gitlab-project');
+        const branch = settings.get_string('gitlab-branch');
+        const token = Keyring.get('gitlab-token', settings);
+        if (!project || !token) return null;
+        return {
+            baseUrl: (baseUrl || 'https://gitlab.com').replace(/\/+$/, ''),
+            project: project.replace(/^\/+|\/+$/g, ''),
+            branch,
+            token
+        };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.baseUrl && credentials.project && credentials.token);
+    }
+
+    /**
+     * Use the configured branch, or the project's default branch when unset.
+     */
+    async _resolveBranch(credentials) {
+        const { baseUrl, project, token, branch } = credentials;
+        return branch || this._api.getDefaultBranch(baseUrl, project, token);
+    }
+
+    /**
+     * Upload a batch of changes as a single commit via the Commits API.
+     */
+    async uploadBatch(changes, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+
+        // 1. Find which paths already exist, since GitLab needs create vs update per action
+        const treeResponse = await this._api.getTree(baseUrl, project, token, branch, '', true);
+
+        let existingPaths;
+        let startBranch = null;
+        if (treeResponse.ok) {
+            existingPaths = new Set(treeResponse.items.filter(i => i.type === 'blob').map(i => i.path));
+        } else if (treeResponse.status === 404) {
+            // Empty project or a branch that doesn't exist yet
+            existingPaths = new Set();
+            if (credentials.branch) {
+                startBranch = await this._api.getDefaultBranch(baseUrl, project, token);
+            }
+        } else {
+            throw new StorageError(`Failed to list repository tree: ${treeResponse.status}`, treeResponse.status);
+        }
+
+        // 2. Build commit actions; the executable bit is set per action, so a
+        // change of only the mode still updates the file
+        const actions = changes.map(change => ({
+            action: existingPaths.has(change.path) ? 'update' : 'create',
+            file_path: change.path,
+            content: change.content,
+            encoding: change.encoding === 'base64' ? 'base64' : 'text',
+            execute_filemode: change.mode === '100755'
+        }));
+
+        if (actions.length === 0) {
+            throw new Error('No changes to commit');
+        }
+
+        // 3. Create commit
+        const commitData = {
+            branch,
+            commit_message: `Batch sync ${actions.length} files - ${new Date().toISOString()}`,
+            actions,
+            ...(startBranch && startBranch !== branch && { start_branch: startBranch })
+        };
+        const commitResponse = await this._api.createCommit(baseUrl, project, token, commitData);
+        if (!commitResponse.ok) {
+            throw new StorageError(`Failed to create commit: ${commitResponse.status} - ${commitResponse.data}`, commitResponse.status);
+        }
+
+        // Remember our own commit so the next poll doesn't report it as a remote change
+        this._lastSeenCommitId = JSON.parse(commitResponse.data).id;
+        this._api.clearETagCache();
+    }
+
+    /**
+     * Delete files in one commit. GitLab rejects the whole commit if a
+     * delete action names a missing file, so only existing paths are sent.
+     */
+    async deleteBatch(paths, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+
+        const treeResponse = await this._api.getTree(baseUrl, project, token, branch, '', true);
+        if (!treeResponse.ok) {
+            if (treeResponse.status === 404) return;
+            throw new StorageError(`Failed to list repository tree: ${treeResponse.status}`, treeResponse.status);
+        }
+        const existingPaths = new Set(treeResponse.items.filter(i => i.type === 'blob').map(i => i.path));
+
+        const actions = paths
+            .filter(path => existingPaths.has(path))
+            .map(path => ({ action: 'delete', file_path: path }));
+
+        if (actions.length === 0) return;
+
+        const commitData = {
+            branch,
+            commit_message: `Remove ${actions.length} files - ${new Date().toISOString()}`,
+            actions
+        };
+        const commitResponse = await this._api.createCommit(baseUrl, project, token, commitData);
+        if (!commitResponse.ok) {
+            throw new StorageError(`Failed to create commit: ${commitResponse.status} - ${commitResponse.data}`, commitResponse.status);
+        }
+
+        this._lastSeenCommitId = JSON.parse(commitResponse.data).id;
+        this._api.clearETagCache();
+    }
+
+    /**
+     * Download a text file using the raw file endpoint.
+     */
+    async downloadFile(path, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+        const response = await this._api.getRawFile(baseUrl, project, path, token, branch);
+
+        if (!response.ok) {
+            return { ok: false, status: response.status, content: null };
+        }
+
+        return { ok: true, status: response.status, content: response.data };
+    }
+
+    async downloadBinaryFile(path, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+        const response = await this._api.getRawFile(baseUrl, project, path, token, branch, true);
+
+        if (!response.ok) {
+            throw new StorageError(`Failed to download ${path}: ${response.status}`, response.status);
+        }
+
+        return response.data;
+    }
+
+    /**
+     * List files in a directory.
+     */
+    async listDirectory(path, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+        const response = await this._api.getTree(baseUrl, project, token, branch, path);
+
+        if (!response.ok) {
+            return { ok: false, status: response.status, files: [] };
+        }
+
+        const files = response.items.map(item => ({
+            name: item.name,
+            type: item.type === 'tree' ? 'dir' : 'file',
+            download_url: null,
+            url: item.path
+        }));
+
+        return { ok: true, status: response.status, files };
+    }
+
+    get historyType() {
+        return StorageProvider.HISTORY_COMMITS;
+    }
+
+    /**
+     * List the commits on the branch that changed a file.
+     */
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+        const response = await this._api.getPathCommits(baseUrl, project, token, branch, path, limit);
+
+        if (!response.ok) {
+            if (response.status === 404) return [];
+            throw new StorageError(`Failed to list commits for ${path}: ${response.status}`, response.status);
+        }
+
+        return JSON.parse(response.data).map(commit => ({
+            id: commit.id,
+            timestamp: commit.committed_date || commit.created_at,
+            author: commit.author_name || null,
+            message: commit.title || null
+        }));
+    }
+
+    /**
+     * Download a file at a commit using the raw file endpoint.
+     */
+    async downloadRevision(path, revision, credentials) {
+        const { baseUrl, project, token } = credentials;
+        const response = await this._api.getRawFile(baseUrl, project, path, token, revision, true);
+
+        if (!response.ok) {
+            return { ok: false, status: response.status, content: null };
+        }
+
+        return { ok: true, status: response.status, content: response.data };
+    }
+
+    /**
+     * Poll for remote changes using ETag-based conditional requests on the commits endpoint.
+     * The head commit id is compared as well, since not every self-managed
+     * instance answers If-None-Match with 304.
+     */
+    async pollForChanges(credentials) {
+        const { baseUrl, project, token } = credentials;
+        const branch = await this._resolveBranch(credentials);
+        const result = await this._api.pollForChanges(baseUrl, project, token, branch);
+
+        if (result.hasChanges && result.commits.length > 0) {
+            const headId = result.commits[0].sha;
+            if (headId === this._lastSeenCommitId) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, commits: [], etag304: false };
+            }
+            this._lastSeenCommitId = headId;
+        }
+
+        return result;
+    }
+
+    clearChangeCache() {
+        this._api.clearETagCache();
+        this._lastSeenCommitId = null;
+    }
+
+    cleanup() {
+        if (this._api) {
+            this._api.cleanup();
+            this._api = null;
+        }
+        super.cleanup();
+    }
+}
@@ -0,0 +1,88 @@
+/*
+ * GiteaAPI.js - Gitea/Forgejo REST API integration
+ * Part of Gnoming Profiles extension
+ */
+
+import { GitHubAPI } from './GitHubAPI.js';
+
+/**
+ * Gitea/Forgejo API client. The v1 API mirrors GitHub's for repositories,
+ * contents and commits, so only the instance URL, the poll query and the
+ * multi-file endpoints differ from GitHubAPI.
+ */
+export class GiteaAPI extends GitHubAPI {
+    static TREE_PAGE_SIZE = 1000;
+
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this.baseUrl = null;
+        this.etagKey = 'gitea-commits';
+    }
+
+    /**
+     * Point the client at an instance, dropping per-instance caches if it changed
+     * @param {string} instanceUrl - Instance URL (e.g. https://git.example.com)
+     */
+    setInstanceUrl(instanceUrl) {
+        const baseUrl = `${instanceUrl}/api/v1`;
+        if (this.baseUrl !== baseUrl) {
+            this.baseUrl = baseUrl;
+            this._defaultBranch = null;
+        }
+    }
+
+    /**
+     * Gitea paginates with `limit` and computes diff stats unless told not to
+     */
+    _latestCommitUrl(owner, repo) {
+        return `${this.baseUrl}/repos/${owner}/${repo}/commits?limit=1&stat=false&verification=false&files=false`;
+    }
+
+    _pathCommitsUrl(owner, repo, path, limit) {
+        return `${this.baseUrl}/repos/${owner}/${repo}/commits?path=${encodeURIComponent(path)}&limit=${limit}` +
+               '&stat=false&verification=false&files=false';
+    }
+
+    /**
+     * Get the full recursive tree of a branch, following pagination
+     * @param {string} owner - Repository owner (user or organisation)
+     * @param {string} repo - Repository name
+     * @param {string} token - Access token
+     * @param {string} ref - Branch name or commit SHA
+     * @returns {Promise<{ok: boolean, status: number, entries: Array}>}
+     */
+    async getTree(owner, repo, token, ref) {
+        const entries = [];
+        let page = 1;
+        let truncated = true;
+
+        while (truncated) {
+            const url = `${this.baseUrl}/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}` +
+                        `?recursive=true&per_page=${GiteaAPI.TREE_PAGE_SIZE}&page=${page}`;
+            const response = await this.makeRequest(url, 'GET', token);
+            if (!response.ok) {
+                return { ok: false, status: response.status, entries };
+            }
+
+            const treeData = JSON.parse(response.data);
+            entries.push(...(treeData.tree || []));
+            truncated = !!treeData.truncated;
+            page++;
+        }
+
+        return { ok: true, status: 200, entries };
+    }
+
+    /**
+     * Create, update or delete multiple files in a single commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} token - Access token
+     * @param {Object} filesData - { branch, message, files: [{ operation, path, content, sha }] }
+     * @returns {Promise<Object>} Response with the created commit
+     */
+    async changeFiles(owner, repo, token, filesData) {
+        const url = `${this.baseUrl}/repos/${owner}/${repo}/contents`;
+        return this.makeRequest(url, 'POST', token, filesData);
+    }
+}
@@ -0,0 +1,200 @@
+/*
+ * GiteaProvider.js - Gitea/Forgejo storage backend implementing StorageProvider
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import { StorageError } from './StorageProvider.js';
+import { GitHubProvider } from './GitHubProvider.js';
+import { GiteaAPI } from './GiteaAPI.js';
+import { Keyring } from './Keyring.js';
+
+/**
+ * Gitea/Forgejo storage provider.
+ * Reads and listings come from GitHubProvider; uploads use the multi-file
+ * contents endpoint, which commits the whole batch at once.
+ */
+export class GiteaProvider extends GitHubProvider {
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._lastSeenCommitId = null;
+    }
+
+    get name() {
+        return 'Gitea/Forgejo';
+    }
+
+    get changeCacheKey() {
+        return 'gitea-commits';
+    }
+
+    _createApi(requestQueue, etagManager) {
+        return new GiteaAPI(requestQueue, etagManager);
+    }
+
+    _apiFor(credentials) {
+        this._api.setInstanceUrl(credentials.instanceUrl);
+        return this._api;
+    }
+
+    /**
+     * Build credentials from GSettings, with the token from the keyring cache.
+     * The owner is exposed as `username` so the inherited GitHub methods work unchanged.
+     */
+    getCredentials(settings) {
+        const instanceUrl = settings.get_string('gitea-url');
+        const owner = settings.get_string('gitea-owner');
+        const repo = settings.get_string('gitea-repo');
+        const token = Keyring.get('gitea-token', settings);
+        if (!instanceUrl || !owner || !repo || !token) return null;
+        return { instanceUrl: instanceUrl.replace(/\/+$/, ''), username: owner, repo, token };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.instanceUrl && super.hasValidCredentials(credentials));
+    }
+
+    /**
+     * Upload a batch of changes as one commit via POST /repos/{owner}/{repo}/contents.
+     */
+    async uploadBatch(changes, credentials) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+
+        const branch = await api.getDefaultBranch(username, repo, token);
+
+        // 1. Existing blob SHAs, required by Gitea for update operations
+        const treeResponse = await api.getTree(username, repo, token, branch);
+        const existingShas = new Map();
+        if (treeResponse.ok) {
+            for (const entry of treeResponse.entries) {
+                if (entry.type === 'blob') existingShas.set(entry.path, entry.sha);
+            }
+        } else if (treeResponse.status !== 404 && treeResponse.status !== 409) {
+            // 404/409 mean the branch or repository is still empty
+            throw new StorageError(`Failed to get repository tree: ${treeResponse.status}`, treeResponse.status);
+        }
+
+        if (changes.length === 0) {
+            throw new Error('No changes to commit');
+        }
+
+        // 2. Build file operations; the endpoint only accepts base64 content.
+        // It ignores file modes, so a change of only the mode, with the blob
+        // already there, is skipped.
+        const files = [];
+        for (const change of changes) {
+            const bytes = change.encoding === 'base64'
+                ? GLib.base64_decode(change.content)
+                : new TextEncoder().encode(change.content);
+            const sha = existingShas.get(change.path);
+            if (sha && sha === GiteaProvider._blobSha(bytes)) continue;
+            files.push({
+                operation: sha ? 'update' : 'create',
+                path: change.path,
+                content: GLib.base64_encode(bytes),
+                ...(sha && { sha })
+            });
+        }
+
+        if (files.length === 0) return;
+
+        // 3. Commit
+        const filesData = {
+            branch,
+            message: `Batch sync ${files.length} files - ${new Date().toISOString()}`,
+            files
+        };
+        const response = await api.changeFiles(username, repo, token, filesData);
+        if (!response.ok) {
+            throw new StorageError(`Failed to commit files: ${response.status} - ${response.data}`, response.status);
+        }
+
+        this._rememberCommit(api, response);
+    }
+
+    /**
+     * Git blob SHA-1 of some content, as listed in the repository tree
+     * @param {Uint8Array} bytes - File content
+     * @returns {string}
+     */
+    static _blobSha(bytes) {
+        const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+        const data = new Uint8Array(header.length + bytes.length);
+        data.set(header);
+        data.set(bytes, header.length);
+        return GLib.compute_checksum_for_data(GLib.ChecksumType.SHA1, data);
+    }
+
+    /**
+     * Delete files in one commit via the same multi-file endpoint.
+     * Gitea needs each file's current SHA, so paths not in the tree are skipped.
+     */
+    async deleteBatch(paths, credentials) {
+        const { token, username, repo } = credentials;
+        const api = this._apiFor(credentials);
+
+        const branch = await api.getDefaultBranch(username, repo, token);
+        const treeResponse = await api.getTree(username, repo, token, branch);
+        if (!treeResponse.ok) {
+            if (treeResponse.status === 404 || treeResponse.status === 409) return;
+            throw new StorageError(`Failed to get repository tree: ${treeResponse.status}`, treeResponse.status);
+        }
+        const existingShas = new Map(treeResponse.entries
+            .filter(entry => entry.type === 'blob')
+            .map(entry => [entry.path, entry.sha]));
+
+        const files = paths
+            .filter(path => existingShas.has(path))
+            .map(path => ({ operation: 'delete', path, sha: existingShas.get(path) }));
+
+        if (files.length === 0) return;
+
+        const filesData = {
+            branch,
+            message: `Remove ${files.length} files - ${new Date().toISOString()}`,
+            files
+        };
+        const response = await api.changeFiles(username, repo, token, filesData);
+        if (!response.ok) {
+            throw new StorageError(`Failed to delete files: ${response.status} - ${response.data}`, response.status);
+        }
+
+        this._rememberCommit(api, response);
+    }
+
+    /**
+     * Remember our own commit so the next poll doesn't report it as a remote change
+     */
+    _rememberCommit(api, response) {
+        const result = JSON.parse(response.data);
+        if (result.commit && result.commit.sha) {
+            this._lastSeenCommitId = result.commit.sha;
+        }
+        api.clearETagCache();
+    }
+
+    /**
+     * Poll via the commits endpoint, also comparing the head SHA since
+     * not every Gitea/Forgejo version answers If-None-Match with 304.
+     */
+    async pollForChanges(credentials) {
+        const result = await super.pollForChanges(credentials);
+
+        if (result.hasChanges && result.commits.length > 0) {
+            const headSha = result.commits[0].sha;
+            if (headSha === this._lastSeenCommitId) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, commits: [], etag304: false };
+            }
+            this._lastSeenCommitId = headSha;
+        }
+
+        return result;
+    }
+
+    clearChangeCache() {
+        super.clearChangeCache();
+        this._lastSeenCommitId = null;
+    }
+}
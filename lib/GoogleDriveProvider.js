@@ -8,7 +8,7 @@
 import GLib from 'gi://GLib';
 import Goa from 'gi://Goa';
 import Soup from 'gi://Soup';
-import { StorageProvider } from './StorageProvider.js';
+import { StorageProvider, StorageError } from './StorageProvider.js';
 
 /**
  * Google Drive storage provider using the Drive API v3 with GOA authentication.
@@ -35,6 +35,10 @@ export class GoogleDriveProvider extends StorageProvider {
         return 'Google Drive';
     }
 
+    get changeCacheKey() {
+        return 'gdrive-config-modtime';
+    }
+
     _initializeSession() {
         this._httpSession = new Soup.Session();
         this._httpSession.timeout = 30;
@@ -244,7 +248,7 @@ export class GoogleDriveProvider extends StorageProvider {
         });
 
         if (!createResponse.ok) {
-            throw new Error(`Failed to create root folder: ${createResponse.status} - ${createResponse.data}`);
+            throw new StorageError(`Failed to create root folder: ${createResponse.status} - ${createResponse.data}`, createResponse.status);
         }
 
         const folderData = JSON.parse(createResponse.data);
@@ -264,7 +268,7 @@ export class GoogleDriveProvider extends StorageProvider {
         });
 
         if (!response.ok) {
-            throw new Error(`Failed to create folder '${name}': ${response.status}`);
+            throw new StorageError(`Failed to create folder '${name}': ${response.status}`, response.status);
         }
 
         return JSON.parse(response.data).id;
@@ -363,7 +367,7 @@ export class GoogleDriveProvider extends StorageProvider {
     async uploadBatch(changes, credentials) {
         await this._ensureRootFolder(credentials);
 
-        let uploaded = 0;
+        let lastError = null;
         for (const change of changes) {
             try {
                 const parentId = await this._ensureParentFolders(change.path, credentials);
@@ -388,10 +392,8 @@ export class GoogleDriveProvider extends StorageProvider {
                     });
 
                     if (response.ok) {
-                        uploaded++;
-
                         // Cache modifiedTime for polling baseline
-                        if (change.path === 'config-backup.json') {
+                        if (change.path === this.profilePath('config-backup.json')) {
                             const fileData = JSON.parse(response.data);
                             if (fileData.modifiedTime) {
                                 this.etagManager.setETag('gdrive-config-modtime', fileData.modifiedTime);
@@ -399,6 +401,8 @@ export class GoogleDriveProvider extends StorageProvider {
                         }
                     } else {
                         console.error(`GoogleDriveProvider: Failed to update ${change.path}: HTTP ${response.status}`);
+                        lastError = new StorageError(`Failed to update ${change.path}: HTTP ${response.status}`, response.status);
+                        break;
                     }
                 } else {
                     // Create new file
@@ -416,20 +420,56 @@ export class GoogleDriveProvider extends StorageProvider {
                     if (response.ok) {
                         const fileData = JSON.parse(response.data);
                         this._pathIdCache.set(change.path, fileData.id);
-                        uploaded++;
 
-                        if (change.path === 'config-backup.json' && fileData.modifiedTime) {
+                        if (change.path === this.profilePath('config-backup.json') && fileData.modifiedTime) {
                             this.etagManager.setETag('gdrive-config-modtime', fileData.modifiedTime);
                         }
                     } else {
                         console.error(`GoogleDriveProvider: Failed to create ${change.path}: HTTP ${response.status}`);
+                        lastError = new StorageError(`Failed to create ${change.path}: HTTP ${response.status}`, response.status);
+                        break;
                     }
                 }
             } catch (e) {
                 console.error(`GoogleDriveProvider: Error uploading ${change.path}: ${e.message}`);
+                lastError = e;
+                break;
             }
         }
 
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    /**
+     * Move files to the Drive trash rather than deleting them outright,
+     * so an unwanted removal can still be undone from drive.google.com.
+     */
+    async deleteBatch(paths, credentials) {
+        let lastError = null;
+        for (const path of paths) {
+            try {
+                const fileId = await this._resolvePathToId(path, credentials, false);
+                if (!fileId) continue;
+
+                const url = `${GoogleDriveProvider.DRIVE_API_BASE}/files/${fileId}`;
+                const response = await this._requestWithRetry(url, 'PATCH', credentials, JSON.stringify({ trashed: true }));
+                this._pathIdCache.delete(path);
+
+                if (!response.ok && response.status !== GoogleDriveProvider.HTTP_NOT_FOUND) {
+                    console.error(`GoogleDriveProvider: Failed to trash ${path}: HTTP ${response.status}`);
+                    lastError = new StorageError(`Failed to trash ${path}: HTTP ${response.status}`, response.status);
+                }
+            } catch (e) {
+                console.error(`GoogleDriveProvider: Error trashing ${path}: ${e.message}`);
+                lastError = e;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
     }
 
     async downloadFile(path, credentials) {
@@ -469,7 +509,7 @@ export class GoogleDriveProvider extends StorageProvider {
             if (response.status === GoogleDriveProvider.HTTP_NOT_FOUND) {
                 this._pathIdCache.delete(path);
             }
-            throw new Error(`Binary download failed for ${path}: ${response.status}`);
+            throw new StorageError(`Binary download failed for ${path}: ${response.status}`, response.status);
         }
 
         if (response.data instanceof Uint8Array) {
@@ -508,9 +548,60 @@ export class GoogleDriveProvider extends StorageProvider {
         return { ok: true, status: response.status, files };
     }
 
+    // ── History ──────────────────────────────────────────────────────
+
+    get historyType() {
+        return StorageProvider.HISTORY_FILE;
+    }
+
+    /**
+     * List the file's Drive revisions. Drive returns them oldest first and
+     * prunes revisions it was not asked to keep forever, after 30 days or
+     * 100 revisions.
+     */
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        const fileId = await this._resolvePathToId(path, credentials, false);
+        if (!fileId) return [];
+
+        const fields = 'revisions(id,modifiedTime,lastModifyingUser/displayName)';
+        const url = `${GoogleDriveProvider.DRIVE_API_BASE}/files/${fileId}/revisions?fields=${encodeURIComponent(fields)}&pageSize=200`;
+        const response = await this._requestWithRetry(url, 'GET', credentials);
+
+        if (!response.ok) {
+            if (response.status === GoogleDriveProvider.HTTP_NOT_FOUND) {
+                this._pathIdCache.delete(path);
+                return [];
+            }
+            throw new StorageError(`Listing revisions of ${path} failed: ${response.status}`, response.status);
+        }
+
+        const data = JSON.parse(response.data);
+        return (data.revisions || []).reverse().slice(0, limit).map(revision => ({
+            id: revision.id,
+            timestamp: revision.modifiedTime,
+            author: revision.lastModifyingUser ? revision.lastModifyingUser.displayName : '',
+            message: ''
+        }));
+    }
+
+    async downloadRevision(path, revision, credentials) {
+        const fileId = await this._resolvePathToId(path, credentials, false);
+        if (!fileId) {
+            return { ok: false, status: GoogleDriveProvider.HTTP_NOT_FOUND, content: null };
+        }
+
+        const url = `${GoogleDriveProvider.DRIVE_API_BASE}/files/${fileId}/revisions/${encodeURIComponent(revision)}?alt=media`;
+        const response = await this._requestWithRetry(url, 'GET', credentials, null, null, true);
+        if (!response.ok) {
+            return { ok: false, status: response.status, content: null };
+        }
+        return { ok: true, status: response.status, content: response.data };
+    }
+
     async pollForChanges(credentials) {
         // Resolve config-backup.json without creating if missing
-        const fileId = await this._resolvePathToId('config-backup.json', credentials, false);
+        const configPath = this.profilePath('config-backup.json');
+        const fileId = await this._resolvePathToId(configPath, credentials, false);
 
         if (!fileId) {
             this.etagManager.setLastPollResult(false);
@@ -522,18 +613,18 @@ export class GoogleDriveProvider extends StorageProvider {
 
         if (!response.ok) {
             if (response.status === GoogleDriveProvider.HTTP_NOT_FOUND) {
-                this._pathIdCache.delete('config-backup.json');
+                this._pathIdCache.delete(configPath);
                 this.etagManager.setLastPollResult(false);
                 return { hasChanges: false };
             }
-            throw new Error(`Poll failed: ${response.status}`);
+            throw new StorageError(`Poll failed: ${response.status}`, response.status);
         }
 
         const data = JSON.parse(response.data);
 
         // If the cached file ID points to a trashed file, clear caches and re-resolve
         if (data.trashed) {
-            this._pathIdCache.delete('config-backup.json');
+            this._pathIdCache.delete(configPath);
             this._rootFolderId = null;
             this.etagManager.clearETag('gdrive-config-modtime');
             this.etagManager.setLastPollResult(true);
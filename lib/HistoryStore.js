@@ -0,0 +1,91 @@
+/*
+ * HistoryStore.js - Last loaded version history of the remote profile
+ * Part of Gnoming Profiles extension
+ *
+ * The preferences window asks for the history through history-request;
+ * the extension loads it from the provider and writes it here, where the
+ * preferences window reads it and watches for updates.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * The stored state is one JSON object:
+ * { provider, profile, updated, loading, error, status, revisions }
+ * revisions are as returned by SyncManager.getHistory(). loading is set
+ * while a request runs, error when the last one failed and status
+ * describes the last restore.
+ */
+export class HistoryStore {
+    static EMPTY = {
+        provider: null,
+        profile: '',
+        updated: null,
+        loading: false,
+        error: null,
+        status: null,
+        revisions: []
+    };
+
+    constructor() {
+        this._state = { ...HistoryStore.EMPTY };
+        this.load();
+    }
+
+    /**
+     * Location of the history, next to the conflict list
+     * @returns {Gio.File}
+     */
+    static getFile() {
+        return Gio.File.new_for_path(GLib.build_filenamev(
+            [GLib.get_user_state_dir(), 'gnoming-profiles', 'history.json']));
+    }
+
+    /**
+     * (Re)read the history from disk
+     */
+    load() {
+        this._state = { ...HistoryStore.EMPTY };
+        try {
+            const [, contents] = HistoryStore.getFile().load_contents(null);
+            this._state = { ...HistoryStore.EMPTY, ...JSON.parse(new TextDecoder().decode(contents)) };
+        } catch (e) {
+            if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                console.error(`HistoryStore: Failed to read history: ${e.message}`);
+            }
+        }
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Change some fields and save
+     * @param {Object} changes - Fields of the stored state
+     */
+    update(changes) {
+        this._state = { ...this._state, ...changes, updated: new Date().toISOString() };
+        this._save();
+    }
+
+    _save() {
+        try {
+            const file = HistoryStore.getFile();
+            const parent = file.get_parent();
+            if (!parent.query_exists(null)) {
+                parent.make_directory_with_parents(null);
+            }
+            file.replace_contents(
+                new TextEncoder().encode(JSON.stringify(this._state, null, 2)),
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION | Gio.FileCreateFlags.PRIVATE,
+                null
+            );
+        } catch (e) {
+            console.error(`HistoryStore: Failed to save history: ${e.message}`);
+        }
+    }
+}
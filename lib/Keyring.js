@@ -0,0 +1,162 @@
+/*
+ * Keyring.js - Secrets kept in the GNOME keyring through libsecret
+ * Part of Gnoming Profiles extension
+ */
+
+import Gio from 'gi://Gio';
+
+// libsecret's typelib (gir1.2-secret-1) is optional — import dynamically so
+// the extension and its preferences still load without it
+let Secret = null;
+let secretError = null;
+try {
+    Secret = (await import('gi://Secret')).default;
+    Gio._promisify(Secret, 'password_lookup', 'password_lookup_finish');
+    Gio._promisify(Secret, 'password_store', 'password_store_finish');
+    Gio._promisify(Secret, 'password_clear', 'password_clear_finish');
+} catch (e) {
+    secretError = e.message;
+}
+
+/**
+ * Secrets are stored in the default collection under this extension's
+ * schema, one per name. Both the extension and the preferences window use
+ * it, so neither has to pass secrets through GSettings.
+ *
+ * Providers read their credentials synchronously, so provider secrets are
+ * also kept in memory: load() fills the cache and get() reads it. The
+ * preferences window sets secrets-changed after storing one, and the
+ * extension loads them again.
+ *
+ * Without libsecret the keyring is unavailable: provider secrets stay in
+ * their GSettings keys, where get() reads them and the preferences window
+ * saves them; load() and migrate() do nothing, and storing or reading a
+ * keyring secret fails with that reason.
+ */
+export class Keyring {
+    static SCHEMA = Secret ? new Secret.Schema('org.gnome.shell.extensions.gnoming-profiles',
+        Secret.SchemaFlags.NONE, { name: Secret.SchemaAttributeType.STRING }) : null;
+
+    // Names of the stored secrets
+    static ENCRYPTION_PASSPHRASE = 'encryption-passphrase';
+
+    // Provider secrets, named after the GSettings keys they used to be kept in
+    static PROVIDER_SECRETS = {
+        'github-token': 'Gnoming Profiles GitHub token',
+        'gitlab-token': 'Gnoming Profiles GitLab token',
+        'gitea-token': 'Gnoming Profiles Gitea token',
+        'nextcloud-password': 'Gnoming Profiles Nextcloud app password',
+        'webdav-password': 'Gnoming Profiles WebDAV password',
+        's3-secret-key': 'Gnoming Profiles S3 secret key',
+    };
+
+    static _cache = new Map();
+
+    /**
+     * Whether libsecret could be loaded
+     * @returns {boolean}
+     */
+    static get available() {
+        return Secret !== null;
+    }
+
+    /**
+     * Why the keyring can't be used, for errors and logs
+     * @returns {string}
+     */
+    static get unavailableReason() {
+        return `Keyring unavailable: libsecret could not be loaded (${secretError})`;
+    }
+
+    /**
+     * Throw when there is no keyring to talk to
+     */
+    static _requireAvailable() {
+        if (!Keyring.available) {
+            throw new Error(Keyring.unavailableReason);
+        }
+    }
+
+    /**
+     * Cached provider secret, as of the last load(), or its GSettings key
+     * when there is no keyring
+     * @param {string} name - A PROVIDER_SECRETS name
+     * @param {Gio.Settings} settings - Extension settings
+     * @returns {string} The secret, or '' if none is stored
+     */
+    static get(name, settings) {
+        if (!Keyring.available) return settings.get_string(name);
+        return Keyring._cache.get(name) || '';
+    }
+
+    /**
+     * Read all provider secrets into the cache
+     */
+    static async load() {
+        if (!Keyring.available) {
+            console.warn(`Keyring: ${Keyring.unavailableReason}; provider secrets read from GSettings`);
+            return;
+        }
+        for (const name of Object.keys(Keyring.PROVIDER_SECRETS)) {
+            Keyring._cache.set(name, (await Keyring.lookup(name)) || '');
+        }
+    }
+
+    /**
+     * Move provider secrets still in GSettings into the keyring and clear
+     * the keys. A key is only cleared once its secret is stored. Without a
+     * keyring nothing moves and the keys are kept.
+     * @param {Gio.Settings} settings - Extension settings
+     * @returns {Promise<number>} Number of secrets moved
+     */
+    static async migrate(settings) {
+        if (!Keyring.available) {
+            console.warn(`Keyring: ${Keyring.unavailableReason}; secrets left in GSettings`);
+            return 0;
+        }
+        let moved = 0;
+        for (const [name, label] of Object.entries(Keyring.PROVIDER_SECRETS)) {
+            const value = settings.get_string(name);
+            if (!value) continue;
+            await Keyring.store(name, label, value);
+            settings.reset(name);
+            moved++;
+        }
+        return moved;
+    }
+
+    /**
+     * Read a secret
+     * @param {string} name - Secret name
+     * @returns {Promise<string|null>} The secret, or null if none is stored
+     */
+    static async lookup(name) {
+        Keyring._requireAvailable();
+        return await Secret.password_lookup(Keyring.SCHEMA, { name }, null);
+    }
+
+    /**
+     * Store or replace a secret
+     * @param {string} name - Secret name
+     * @param {string} label - Description shown in Passwords and Keys
+     * @param {string} secret - Value to store
+     */
+    static async store(name, label, secret) {
+        Keyring._requireAvailable();
+        await Secret.password_store(Keyring.SCHEMA, { name }, Secret.COLLECTION_DEFAULT,
+            label, secret, null);
+        if (name in Keyring.PROVIDER_SECRETS) {
+            Keyring._cache.set(name, secret);
+        }
+    }
+
+    /**
+     * Remove a secret, if stored
+     * @param {string} name - Secret name
+     */
+    static async clear(name) {
+        Keyring._requireAvailable();
+        await Secret.password_clear(Keyring.SCHEMA, { name }, null);
+        Keyring._cache.delete(name);
+    }
+}
@@ -0,0 +1,332 @@
+/*
+ * LocalFolderProvider.js - Local directory storage backend implementing StorageProvider
+ * Part of Gnoming Profiles extension
+ *
+ * Writes the same layout as the cloud providers into a plain directory, so an
+ * existing Syncthing folder, USB drive or NFS home share can act as the remote.
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import { StorageProvider } from './StorageProvider.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async');
+Gio._promisify(Gio.File.prototype, 'query_info_async');
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.File.prototype, 'make_directory_async');
+Gio._promisify(Gio.File.prototype, 'delete_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+
+/**
+ * Local folder storage provider using Gio.File async I/O.
+ * Change detection compares the modification time of config-backup.json.
+ */
+export class LocalFolderProvider extends StorageProvider {
+    // HTTP-compatible status codes so SyncManager and WallpaperManager
+    // can treat this provider exactly like the network-backed ones.
+    static STATUS_OK = 200;
+    static STATUS_NOT_FOUND = 404;
+    static STATUS_ERROR = 500;
+
+    static ENUMERATE_BATCH_SIZE = 64;
+
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+    }
+
+    get name() {
+        return 'Local Folder';
+    }
+
+    get changeCacheKey() {
+        return 'localfolder-config-mtime';
+    }
+
+    /**
+     * Build credentials from GSettings.
+     */
+    getCredentials(settings) {
+        const folderPath = settings.get_string('local-folder-path');
+        if (!folderPath) return null;
+        return { folderPath: folderPath.replace(/^~/, GLib.get_home_dir()).replace(/\/+$/, '') };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.folderPath);
+    }
+
+    // ── File helpers ──────────────────────────────────────────────────
+
+    /**
+     * Get the Gio.File for the sync root.
+     */
+    _getRoot(credentials) {
+        return Gio.File.new_for_path(credentials.folderPath);
+    }
+
+    /**
+     * Resolve a remote path relative to the sync root.
+     */
+    _resolve(credentials, remotePath) {
+        const root = this._getRoot(credentials);
+        if (!remotePath) return root;
+        return root.resolve_relative_path(remotePath);
+    }
+
+    /**
+     * Create a directory and any missing parents.
+     * Uses async MKDIR per segment so slow network mounts don't block the shell.
+     * @param {Gio.File} dir - Directory to create
+     * @param {Gio.File|null} root - Never create this or anything above it
+     */
+    async _ensureDirectory(dir, root = null) {
+        const missing = [];
+        let current = dir;
+        while (current && !(root && current.equal(root)) && !(await this._exists(current))) {
+            missing.unshift(current);
+            current = current.get_parent();
+        }
+
+        for (const d of missing) {
+            try {
+                await d.make_directory_async(GLib.PRIORITY_DEFAULT, null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) {
+                    throw e;
+                }
+            }
+        }
+    }
+
+    async _exists(file) {
+        try {
+            await file.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null);
+            return true;
+        } catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return false;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Read a file, returning null if it does not exist.
+     */
+    async _readBytes(file) {
+        try {
+            const [contents] = await file.load_contents_async(null);
+            return contents;
+        } catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Get a file's modification time as an ISO string, or null if missing.
+     */
+    async _getModifiedTime(file) {
+        try {
+            const info = await file.query_info_async('time::modified,time::modified-usec',
+                Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null);
+            const dateTime = info.get_modification_date_time();
+            return dateTime ? dateTime.format_iso8601() : null;
+        } catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    // ── StorageProvider implementation ────────────────────────────────
+
+    /**
+     * Write each file via replace_contents, which writes to a temporary file and
+     * renames it into place, so sync tools never pick up half-written content.
+     * Stops at the first file that can't be written.
+     */
+    async uploadBatch(changes, credentials) {
+        // A missing root is usually a drive or share that isn't mounted;
+        // creating it would write the profile to the local disk instead
+        const root = this._getRoot(credentials);
+        if (!(await this._exists(root))) {
+            throw new Error(`${root.get_parse_name()} does not exist; create it or mount the drive it is on`);
+        }
+
+        let lastError = null;
+        for (const change of changes) {
+            try {
+                const file = this._resolve(credentials, change.path);
+                await this._ensureDirectory(file.get_parent(), root);
+
+                const bytes = change.encoding === 'base64'
+                    ? GLib.base64_decode(change.content)
+                    : new TextEncoder().encode(change.content);
+
+                await file.replace_contents_bytes_async(
+                    GLib.Bytes.new(bytes),
+                    null,
+                    false,
+                    Gio.FileCreateFlags.REPLACE_DESTINATION,
+                    null
+                );
+
+                // Cache the new mtime so our own write isn't reported as a remote change
+                if (change.path === this.profilePath('config-backup.json')) {
+                    const modTime = await this._getModifiedTime(file);
+                    if (modTime) {
+                        this.etagManager.setETag(this.changeCacheKey, modTime);
+                    }
+                }
+            } catch (e) {
+                console.error(`LocalFolderProvider: Error writing ${change.path}: ${e.message}`);
+                lastError = e;
+                break;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    /**
+     * Delete files, then prune directories the deletions left empty so
+     * removed paths don't linger as empty folders in the sync tool.
+     */
+    async deleteBatch(paths, credentials) {
+        const root = this._getRoot(credentials);
+
+        let lastError = null;
+        for (const path of paths) {
+            try {
+                const file = this._resolve(credentials, path);
+                try {
+                    await file.delete_async(GLib.PRIORITY_DEFAULT, null);
+                } catch (e) {
+                    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                        throw e;
+                    }
+                }
+
+                let dir = file.get_parent();
+                while (dir && !dir.equal(root) && dir.has_prefix(root)) {
+                    try {
+                        await dir.delete_async(GLib.PRIORITY_DEFAULT, null);
+                    } catch (e) {
+                        // Not empty (or already gone): stop pruning
+                        break;
+                    }
+                    dir = dir.get_parent();
+                }
+            } catch (e) {
+                console.error(`LocalFolderProvider: Error deleting ${path}: ${e.message}`);
+                lastError = e;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    async downloadFile(path, credentials) {
+        try {
+            const contents = await this._readBytes(this._resolve(credentials, path));
+            if (contents === null) {
+                return { ok: false, status: LocalFolderProvider.STATUS_NOT_FOUND, content: null };
+            }
+            return { ok: true, status: LocalFolderProvider.STATUS_OK, content: new TextDecoder().decode(contents) };
+        } catch (e) {
+            console.error(`LocalFolderProvider: Read failed for ${path}: ${e.message}`);
+            return { ok: false, status: LocalFolderProvider.STATUS_ERROR, content: null };
+        }
+    }
+
+    async downloadBinaryFile(path, credentials) {
+        const contents = await this._readBytes(this._resolve(credentials, path));
+        if (contents === null) {
+            throw new Error(`File not found: ${path}`);
+        }
+        return contents;
+    }
+
+    async listDirectory(path, credentials) {
+        const dir = this._resolve(credentials, path);
+        const files = [];
+
+        try {
+            const enumerator = await dir.enumerate_children_async('standard::name,standard::type',
+                Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null);
+
+            let infos;
+            do {
+                infos = await enumerator.next_files_async(LocalFolderProvider.ENUMERATE_BATCH_SIZE,
+                    GLib.PRIORITY_DEFAULT, null);
+                for (const info of infos) {
+                    const name = info.get_name();
+                    // Skip Syncthing and editor temporaries; other dotfiles can be synced files
+                    if (name.startsWith('.syncthing.') || name.endsWith('~')) continue;
+
+                    const child = dir.get_child(name);
+                    files.push({
+                        name,
+                        type: info.get_file_type() === Gio.FileType.DIRECTORY ? 'dir' : 'file',
+                        download_url: null,
+                        url: child.get_uri()
+                    });
+                }
+            } while (infos.length > 0);
+
+            enumerator.close(null);
+        } catch (e) {
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                return { ok: false, status: LocalFolderProvider.STATUS_NOT_FOUND, files: [] };
+            }
+            console.error(`LocalFolderProvider: Failed to list ${path}: ${e.message}`);
+            return { ok: false, status: LocalFolderProvider.STATUS_ERROR, files: [] };
+        }
+
+        return { ok: true, status: LocalFolderProvider.STATUS_OK, files };
+    }
+
+    /**
+     * Poll for changes by comparing the modification time of config-backup.json.
+     * Works the same whether the folder is updated by Syncthing, NFS or a USB drive.
+     */
+    async pollForChanges(credentials) {
+        try {
+            const newModTime = await this._getModifiedTime(this._resolve(credentials, this.profilePath('config-backup.json')));
+
+            if (!newModTime) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: false };
+            }
+
+            const cachedModTime = this.etagManager.getETag(this.changeCacheKey);
+            this.etagManager.setETag(this.changeCacheKey, newModTime);
+
+            if (!cachedModTime) {
+                // First poll, just cache the mtime
+                this.etagManager.setLastPollResult(null);
+                return { hasChanges: false, etag304: false };
+            }
+
+            const hasChanges = cachedModTime !== newModTime;
+            this.etagManager.setLastPollResult(hasChanges);
+            return { hasChanges, etag304: false };
+        } catch (error) {
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    clearChangeCache() {
+        this.etagManager.clearETag(this.changeCacheKey);
+    }
+}
@@ -1,468 +1,172 @@
 /*
- * NextcloudProvider.js - Nextcloud/WebDAV storage backend implementing StorageProvider
+ * NextcloudProvider.js - Nextcloud storage backend implementing StorageProvider
  * Part of Gnoming Profiles extension
  */
 
-import GLib from 'gi://GLib';
-import Soup from 'gi://Soup';
-import { StorageProvider } from './StorageProvider.js';
+import { StorageProvider, StorageError } from './StorageProvider.js';
+import { WebDAVProvider } from './WebDAVProvider.js';
+import { Keyring } from './Keyring.js';
 
 /**
- * Nextcloud storage provider using WebDAV protocol.
- * Compatible with any WebDAV server, optimised for Nextcloud.
+ * Nextcloud storage provider.
+ * Maps server URL, username and folder onto Nextcloud's WebDAV layout;
+ * all file operations come from WebDAVProvider.
+ *
+ * History comes from Nextcloud's own file versions, which the server keeps
+ * for every overwritten file under /remote.php/dav/versions/<user>/. The
+ * current content is not a version there, so it is listed first as
+ * CURRENT_VERSION.
  */
-export class NextcloudProvider extends StorageProvider {
+export class NextcloudProvider extends WebDAVProvider {
     static WEBDAV_PATH = '/remote.php/dav/files';
-    static HTTP_CREATED = 201;
-    static HTTP_NO_CONTENT = 204;
-    static HTTP_MULTI_STATUS = 207;
-    static HTTP_NOT_MODIFIED = 304;
-    static HTTP_NOT_FOUND = 404;
-    static HTTP_METHOD_NOT_ALLOWED = 405;
-    static HTTP_CONFLICT = 409;
-    static HTTP_PRECONDITION_FAILED = 412;
-
-    constructor(requestQueue, etagManager) {
-        super(requestQueue, etagManager);
-        this._httpSession = null;
-        this._initializeSession();
-    }
+    static VERSIONS_PATH = '/remote.php/dav/versions';
+    static USER_AGENT = 'GNOME-Config-Sync/3.1.0-Nextcloud';
+    static CURRENT_VERSION = 'current';
 
     get name() {
         return 'Nextcloud';
     }
 
-    _initializeSession() {
-        this._httpSession = new Soup.Session();
-        this._httpSession.timeout = 30;
-        this._httpSession.max_conns = 10;
-        this._httpSession.user_agent = 'GNOME-Config-Sync/3.1.0-Nextcloud';
+    get changeCacheKey() {
+        return 'nextcloud-config';
     }
 
     /**
-     * Build credentials from GSettings.
+     * Build credentials from GSettings, with the app password from the keyring cache.
      */
     getCredentials(settings) {
         const serverUrl = settings.get_string('nextcloud-url');
         const username = settings.get_string('nextcloud-username');
-        const password = settings.get_string('nextcloud-password');
+        const password = Keyring.get('nextcloud-password', settings);
         const folder = settings.get_string('nextcloud-folder');
         if (!serverUrl || !username || !password) return null;
-        return { serverUrl: serverUrl.replace(/\/+$/, ''), username, password, folder: folder || '.gnoming-profiles' };
+        return {
+            serverUrl: serverUrl.replace(/\/+$/, ''),
+            username,
+            password,
+            folder: folder || '.gnoming-profiles',
+            authMethod: WebDAVProvider.AUTH_BASIC
+        };
     }
 
     hasValidCredentials(credentials) {
         return !!(credentials && credentials.serverUrl && credentials.username && credentials.password);
     }
 
-    // ── WebDAV helpers ────────────────────────────────────────────────
-
     /**
-     * Build the full WebDAV URL for a remote path.
+     * Nextcloud exposes each user's files under /remote.php/dav/files/<user>/.
      */
-    _buildUrl(credentials, remotePath) {
+    _getCollectionUrl(credentials) {
         const { serverUrl, username, folder } = credentials;
-        const base = `${serverUrl}${NextcloudProvider.WEBDAV_PATH}/${username}/${folder}`;
-        if (!remotePath) return base;
-        return `${base}/${remotePath}`;
-    }
-
-    /**
-     * Perform a WebDAV request via the request queue.
-     */
-    async _request(url, method, credentials, body = null, extraHeaders = null, expectBinary = false) {
-        return this.requestQueue.add(() => this._performRequest(url, method, credentials, body, extraHeaders, expectBinary));
+        const folderPath = folder.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        return `${serverUrl}${NextcloudProvider.WEBDAV_PATH}/${encodeURIComponent(username)}/${folderPath}`;
     }
 
-    _performRequest(url, method, credentials, body, extraHeaders, expectBinary) {
-        return new Promise((resolve, reject) => {
-            try {
-                const message = Soup.Message.new(method, url);
-
-                // Basic auth
-                const authString = GLib.base64_encode(
-                    new TextEncoder().encode(`${credentials.username}:${credentials.password}`)
-                );
-                message.request_headers.append('Authorization', `Basic ${authString}`);
-
-                // Extra headers
-                if (extraHeaders) {
-                    for (const [key, value] of Object.entries(extraHeaders)) {
-                        message.request_headers.append(key, value);
-                    }
-                }
-
-                // Body
-                if (body !== null) {
-                    const contentType = (extraHeaders && extraHeaders['Content-Type']) || 'application/octet-stream';
-                    const bytes = (body instanceof Uint8Array)
-                        ? GLib.Bytes.new(body)
-                        : GLib.Bytes.new(new TextEncoder().encode(body));
-                    message.set_request_body_from_bytes(contentType, bytes);
-                }
-
-                if (method === 'HEAD') {
-                    // HEAD responses have no body — use send_async to avoid
-                    // send_and_read_async failing on the empty body in GJS/libsoup3.
-                    this._httpSession.send_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
-                        try {
-                            session.send_finish(result);
-                            let responseETag = null;
-                            if (message.response_headers) {
-                                responseETag = message.response_headers.get_one('ETag');
-                            }
-
-                            resolve({
-                                ok: message.status_code >= 200 && message.status_code < 300,
-                                status: message.status_code,
-                                data: null,
-                                etag: responseETag,
-                                isBinary: false
-                            });
-                        } catch (error) {
-                            reject(error);
-                        }
-                    });
-                } else {
-                    this._httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
-                        try {
-                            const bytes = session.send_and_read_finish(result);
-                            let responseETag = null;
-                            if (message.response_headers) {
-                                responseETag = message.response_headers.get_one('ETag');
-                            }
+    // ── History ───────────────────────────────────────────────────────
 
-                            const rawData = bytes ? bytes.get_data() : null;
-                            let data;
-                            if (expectBinary) {
-                                data = rawData;
-                            } else {
-                                data = rawData ? new TextDecoder().decode(rawData) : '';
-                            }
-
-                            resolve({
-                                ok: message.status_code >= 200 && message.status_code < 300,
-                                status: message.status_code,
-                                data,
-                                etag: responseETag,
-                                isBinary: expectBinary
-                            });
-                        } catch (error) {
-                            reject(error);
-                        }
-                    });
-                }
-            } catch (error) {
-                reject(error);
-            }
-        });
+    get historyType() {
+        return StorageProvider.HISTORY_FILE;
     }
 
-    // ── Directory management ──────────────────────────────────────────
-
     /**
-     * Ensure a remote directory (and its parents) exists via MKCOL.
+     * Versions collection of a remote file, found through its file id
+     * @returns {Promise<{url: string, modified: string}|null>} null if the file doesn't exist
      */
-    async _ensureDirectory(dirPath, credentials) {
-        const parts = dirPath.split('/').filter(Boolean);
-        let current = '';
-        for (const part of parts) {
-            current += `/${part}`;
-            const url = this._buildUrl(credentials, null) + '/../..' +
-                `${NextcloudProvider.WEBDAV_PATH}/${credentials.username}/${credentials.folder}${current}`;
-            // Simpler: just build from base
-            const mkcolUrl = `${credentials.serverUrl}${NextcloudProvider.WEBDAV_PATH}/${credentials.username}/${credentials.folder}${current}`;
-            const response = await this._request(mkcolUrl, 'MKCOL', credentials);
-            // 201 = created, 405 = already exists – both are fine
-            if (!response.ok && response.status !== NextcloudProvider.HTTP_METHOD_NOT_ALLOWED) {
-                // 409 means parent missing (shouldn't happen since we create incrementally)
-                if (response.status !== NextcloudProvider.HTTP_CONFLICT) {
-                }
-            }
-        }
-    }
-
-    /**
-     * Ensure the root sync folder exists.
-     */
-    async _ensureRootFolder(credentials) {
-        const url = this._buildUrl(credentials, null);
-        const response = await this._request(url, 'MKCOL', credentials);
-        // 201 created, 405 already exists
-        if (!response.ok && response.status !== NextcloudProvider.HTTP_METHOD_NOT_ALLOWED) {
-            console.error(`NextcloudProvider: Root folder MKCOL returned ${response.status}`);
-            if (response.data) console.error(`NextcloudProvider: Response: ${String(response.data).substring(0, 500)}`);
-        }
-    }
-
-    // ── StorageProvider implementation ────────────────────────────────
-
-    /**
-     * Upload files individually (WebDAV has no atomic batch, so we upload one-by-one).
-     */
-    async uploadBatch(changes, credentials) {
-        await this._ensureRootFolder(credentials);
-
-        let uploaded = 0;
-        for (const change of changes) {
-            try {
-                // Ensure parent directory exists
-                const parentDir = change.path.split('/').slice(0, -1).join('/');
-                if (parentDir) {
-                    await this._ensureDirectory(parentDir, credentials);
-                }
-
-                const url = this._buildUrl(credentials, change.path);
-
-                let body;
-                if (change.encoding === 'base64') {
-                    // Decode base64 to binary for upload
-                    body = GLib.base64_decode(change.content);
-                } else {
-                    body = change.content;
-                }
-
-                const response = await this._request(url, 'PUT', credentials, body);
+    async _getVersionsUrl(path, credentials) {
+        const response = await this._request(this._buildUrl(credentials, path), 'PROPFIND', credentials,
+            `<?xml version="1.0" encoding="UTF-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:prop>
+    <oc:fileid/>
+    <d:getlastmodified/>
+  </d:prop>
+</d:propfind>`, {
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Depth': '0'
+            });
 
-                if (response.ok || response.status === NextcloudProvider.HTTP_CREATED || response.status === NextcloudProvider.HTTP_NO_CONTENT) {
-                    uploaded++;
-                    // Cache the new ETag so the next poll has a valid baseline
-                    // and doesn't falsely detect our own upload as a remote change.
-                    if (change.path === 'config-backup.json') {
-                        let newETag = response.etag;
-                        if (!newETag) {
-                            // PUT often doesn't return ETag; HEAD reliably does
-                            const headResp = await this._request(url, 'HEAD', credentials);
-                            newETag = headResp.etag;
-                        }
-                        if (newETag) {
-                            this.etagManager.setETag('nextcloud-config', newETag);
-                        }
-                    }
-                } else {
-                    console.error(`NextcloudProvider: Failed to upload ${change.path}: HTTP ${response.status}`);
-                    if (response.data) console.error(`NextcloudProvider: Response: ${String(response.data).substring(0, 500)}`);
-                }
-            } catch (e) {
-                console.error(`NextcloudProvider: Error uploading ${change.path}: ${e.message}`);
-            }
+        if (response.status === WebDAVProvider.HTTP_NOT_FOUND) return null;
+        if (!response.ok && response.status !== WebDAVProvider.HTTP_MULTI_STATUS) {
+            throw new StorageError(`Can't look up ${path}: HTTP ${response.status}`, response.status);
         }
 
-    }
-
-    /**
-     * Download a text file via GET.
-     */
-    async downloadFile(path, credentials) {
-        const url = this._buildUrl(credentials, path);
-        const response = await this._request(url, 'GET', credentials);
-
-        if (!response.ok) {
-            if (response.status !== NextcloudProvider.HTTP_NOT_FOUND) {
-                console.error(`NextcloudProvider: Download failed for ${path}: HTTP ${response.status}`);
-                if (response.data) console.error(`NextcloudProvider: Response: ${String(response.data).substring(0, 500)}`);
-            }
-            return { ok: false, status: response.status, content: null };
+        const fileId = this._propfindValue(response.data, 'fileid');
+        if (!fileId) {
+            throw new Error(`Server did not return a file id for ${path}`);
         }
-
-        return { ok: true, status: response.status, content: response.data };
+        const { serverUrl, username } = credentials;
+        return {
+            url: `${serverUrl}${NextcloudProvider.VERSIONS_PATH}/${encodeURIComponent(username)}/versions/${fileId}`,
+            modified: this._propfindValue(response.data, 'getlastmodified')
+        };
     }
 
     /**
-     * Download a binary file via GET.
+     * Text of the first element with this name in a PROPFIND response, any prefix
      */
-    async downloadBinaryFile(path, credentials) {
-        const url = this._buildUrl(credentials, path);
-        const response = await this._request(url, 'GET', credentials, null, null, true);
-
-        if (!response.ok) {
-            throw new Error(`Binary download failed for ${path}: ${response.status}`);
-        }
-
-        if (response.data instanceof Uint8Array) {
-            return response.data;
-        }
-        throw new Error('Response was not binary data as expected');
+    _propfindValue(xml, name) {
+        const match = xml.match(new RegExp(`<(?:[\\w.-]+:)?${name}\\b[^>]*>([^<]*)<`, 'i'));
+        return match ? match[1].trim() : '';
     }
 
     /**
-     * List files using PROPFIND (depth 1).
+     * List the current content followed by Nextcloud's stored versions.
+     * Versions are named after the modification time they replaced.
      */
-    async listDirectory(path, credentials) {
-        const url = this._buildUrl(credentials, path);
-        const propfindBody = `<?xml version="1.0" encoding="UTF-8"?>
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        const versions = await this._getVersionsUrl(path, credentials);
+        if (!versions) return [];
+
+        const revisions = [{
+            id: NextcloudProvider.CURRENT_VERSION,
+            timestamp: new Date(versions.modified).toISOString(),
+            author: '',
+            message: 'Current version'
+        }];
+
+        const response = await this._request(versions.url, 'PROPFIND', credentials,
+            `<?xml version="1.0" encoding="UTF-8"?>
 <d:propfind xmlns:d="DAV:">
   <d:prop>
-    <d:displayname/>
-    <d:resourcetype/>
-    <d:getcontentlength/>
     <d:getlastmodified/>
-    <d:getetag/>
   </d:prop>
-</d:propfind>`;
-
-        const response = await this._request(url, 'PROPFIND', credentials, propfindBody, {
-            'Content-Type': 'application/xml; charset=utf-8',
-            'Depth': '1'
-        });
+</d:propfind>`, {
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Depth': '1'
+            });
 
-        if (!response.ok && response.status !== NextcloudProvider.HTTP_MULTI_STATUS) {
-            return { ok: false, status: response.status, files: [] };
+        // Servers with the versions app disabled only have the current content
+        if (!response.ok && response.status !== WebDAVProvider.HTTP_MULTI_STATUS) {
+            return revisions;
         }
 
-        // Parse the WebDAV XML response
-        const files = this._parsePropfindResponse(response.data, path, credentials);
-        return { ok: true, status: response.status, files };
-    }
-
-    /**
-     * Parse a PROPFIND XML response into a file list.
-     * Uses simple regex-based parsing since GJS has no built-in XML parser.
-     */
-    _parsePropfindResponse(xml, requestedPath, credentials) {
-        const files = [];
-        // Match each <d:response> block
-        const responseBlocks = xml.match(/<d:response>[\s\S]*?<\/d:response>/gi) || [];
-        const basePath = `${NextcloudProvider.WEBDAV_PATH}/${credentials.username}/${credentials.folder}`;
-
-        for (const block of responseBlocks) {
-            // Extract href
-            const hrefMatch = block.match(/<d:href>([^<]*)<\/d:href>/i);
-            if (!hrefMatch) continue;
-
-            const href = decodeURIComponent(hrefMatch[1]);
-
-            // Determine the relative path from our sync folder
-            const baseIdx = href.indexOf(basePath);
-            if (baseIdx === -1) continue;
-            let relativePath = href.substring(baseIdx + basePath.length).replace(/^\/+/, '').replace(/\/+$/, '');
-
-            // Skip the directory itself (first entry is always the requested directory)
-            const normalizedRequested = (requestedPath || '').replace(/^\/+/, '').replace(/\/+$/, '');
-            if (relativePath === normalizedRequested) continue;
-
-            // Detect if it's a collection (directory)
-            const isCollection = /<d:resourcetype>\s*<d:collection\s*\/?\s*>\s*<\/d:resourcetype>/i.test(block) ||
-                                 /<d:collection/i.test(block);
-
-            const name = relativePath.split('/').pop();
-            if (!name) continue;
-
-            files.push({
-                name,
-                type: isCollection ? 'dir' : 'file',
-                download_url: null, // WebDAV doesn't have separate download URLs
-                url: `${credentials.serverUrl}${href}`
-            });
+        const older = [];
+        for (const block of response.data.match(/<(?:[\w.-]+:)?response\b[^>]*>[\s\S]*?<\/(?:[\w.-]+:)?response>/gi) || []) {
+            const id = decodeURIComponent(this._propfindValue(block, 'href')).replace(/\/+$/, '').split('/').pop();
+            const modified = this._propfindValue(block, 'getlastmodified');
+            // The first response is the versions collection itself
+            if (!/^\d+$/.test(id) || !modified) continue;
+            older.push({ id, timestamp: new Date(modified).toISOString(), author: '', message: '' });
         }
+        older.sort((a, b) => Number(b.id) - Number(a.id));
 
-        return files;
+        return revisions.concat(older).slice(0, limit);
     }
 
-    /**
-     * Poll for changes using a lightweight HEAD request with ETag comparison.
-     *
-     * Nextcloud/SabreDAV may return 412 Precondition Failed instead of
-     * 304 Not Modified when If-None-Match is used. A 412 means the ETag
-     * did not match, so we treat it as "changes detected" and re-fetch
-     * the current ETag without the conditional header.
-     */
-    async pollForChanges(credentials) {
-        const url = this._buildUrl(credentials, 'config-backup.json');
-        const cachedETag = this.etagManager.getETag('nextcloud-config');
-
-        const headers = {};
-        if (cachedETag) {
-            headers['If-None-Match'] = cachedETag;
+    async downloadRevision(path, revision, credentials) {
+        let url;
+        if (revision === NextcloudProvider.CURRENT_VERSION) {
+            url = this._buildUrl(credentials, path);
+        } else {
+            const versions = await this._getVersionsUrl(path, credentials);
+            if (!versions) return { ok: false, status: WebDAVProvider.HTTP_NOT_FOUND, content: null };
+            url = `${versions.url}/${encodeURIComponent(revision)}`;
         }
 
-        try {
-            let response = await this._request(url, 'HEAD', credentials, null, headers);
-
-            // Nextcloud/SabreDAV may return 412 instead of 304 for conditional
-            // requests. Re-fetch without If-None-Match to get the new ETag.
-            if (response.status === NextcloudProvider.HTTP_PRECONDITION_FAILED) {
-                response = await this._request(url, 'HEAD', credentials);
-                if (response.ok && response.etag) {
-                    this.etagManager.setETag('nextcloud-config', response.etag);
-                    this.etagManager.setLastPollResult(true);
-                    return { hasChanges: true, etag304: false };
-                }
-            }
-
-            if (response.status === NextcloudProvider.HTTP_NOT_MODIFIED) {
-                this.etagManager.setLastPollResult(false);
-                return { hasChanges: false, etag304: true };
-            }
-
-            if (response.status === NextcloudProvider.HTTP_NOT_FOUND) {
-                this.etagManager.setLastPollResult(false);
-                return { hasChanges: false, etag304: false };
-            }
-
-            if (!response.ok) {
-                throw new Error(`HEAD poll failed: ${response.status}`);
-            }
-
-            // Extract ETag from response header
-            const newETag = response.etag;
-
-            if (newETag) {
-                const hasChanges = cachedETag !== null && cachedETag !== newETag;
-                this.etagManager.setETag('nextcloud-config', newETag);
-                this.etagManager.setLastPollResult(hasChanges);
-
-                if (!cachedETag) {
-                    // First poll, just cache the ETag
-                    return { hasChanges: false, etag304: false };
-                }
-
-                if (hasChanges) {
-                }
-
-                return { hasChanges, etag304: false };
-            }
-
-            // HEAD returned no ETag — fall back to a minimal GET which
-            // reliably includes the ETag on Nextcloud/WebDAV servers.
-            const getHeaders = cachedETag ? { 'If-None-Match': cachedETag, 'Range': 'bytes=0-0' } : { 'Range': 'bytes=0-0' };
-            const getResponse = await this._request(url, 'GET', credentials, null, getHeaders);
-
-            if (getResponse.status === NextcloudProvider.HTTP_NOT_MODIFIED) {
-                this.etagManager.setLastPollResult(false);
-                return { hasChanges: false, etag304: true };
-            }
-
-            if (getResponse.etag) {
-                const hasChanges = cachedETag !== null && cachedETag !== getResponse.etag;
-                this.etagManager.setETag('nextcloud-config', getResponse.etag);
-                this.etagManager.setLastPollResult(hasChanges);
-
-                if (!cachedETag) {
-                    return { hasChanges: false, etag304: false };
-                }
-
-                return { hasChanges, etag304: false };
-            }
-
-            this.etagManager.setLastPollResult(null);
-            return { hasChanges: false, etag304: false };
-
-        } catch (error) {
-            this.etagManager.setLastPollResult(null);
-            throw error;
-        }
-    }
-
-    clearChangeCache() {
-        this.etagManager.clearETag('nextcloud-config');
-    }
-
-    cleanup() {
-        if (this._httpSession) {
-            this._httpSession.abort();
-            this._httpSession = null;
+        const response = await this._request(url, 'GET', credentials, null, null, true);
+        if (!response.ok) {
+            return { ok: false, status: response.status, content: null };
         }
-        super.cleanup();
+        return { ok: true, status: response.status, content: response.data };
     }
 }
@@ -9,6 +9,7 @@ import St from 'gi://St';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+import { SecretScanner } from './SecretScanner.js';
 
 /**
  * Panel indicator for the Gnoming Profiles extension
@@ -90,6 +91,33 @@ class PanelIndicator extends PanelMenu.Button {
         etagItem.reactive = false;
         this.menu.addMenuItem(etagItem);
         this._etagItem = etagItem;
+
+        let mirrorsItem = new PopupMenu.PopupMenuItem(_('Mirrors: None'));
+        mirrorsItem.reactive = false;
+        mirrorsItem.visible = false;
+        this.menu.addMenuItem(mirrorsItem);
+        this._mirrorsItem = mirrorsItem;
+
+        let failoverItem = new PopupMenu.PopupMenuItem(_('Using fallback'));
+        failoverItem.reactive = false;
+        failoverItem.visible = false;
+        this.menu.addMenuItem(failoverItem);
+        this._failoverItem = failoverItem;
+
+        let conflictsItem = new PopupMenu.PopupMenuItem(_('No conflicts'));
+        conflictsItem.visible = false;
+        this.menu.addMenuItem(conflictsItem);
+        this._conflictsItem = conflictsItem;
+
+        let skippedItem = new PopupMenu.PopupSubMenuMenuItem(_('Files not synced'));
+        skippedItem.visible = false;
+        this.menu.addMenuItem(skippedItem);
+        this._skippedItem = skippedItem;
+
+        let secretsItem = new PopupMenu.PopupSubMenuMenuItem(_('Secrets found'));
+        secretsItem.visible = false;
+        this.menu.addMenuItem(secretsItem);
+        this._secretsItem = secretsItem;
         
         let remoteChangesItem = new PopupMenu.PopupMenuItem(_('Pull Remote Changes'));
         remoteChangesItem.visible = false;
@@ -103,6 +131,20 @@ class PanelIndicator extends PanelMenu.Button {
         let syncItem = new PopupMenu.PopupMenuItem(_('Sync Now'));
         this.menu.addMenuItem(syncItem);
         this._syncItem = syncItem;
+
+        let previewItem = new PopupMenu.PopupMenuItem(_('Preview Changes…'));
+        this.menu.addMenuItem(previewItem);
+        this._previewItem = previewItem;
+
+        let undoItem = new PopupMenu.PopupMenuItem(_('Undo Last Restore'));
+        undoItem.visible = false;
+        this.menu.addMenuItem(undoItem);
+        this._undoItem = undoItem;
+
+        let profileItem = new PopupMenu.PopupSubMenuMenuItem(_('Profile: Default'));
+        profileItem.visible = false;
+        this.menu.addMenuItem(profileItem);
+        this._profileItem = profileItem;
         
         let settingsItem = new PopupMenu.PopupMenuItem(_('Settings'));
         this.menu.addMenuItem(settingsItem);
@@ -123,6 +165,18 @@ class PanelIndicator extends PanelMenu.Button {
             }
         });
         
+        this._previewItem.connect('activate', () => {
+            if (this._extension) {
+                this._extension.previewSync();
+            }
+        });
+
+        this._undoItem.connect('activate', () => {
+            if (this._extension) {
+                this._extension.undoLastRestore();
+            }
+        });
+
         this._settingsItem.connect('activate', () => {
             if (this._extension) {
                 this._extension.openPreferences();
@@ -134,6 +188,12 @@ class PanelIndicator extends PanelMenu.Button {
                 this._extension.syncFromRemote();
             }
         });
+
+        this._conflictsItem.connect('activate', () => {
+            if (this._extension) {
+                this._extension.showConflictDialog();
+            }
+        });
     }
     
     /**
@@ -207,6 +267,15 @@ class PanelIndicator extends PanelMenu.Button {
             this._syncItem.sensitive = sensitive;
             this._syncItem.label.text = sensitive ? _('Sync Now') : _('Sync in Progress...');
         }
+        if (this._previewItem) {
+            this._previewItem.sensitive = sensitive;
+        }
+        if (this._undoItem) {
+            this._undoItem.sensitive = sensitive;
+        }
+        if (this._profileItem) {
+            this._profileItem.sensitive = sensitive;
+        }
     }
     
     /**
@@ -272,6 +341,177 @@ class PanelIndicator extends PanelMenu.Button {
         }
     }
     
+    /**
+     * List sync-files entries the last upload left out, with the reason
+     * @param {Array<{path: string, reason: string}>} skipped - From SyncManager.getSkippedFiles()
+     */
+    updateSkippedFiles(skipped) {
+        if (!this._skippedItem) return;
+
+        this._skippedItem.menu.removeAll();
+        if (!skipped || skipped.length === 0) {
+            this._skippedItem.visible = false;
+            return;
+        }
+
+        this._skippedItem.label.text = skipped.length === 1
+            ? _('⚠ 1 file not synced')
+            : _(`⚠ ${skipped.length} files not synced`);
+        for (const { path, reason } of skipped) {
+            this._skippedItem.menu.addMenuItem(
+                new PopupMenu.PopupMenuItem(`${path}: ${reason}`, { reactive: false }));
+        }
+        this._skippedItem.visible = true;
+    }
+
+    /**
+     * List files the last upload found credentials in. Files held back
+     * for the user to decide get an item that allows and uploads them.
+     * @param {Array<{path: string, mode: string, findings: Array}>} files - From SyncManager.getSecretFindings()
+     */
+    updateSecretFindings(files) {
+        if (!this._secretsItem) return;
+
+        this._secretsItem.menu.removeAll();
+        if (!files || files.length === 0) {
+            this._secretsItem.visible = false;
+            return;
+        }
+
+        this._secretsItem.label.text = files.length === 1
+            ? _('🔑 Secrets found in 1 file')
+            : _(`🔑 Secrets found in ${files.length} files`);
+        for (const { path, mode, findings } of files) {
+            const found = findings.map(({ label, line }) => `${label} (${_('line')} ${line})`).join(', ');
+            const action = mode === SecretScanner.MODE_REDACT ? _('uploaded redacted') : _('not uploaded');
+            this._secretsItem.menu.addMenuItem(
+                new PopupMenu.PopupMenuItem(`${path}: ${found}, ${action}`, { reactive: false }));
+
+            if (mode === SecretScanner.MODE_ASK) {
+                const allowItem = new PopupMenu.PopupMenuItem(_(`Upload ${path} Anyway`));
+                allowItem.connect('activate', () => {
+                    if (this._extension) {
+                        this._extension.allowSecretFile(path);
+                    }
+                });
+                this._secretsItem.menu.addMenuItem(allowItem);
+            }
+        }
+        this._secretsItem.visible = true;
+    }
+
+    /**
+     * Update mirror health
+     * @param {Array<{name: string, ok: boolean|null, pending: number}>} mirrors - Status from SyncManager.getMirrorStatus()
+     */
+    updateMirrorStatus(mirrors) {
+        if (!this._mirrorsItem) return;
+
+        if (!mirrors || mirrors.length === 0) {
+            this._mirrorsItem.visible = false;
+            return;
+        }
+
+        const parts = mirrors.map(mirror => {
+            if (mirror.ok === null) {
+                return `${mirror.name} –`;
+            }
+            if (mirror.ok) {
+                return `${mirror.name} ✓`;
+            }
+            return mirror.pending > 0
+                ? `${mirror.name} ✗ (${mirror.pending} pending)`
+                : `${mirror.name} ✗`;
+        });
+        this._mirrorsItem.label.text = _(`Mirrors: ${parts.join(', ')}`);
+        this._mirrorsItem.visible = true;
+    }
+    
+    /**
+     * Update failover state
+     * @param {string|null} fallbackName - Name of the fallback in use, or null when on the primary
+     * @param {string} primaryName - Name of the primary provider
+     */
+    updateFailoverStatus(fallbackName, primaryName) {
+        if (!this._failoverItem) return;
+
+        if (fallbackName) {
+            this._failoverItem.label.text = _(`⚠ ${primaryName} unreachable, using ${fallbackName}`);
+            this._failoverItem.visible = true;
+            this._icon.add_style_class_name('failover-active');
+        } else {
+            this._failoverItem.visible = false;
+            this._icon.remove_style_class_name('failover-active');
+        }
+    }
+    
+    /**
+     * Update the count of settings and files changed differently here and on
+     * the remote. Activating the item opens the resolution dialog.
+     * @param {number} count - Number of unresolved conflicts
+     */
+    updateConflictStatus(count) {
+        if (!this._conflictsItem) return;
+
+        if (count > 0) {
+            this._conflictsItem.label.text = count === 1
+                ? _('⚠ 1 conflict to resolve')
+                : _(`⚠ ${count} conflicts to resolve`);
+            this._conflictsItem.visible = true;
+        } else {
+            this._conflictsItem.visible = false;
+        }
+    }
+    
+    /**
+     * Show or hide the undo action for the latest restore snapshot
+     * @param {Object|null} snapshot - From SyncManager.getLatestSnapshot()
+     */
+    updateUndoStatus(snapshot) {
+        if (!this._undoItem) return;
+
+        if (snapshot) {
+            const time = new Date(snapshot.timestamp).toLocaleTimeString();
+            this._undoItem.label.text = _(`↶ Undo Last Restore (${time})`);
+            this._undoItem.visible = true;
+        } else {
+            this._undoItem.visible = false;
+        }
+    }
+
+    /**
+     * Fill the profile switcher. It is only shown once named profiles are
+     * configured; choosing one asks the extension to switch.
+     * @param {string} active - Active profile name, '' for the default profile
+     * @param {Array<string>} profiles - Configured profile names
+     */
+    updateProfiles(active, profiles) {
+        if (!this._profileItem) return;
+
+        this._profileItem.menu.removeAll();
+        const names = ['', ...profiles.filter(name => name !== '')];
+        if (!names.includes(active)) {
+            names.push(active);
+        }
+        if (names.length === 1) {
+            this._profileItem.visible = false;
+            return;
+        }
+
+        this._profileItem.label.text = _(`Profile: ${active || _('Default')}`);
+        for (const name of names) {
+            const item = new PopupMenu.PopupMenuItem(name || _('Default'));
+            item.setOrnament(name === active ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+            item.connect('activate', () => {
+                if (this._extension && name !== active) {
+                    this._extension.switchProfile(name);
+                }
+            });
+            this._profileItem.menu.addMenuItem(item);
+        }
+        this._profileItem.visible = true;
+    }
+
     /**
      * Show remote changes available
      * @param {Object} commit - Commit information
@@ -372,8 +612,16 @@ class PanelIndicator extends PanelMenu.Button {
         this._pollingItem = null;
         this._queueItem = null;
         this._etagItem = null;
+        this._mirrorsItem = null;
+        this._failoverItem = null;
+        this._conflictsItem = null;
+        this._skippedItem = null;
+        this._secretsItem = null;
         this._remoteChangesItem = null;
         this._syncItem = null;
+        this._previewItem = null;
+        this._undoItem = null;
+        this._profileItem = null;
         this._settingsItem = null;
         
         // Clear icon reference
@@ -0,0 +1,495 @@
+/*
+ * S3Provider.js - S3-compatible object storage backend implementing StorageProvider
+ * Part of Gnoming Profiles extension
+ *
+ * Works with AWS S3, MinIO, Garage and other S3-compatible services.
+ * Requests are signed with AWS Signature Version 4.
+ */
+
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
+import { StorageProvider, StorageError } from './StorageProvider.js';
+import { Keyring } from './Keyring.js';
+
+/**
+ * S3 storage provider using path-style addressing and SigV4 signing.
+ */
+export class S3Provider extends StorageProvider {
+    static SIGNING_ALGORITHM = 'AWS4-HMAC-SHA256';
+    static SERVICE = 's3';
+    static DEFAULT_REGION = 'us-east-1';
+    static LIST_MAX_KEYS = 1000;
+
+    static HTTP_NOT_MODIFIED = 304;
+    static HTTP_NOT_FOUND = 404;
+    static HTTP_PRECONDITION_FAILED = 412;
+
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._httpSession = null;
+        this._initializeSession();
+    }
+
+    get name() {
+        return 'S3';
+    }
+
+    get changeCacheKey() {
+        return 's3-config';
+    }
+
+    _initializeSession() {
+        this._httpSession = new Soup.Session();
+        this._httpSession.timeout = 30;
+        this._httpSession.max_conns = 10;
+        this._httpSession.user_agent = 'GNOME-Config-Sync/3.1.0-S3';
+    }
+
+    /**
+     * Build credentials from GSettings, with the secret key from the keyring cache.
+     * An empty endpoint means AWS S3 in the configured region.
+     */
+    getCredentials(settings) {
+        const region = settings.get_string('s3-region') || S3Provider.DEFAULT_REGION;
+        const endpoint = settings.get_string('s3-endpoint') || `https://s3.${region}.amazonaws.com`;
+        const bucket = settings.get_string('s3-bucket');
+        const prefix = settings.get_string('s3-prefix');
+        const accessKey = settings.get_string('s3-access-key');
+        const secretKey = Keyring.get('s3-secret-key', settings);
+        if (!bucket || !accessKey || !secretKey) return null;
+        return {
+            endpoint: endpoint.replace(/\/+$/, ''),
+            region,
+            bucket,
+            prefix: prefix.replace(/^\/+/, '').replace(/\/+$/, ''),
+            accessKey,
+            secretKey
+        };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.endpoint && credentials.bucket &&
+                  credentials.accessKey && credentials.secretKey);
+    }
+
+    // ── SigV4 helpers ─────────────────────────────────────────────────
+
+    /**
+     * URI-encode per RFC 3986, as required by SigV4 canonical requests.
+     */
+    _uriEncode(str) {
+        return encodeURIComponent(str).replace(/[!'()*]/g,
+            c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    _hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    _sha256Hex(bytes) {
+        return GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, bytes);
+    }
+
+    _hmac(key, data) {
+        const dataBytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        return this._hexToBytes(GLib.compute_hmac_for_data(GLib.ChecksumType.SHA256, key, dataBytes));
+    }
+
+    _deriveSigningKey(secretKey, dateStamp, region) {
+        const kDate = this._hmac(new TextEncoder().encode(`AWS4${secretKey}`), dateStamp);
+        const kRegion = this._hmac(kDate, region);
+        const kService = this._hmac(kRegion, S3Provider.SERVICE);
+        return this._hmac(kService, 'aws4_request');
+    }
+
+    /**
+     * Compute SigV4 headers for a request.
+     * @param {string} method - HTTP method
+     * @param {GLib.Uri} uri - Parsed endpoint URI
+     * @param {string} canonicalPath - Already-encoded request path
+     * @param {Object} query - Query parameters (unencoded)
+     * @param {Uint8Array} body - Request body bytes
+     * @param {Object} credentials
+     * @returns {Object} Headers to add to the request
+     */
+    _signRequest(method, uri, canonicalPath, query, body, credentials) {
+        const now = GLib.DateTime.new_now_utc();
+        const amzDate = now.format('%Y%m%dT%H%M%SZ');
+        const dateStamp = now.format('%Y%m%d');
+        const payloadHash = this._sha256Hex(body);
+
+        const port = uri.get_port();
+        const defaultPort = uri.get_scheme() === 'https' ? 443 : 80;
+        const host = (port > 0 && port !== defaultPort) ? `${uri.get_host()}:${port}` : uri.get_host();
+
+        const canonicalQuery = Object.keys(query)
+            .map(k => [this._uriEncode(k), this._uriEncode(String(query[k]))])
+            .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+            .map(([k, v]) => `${k}=${v}`)
+            .join('&');
+
+        const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+        const canonicalHeaders = `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+
+        const canonicalRequest = [
+            method,
+            canonicalPath,
+            canonicalQuery,
+            canonicalHeaders,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const scope = `${dateStamp}/${credentials.region}/${S3Provider.SERVICE}/aws4_request`;
+        const stringToSign = [
+            S3Provider.SIGNING_ALGORITHM,
+            amzDate,
+            scope,
+            this._sha256Hex(new TextEncoder().encode(canonicalRequest))
+        ].join('\n');
+
+        const signingKey = this._deriveSigningKey(credentials.secretKey, dateStamp, credentials.region);
+        const signature = GLib.compute_hmac_for_data(GLib.ChecksumType.SHA256, signingKey,
+            new TextEncoder().encode(stringToSign));
+
+        return {
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': payloadHash,
+            'Authorization': `${S3Provider.SIGNING_ALGORITHM} Credential=${credentials.accessKey}/${scope}, ` +
+                             `SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    // ── HTTP helpers ─────────────────────────────────────────────────
+
+    /**
+     * Map a remote path to an object key under the configured prefix.
+     */
+    _objectKey(credentials, remotePath) {
+        const path = (remotePath || '').replace(/^\/+/, '');
+        return credentials.prefix ? `${credentials.prefix}/${path}` : path;
+    }
+
+    /**
+     * Perform a signed request against the bucket via the request queue.
+     * @param {string} method - HTTP method
+     * @param {string|null} key - Object key, or null for bucket-level requests
+     * @param {Object} credentials
+     * @param {Object} options - { query, body, headers, expectBinary }
+     */
+    async _request(method, key, credentials, options = {}) {
+        return this.requestQueue.add(() => this._performRequest(method, key, credentials, options));
+    }
+
+    _performRequest(method, key, credentials, { query = {}, body = null, headers = null, expectBinary = false } = {}) {
+        return new Promise((resolve, reject) => {
+            try {
+                const uri = GLib.Uri.parse(credentials.endpoint, GLib.UriFlags.NONE);
+                const basePath = (uri.get_path() || '').replace(/\/+$/, '');
+
+                let canonicalPath = `${basePath}/${this._uriEncode(credentials.bucket)}`;
+                if (key !== null) {
+                    canonicalPath += `/${key.split('/').map(s => this._uriEncode(s)).join('/')}`;
+                }
+
+                const queryString = Object.keys(query)
+                    .map(k => `${this._uriEncode(k)}=${this._uriEncode(String(query[k]))}`)
+                    .join('&');
+                const origin = credentials.endpoint.substring(0, credentials.endpoint.length - basePath.length);
+                const url = `${origin}${canonicalPath}${queryString ? `?${queryString}` : ''}`;
+
+                const bodyBytes = body === null ? new Uint8Array(0)
+                    : (body instanceof Uint8Array ? body : new TextEncoder().encode(body));
+
+                const message = Soup.Message.new(method, url);
+                if (!message) {
+                    throw new Error(`Invalid S3 URL: ${url}`);
+                }
+
+                const signedHeaders = this._signRequest(method, uri, canonicalPath, query, bodyBytes, credentials);
+                for (const [name, value] of Object.entries({ ...signedHeaders, ...(headers || {}) })) {
+                    message.request_headers.append(name, value);
+                }
+
+                if (body !== null) {
+                    message.set_request_body_from_bytes('application/octet-stream', GLib.Bytes.new(bodyBytes));
+                }
+
+                const finish = (session, data) => {
+                    const responseETag = message.response_headers
+                        ? message.response_headers.get_one('ETag')
+                        : null;
+                    resolve({
+                        ok: message.status_code >= 200 && message.status_code < 300,
+                        status: message.status_code,
+                        data,
+                        etag: responseETag,
+                        isBinary: expectBinary
+                    });
+                };
+
+                if (method === 'HEAD') {
+                    // HEAD responses have no body — use send_async as in WebDAVProvider
+                    this._httpSession.send_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                        try {
+                            session.send_finish(result);
+                            finish(session, null);
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+                } else {
+                    this._httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                        try {
+                            const bytes = session.send_and_read_finish(result);
+                            const rawData = bytes ? bytes.get_data() : null;
+                            let data;
+                            if (expectBinary) {
+                                data = rawData;
+                            } else {
+                                data = rawData ? new TextDecoder().decode(rawData) : '';
+                            }
+                            finish(session, data);
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+                }
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Decode the XML entities S3 uses in keys and tokens.
+     */
+    _decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    _xmlValues(xml, tag) {
+        const re = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'g');
+        const values = [];
+        let match;
+        while ((match = re.exec(xml)) !== null) {
+            values.push(this._decodeXml(match[1]));
+        }
+        return values;
+    }
+
+    // ── StorageProvider implementation ────────────────────────────────
+
+    /**
+     * Upload objects individually (S3 has no multi-object PUT), in order,
+     * stopping at the first failure.
+     */
+    async uploadBatch(changes, credentials) {
+        let lastError = null;
+        for (const change of changes) {
+            try {
+                const body = change.encoding === 'base64'
+                    ? GLib.base64_decode(change.content)
+                    : new TextEncoder().encode(change.content);
+
+                const response = await this._request('PUT', this._objectKey(credentials, change.path), credentials, { body });
+
+                if (response.ok) {
+                    // Cache the new ETag so our own upload isn't reported as a remote change
+                    if (change.path === this.profilePath('config-backup.json') && response.etag) {
+                        this.etagManager.setETag(this.changeCacheKey, response.etag);
+                    }
+                } else {
+                    console.error(`S3Provider: Failed to upload ${change.path}: HTTP ${response.status}`);
+                    if (response.data) console.error(`S3Provider: Response: ${String(response.data).substring(0, 500)}`);
+                    lastError = new StorageError(`Failed to upload ${change.path}: HTTP ${response.status}`, response.status);
+                    break;
+                }
+            } catch (e) {
+                console.error(`S3Provider: Error uploading ${change.path}: ${e.message}`);
+                lastError = e;
+                break;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    /**
+     * Delete objects individually. S3 answers 204 whether or not the key existed;
+     * the multi-object DELETE isn't used because it needs Content-MD5, which
+     * several S3-compatible servers handle inconsistently.
+     */
+    async deleteBatch(paths, credentials) {
+        let lastError = null;
+        for (const path of paths) {
+            try {
+                const response = await this._request('DELETE', this._objectKey(credentials, path), credentials);
+                if (!response.ok && response.status !== S3Provider.HTTP_NOT_FOUND) {
+                    console.error(`S3Provider: Failed to delete ${path}: HTTP ${response.status}`);
+                    lastError = new StorageError(`Failed to delete ${path}: HTTP ${response.status}`, response.status);
+                }
+            } catch (e) {
+                console.error(`S3Provider: Error deleting ${path}: ${e.message}`);
+                lastError = e;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    async downloadFile(path, credentials) {
+        const response = await this._request('GET', this._objectKey(credentials, path), credentials);
+
+        if (!response.ok) {
+            if (response.status !== S3Provider.HTTP_NOT_FOUND) {
+                console.error(`S3Provider: Download failed for ${path}: HTTP ${response.status}`);
+            }
+            return { ok: false, status: response.status, content: null };
+        }
+
+        return { ok: true, status: response.status, content: response.data };
+    }
+
+    async downloadBinaryFile(path, credentials) {
+        const response = await this._request('GET', this._objectKey(credentials, path), credentials, { expectBinary: true });
+
+        if (!response.ok) {
+            throw new StorageError(`Binary download failed for ${path}: ${response.status}`, response.status);
+        }
+
+        if (response.data instanceof Uint8Array) {
+            return response.data;
+        }
+        throw new Error('Response was not binary data as expected');
+    }
+
+    /**
+     * List a "directory" with ListObjectsV2, using '/' as delimiter so
+     * sub-prefixes come back as CommonPrefixes (directories).
+     */
+    async listDirectory(path, credentials) {
+        const dirPrefix = `${this._objectKey(credentials, path).replace(/\/+$/, '')}/`.replace(/^\/$/, '');
+        const files = [];
+        let continuationToken = null;
+
+        do {
+            const query = {
+                'list-type': '2',
+                'prefix': dirPrefix,
+                'delimiter': '/',
+                'max-keys': String(S3Provider.LIST_MAX_KEYS)
+            };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const response = await this._request('GET', null, credentials, { query });
+            if (!response.ok) {
+                return { ok: false, status: response.status, files: [] };
+            }
+
+            for (const block of this._xmlValues(response.data, 'Contents')) {
+                const [key] = this._xmlValues(block, 'Key');
+                const name = key ? key.substring(dirPrefix.length) : '';
+                if (!name) continue;
+                files.push({
+                    name,
+                    type: 'file',
+                    download_url: null,
+                    url: key
+                });
+            }
+
+            for (const block of this._xmlValues(response.data, 'CommonPrefixes')) {
+                const [prefix] = this._xmlValues(block, 'Prefix');
+                const name = prefix ? prefix.substring(dirPrefix.length).replace(/\/+$/, '') : '';
+                if (!name) continue;
+                files.push({
+                    name,
+                    type: 'dir',
+                    download_url: null,
+                    url: prefix
+                });
+            }
+
+            const [isTruncated] = this._xmlValues(response.data, 'IsTruncated');
+            const [nextToken] = this._xmlValues(response.data, 'NextContinuationToken');
+            continuationToken = isTruncated === 'true' ? nextToken : null;
+        } while (continuationToken);
+
+        if (files.length === 0) {
+            // S3 has no real directories — an empty prefix behaves like a missing folder
+            return { ok: false, status: S3Provider.HTTP_NOT_FOUND, files: [] };
+        }
+
+        return { ok: true, status: 200, files };
+    }
+
+    /**
+     * Poll for changes with a conditional HEAD on config-backup.json.
+     */
+    async pollForChanges(credentials) {
+        const key = this._objectKey(credentials, this.profilePath('config-backup.json'));
+        const cachedETag = this.etagManager.getETag(this.changeCacheKey);
+        const headers = cachedETag ? { 'If-None-Match': cachedETag } : null;
+
+        try {
+            const response = await this._request('HEAD', key, credentials, { headers });
+
+            if (response.status === S3Provider.HTTP_NOT_MODIFIED) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: true };
+            }
+
+            if (response.status === S3Provider.HTTP_NOT_FOUND) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: false };
+            }
+
+            if (!response.ok) {
+                throw new StorageError(`HEAD poll failed: ${response.status}`, response.status);
+            }
+
+            if (!response.etag) {
+                this.etagManager.setLastPollResult(null);
+                return { hasChanges: false, etag304: false };
+            }
+
+            const hasChanges = cachedETag !== null && cachedETag !== response.etag;
+            this.etagManager.setETag(this.changeCacheKey, response.etag);
+            this.etagManager.setLastPollResult(hasChanges);
+
+            // First poll just caches the ETag
+            return { hasChanges, etag304: false };
+        } catch (error) {
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    clearChangeCache() {
+        this.etagManager.clearETag(this.changeCacheKey);
+    }
+
+    cleanup() {
+        if (this._httpSession) {
+            this._httpSession.abort();
+            this._httpSession = null;
+        }
+        super.cleanup();
+    }
+}
@@ -0,0 +1,173 @@
+/*
+ * SchemaPaths.js - Relocatable schemas and dconf subtrees in the synced schemas list
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+Gio._promisify(Gio.Subprocess.prototype, 'communicate_utf8_async');
+
+/**
+ * Parses gsettings-schemas entries and opens the settings they name.
+ * Entries are:
+ *   org.gnome.desktop.interface       a schema with a fixed path
+ *   SCHEMA:/org/example/path/         a relocatable schema at one path
+ *   SCHEMA:/org/example/parent/*\/     a relocatable schema at every child
+ *                                     path of a dconf directory
+ *   /org/gnome/terminal/legacy/profiles:/
+ *                                     every child of a known dconf
+ *                                     directory, see KNOWN_SUBTREES
+ *
+ * Expanding an entry gives ids: the schema for fixed schemas and
+ * SCHEMA:/path/ for relocatable ones, as `gsettings` writes them. Ids key
+ * the gsettings in the remote config, so a restore recreates relocated
+ * settings at the same paths.
+ */
+export class SchemaPaths {
+    // Kill `dconf list` if it hangs, e.g. on a broken session bus
+    static DCONF_TIMEOUT_SECONDS = 5;
+
+    // dconf directories whose children all use one relocatable schema, for
+    // entries that give only the path
+    static KNOWN_SUBTREES = {
+        '/org/gnome/settings-daemon/plugins/media-keys/custom-keybindings/': 'org.gnome.settings-daemon.plugins.media-keys.custom-keybinding',
+        '/org/gnome/terminal/legacy/profiles:/': 'org.gnome.Terminal.Legacy.Profile',
+        '/org/gnome/Ptyxis/Profiles/': 'org.gnome.Ptyxis.Profile',
+    };
+
+    /**
+     * Split an entry or id into its parts
+     * @param {string} entry - gsettings-schemas entry or expanded id
+     * @returns {{schema: string|null, path: string|null, children: boolean}}
+     *   children is set for entries naming every child of path
+     */
+    static parse(entry) {
+        entry = entry.trim();
+        if (entry.startsWith('/')) {
+            return { schema: SchemaPaths.KNOWN_SUBTREES[entry] || null, path: entry, children: true };
+        }
+
+        const separator = entry.indexOf(':');
+        if (separator === -1) {
+            return { schema: entry, path: null, children: false };
+        }
+
+        const schema = entry.slice(0, separator);
+        const path = entry.slice(separator + 1);
+        return path.endsWith('/*/')
+            ? { schema, path: path.slice(0, -'*/'.length), children: true }
+            : { schema, path, children: false };
+    }
+
+    /**
+     * Check a dconf directory path; Gio.Settings aborts on invalid ones
+     * @param {string} path
+     * @returns {boolean}
+     */
+    static isValidPath(path) {
+        return /^\/([^/]+\/)*$/.test(path);
+    }
+
+    /**
+     * Look up the schema behind an id, if it is installed and the id gives
+     * a path exactly when the schema is relocatable
+     * @param {string} id - Expanded id
+     * @returns {Gio.SettingsSchema|null}
+     */
+    static lookup(id) {
+        const { schema, path, children } = SchemaPaths.parse(id);
+        const source = Gio.SettingsSchemaSource.get_default();
+        const schemaObj = schema && !children && source ? source.lookup(schema, true) : null;
+        if (!schemaObj) {
+            return null;
+        }
+
+        const relocatable = schemaObj.get_path() === null;
+        if (relocatable !== (path !== null) || (path && !SchemaPaths.isValidPath(path))) {
+            console.warn(`SchemaPaths: ${id} ${relocatable ? 'needs a valid path' : 'has a fixed path'}`);
+            return null;
+        }
+        return schemaObj;
+    }
+
+    /**
+     * Open the settings an id names
+     * @param {string} id - Expanded id
+     * @returns {{schema: Gio.SettingsSchema, settings: Gio.Settings}|null}
+     *   null if the schema isn't installed or the id doesn't fit it
+     */
+    static open(id) {
+        const schema = SchemaPaths.lookup(id);
+        if (!schema) {
+            return null;
+        }
+        const { path } = SchemaPaths.parse(id);
+        const settings = path
+            ? new Gio.Settings({ settings_schema: schema, path })
+            : new Gio.Settings({ settings_schema: schema });
+        return { schema, settings };
+    }
+
+    /**
+     * Expand entries into ids, listing dconf for entries with children
+     * @param {string[]} entries - gsettings-schemas entries
+     * @returns {Promise<string[]>} Ids, in entry order without duplicates
+     */
+    static async expand(entries) {
+        const ids = new Set();
+        for (const entry of entries) {
+            const { schema, path, children } = SchemaPaths.parse(entry);
+            if (!children) {
+                ids.add(entry.trim());
+                continue;
+            }
+            if (!schema || !SchemaPaths.isValidPath(path)) {
+                console.warn(`SchemaPaths: Don't know the schema for ${entry}; write it as SCHEMA:${path}*/`);
+                continue;
+            }
+            for (const child of await SchemaPaths.listChildren(path)) {
+                ids.add(`${schema}:${child}`);
+            }
+        }
+        return [...ids];
+    }
+
+    /**
+     * List the child directories of a dconf path
+     * @param {string} path - dconf directory, ending in /
+     * @returns {Promise<string[]>} Child paths, ending in /
+     */
+    static async listChildren(path) {
+        let proc;
+        try {
+            proc = Gio.Subprocess.new(['dconf', 'list', path],
+                Gio.SubprocessFlags.STDOUT_PIPE | Gio.SubprocessFlags.STDERR_SILENCE);
+        } catch (e) {
+            console.error(`SchemaPaths: Can't run dconf to list ${path}: ${e.message}`);
+            return [];
+        }
+
+        let timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, SchemaPaths.DCONF_TIMEOUT_SECONDS, () => {
+            console.warn(`SchemaPaths: dconf list ${path} timed out, terminating`);
+            proc.force_exit();
+            timeoutId = 0;
+            return GLib.SOURCE_REMOVE;
+        });
+
+        try {
+            const [stdout] = await proc.communicate_utf8_async(null, null);
+            if (!proc.get_successful()) {
+                return [];
+            }
+            return (stdout || '').split('\n')
+                .filter(name => name.endsWith('/'))
+                .map(name => `${path}${name}`);
+        } catch (e) {
+            console.error(`SchemaPaths: Failed to list ${path}: ${e.message}`);
+            return [];
+        } finally {
+            if (timeoutId) GLib.source_remove(timeoutId);
+        }
+    }
+}
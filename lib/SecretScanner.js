@@ -0,0 +1,128 @@
+/*
+ * SecretScanner.js - Finds credentials in files before they are uploaded
+ * Part of Gnoming Profiles extension
+ */
+
+/**
+ * Looks for credentials that commonly end up in dotfiles: provider tokens,
+ * AWS keys, private key blocks, and random-looking values assigned to names
+ * like TOKEN or PASSWORD. Specific patterns are checked first; an
+ * assignment overlapping one of their matches is not reported again.
+ *
+ * Findings give the range of the secret itself, so redact() can replace
+ * just the value and leave `export GITHUB_TOKEN=` in place.
+ */
+export class SecretScanner {
+    // What to do with a file that has findings, from secret-scan-mode
+    static MODE_OFF = 'off';
+    static MODE_BLOCK = 'block';      // Hold the file back
+    static MODE_REDACT = 'redact';    // Upload it with the secrets replaced
+    static MODE_ASK = 'ask';          // Hold it back until allowed from the panel
+
+    // A value assigned to a secret-sounding name counts when it is at least
+    // this long and this random; placeholders and paths fall below it
+    static ENTROPY_MIN_LENGTH = 16;
+    static ENTROPY_MIN_BITS = 3.5;
+
+    // The capture group is the secret; regexps need the g and d flags
+    static PATTERNS = [
+        {
+            type: 'private-key',
+            label: 'Private key',
+            regexp: /(-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----|$))/gd
+        },
+        {
+            type: 'github-token',
+            label: 'GitHub token',
+            regexp: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{50,})\b/gd
+        },
+        {
+            type: 'gitlab-token',
+            label: 'GitLab token',
+            regexp: /\b(gl(?:pat|dt|rt|ptt)-[A-Za-z0-9_-]{20,})/gd
+        },
+        {
+            type: 'aws-access-key',
+            label: 'AWS access key',
+            regexp: /\b((?:AKIA|ASIA)[A-Z0-9]{16})\b/gd
+        },
+        {
+            type: 'aws-secret-key',
+            label: 'AWS secret key',
+            regexp: /aws_secret_access_key["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gid
+        },
+    ];
+
+    // NAME=value, NAME: value or "name": "value", where NAME sounds secret.
+    // Variable references, paths and URLs are not values worth reporting.
+    static ASSIGNMENT = /(?<![A-Za-z0-9_.-])[A-Za-z0-9_.-]*(?:token|secret|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|auth)[A-Za-z0-9_.-]*["']?\s*[:=]\s*["']?(?![/~.])([^\s"'`;,#$]+)/gid;
+
+    /**
+     * Find credentials in text
+     * @param {string} text - File content
+     * @returns {Array<{type: string, label: string, line: number, start: number, end: number}>}
+     *   Sorted by position; line is 1-based, start and end index into text
+     */
+    static scan(text) {
+        const findings = [];
+        const overlaps = (start, end) => findings.some(f => start < f.end && end > f.start);
+
+        for (const { type, label, regexp } of SecretScanner.PATTERNS) {
+            for (const match of text.matchAll(regexp)) {
+                const [start, end] = match.indices[1];
+                if (end > start && !overlaps(start, end)) {
+                    findings.push({ type, label, start, end });
+                }
+            }
+        }
+
+        for (const match of text.matchAll(SecretScanner.ASSIGNMENT)) {
+            const [start, end] = match.indices[1];
+            if (match[1].length >= SecretScanner.ENTROPY_MIN_LENGTH && !match[1].includes('://') &&
+                SecretScanner.entropy(match[1]) >= SecretScanner.ENTROPY_MIN_BITS &&
+                !overlaps(start, end)) {
+                findings.push({ type: 'assignment', label: 'High-entropy secret', start, end });
+            }
+        }
+
+        findings.sort((a, b) => a.start - b.start);
+        for (const finding of findings) {
+            finding.line = text.slice(0, finding.start).split('\n').length;
+        }
+        return findings;
+    }
+
+    /**
+     * Replace each finding's secret with a marker naming its type
+     * @param {string} text - Content that was scanned
+     * @param {Array} findings - From scan(text)
+     * @returns {string}
+     */
+    static redact(text, findings) {
+        let result = '';
+        let position = 0;
+        for (const { type, start, end } of findings) {
+            result += `${text.slice(position, start)}<redacted:${type}>`;
+            position = end;
+        }
+        return result + text.slice(position);
+    }
+
+    /**
+     * Shannon entropy of a string
+     * @param {string} value
+     * @returns {number} Bits per character
+     */
+    static entropy(value) {
+        const counts = new Map();
+        for (const char of value) {
+            counts.set(char, (counts.get(char) || 0) + 1);
+        }
+        let bits = 0;
+        for (const count of counts.values()) {
+            const p = count / value.length;
+            bits -= p * Math.log2(p);
+        }
+        return bits;
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import Gio from 'gi://Gio';
+import { SchemaPaths } from './SchemaPaths.js';
 
 /**
  * Monitors GSettings schemas for changes
@@ -33,19 +34,19 @@ export class SettingsMonitor {
     
     /**
      * Start monitoring a GSettings schema
-     * @param {string} schema - Schema ID to monitor
+     * @param {string} schema - Schema ID to monitor, or SCHEMA:/path/ for a
+     *   relocatable schema
      */
     addSchema(schema) {
         try {
             // Check if schema exists before trying to access it
-            const schemaSource = Gio.SettingsSchemaSource.get_default();
-            const schemaObj = schemaSource.lookup(schema, true);
+            const opened = SchemaPaths.open(schema);
             
-            if (!schemaObj) {
+            if (!opened) {
                 return false;
             }
             
-            const settings = new Gio.Settings({schema: schema});
+            const settings = opened.settings;
             
             const handlerId = settings.connect('changed', (settings, key) => {
                 this._onSettingChanged(schema, key);
@@ -137,8 +138,7 @@ export class SettingsMonitor {
             
             for (const schema of schemas) {
                 try {
-                    const schemaObj = schemaSource.lookup(schema, true);
-                    if (schemaObj) {
+                    if (SchemaPaths.lookup(schema)) {
                         available.push(schema);
                     } else {
                         missing.push(schema);
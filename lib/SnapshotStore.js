@@ -0,0 +1,248 @@
+/*
+ * SnapshotStore.js - Local snapshots taken before each restore
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Each snapshot is <id>.json under ~/.local/share/gnoming-profiles/snapshots,
+ * with copies of the files it saved in the <id>/ directory next to it:
+ * { id, timestamp, settings: {schema: {key: printed GVariant}},
+ *   files: {path: {exists, blob?, mode?, symlink?}} }
+ * Paths are as written in sync-files. A file that didn't exist before the
+ * restore has exists: false, so undoing removes it again.
+ *
+ * The extension writes snapshots; the preferences window lists and deletes
+ * them, and asks the extension to restore one through restore-snapshot.
+ */
+export class SnapshotStore {
+    /**
+     * Directory holding all snapshots
+     * @returns {Gio.File}
+     */
+    static getDirectory() {
+        return Gio.File.new_for_path(GLib.build_filenamev(
+            [GLib.get_user_data_dir(), 'gnoming-profiles', 'snapshots']));
+    }
+
+    /**
+     * Start a snapshot. Nothing is written until something is captured.
+     * @returns {RestoreSnapshot}
+     */
+    begin() {
+        const now = new Date();
+        // Sortable and unique enough: two restores can't start in the same millisecond
+        const id = now.toISOString().replace(/[:.]/g, '-');
+        return new RestoreSnapshot(SnapshotStore.getDirectory(), id, now.toISOString());
+    }
+
+    /**
+     * All saved snapshots, newest first
+     * @returns {Array<Object>} Snapshots as saved
+     */
+    list() {
+        const snapshots = [];
+        let enumerator;
+        try {
+            enumerator = SnapshotStore.getDirectory().enumerate_children(
+                'standard::name,standard::type', Gio.FileQueryInfoFlags.NONE, null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                console.error(`SnapshotStore: Failed to list snapshots: ${e.message}`);
+            }
+            return snapshots;
+        }
+
+        let info;
+        while ((info = enumerator.next_file(null)) !== null) {
+            const name = info.get_name();
+            if (info.get_file_type() !== Gio.FileType.REGULAR || !name.endsWith('.json')) continue;
+            const snapshot = this.get(name.slice(0, -'.json'.length));
+            if (snapshot) {
+                snapshots.push(snapshot);
+            }
+        }
+        enumerator.close(null);
+
+        return snapshots.sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    /**
+     * Read one snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Object|null} Snapshot, or null if there is no such snapshot
+     */
+    get(id) {
+        try {
+            const [, contents] = SnapshotStore.getDirectory().get_child(`${id}.json`).load_contents(null);
+            return JSON.parse(new TextDecoder().decode(contents));
+        } catch (e) {
+            if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                console.error(`SnapshotStore: Failed to read snapshot ${id}: ${e.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Saved copy of a file in a snapshot
+     * @param {string} id - Snapshot id
+     * @param {string} blob - The file entry's blob name
+     * @returns {Gio.File}
+     */
+    getBlob(id, blob) {
+        return SnapshotStore.getDirectory().get_child(id).get_child(blob);
+    }
+
+    /**
+     * Delete a snapshot and its saved files
+     * @param {string} id - Snapshot id
+     */
+    delete(id) {
+        const dir = SnapshotStore.getDirectory();
+        try {
+            const filesDir = dir.get_child(id);
+            if (filesDir.query_exists(null)) {
+                const enumerator = filesDir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                let info;
+                while ((info = enumerator.next_file(null)) !== null) {
+                    filesDir.get_child(info.get_name()).delete(null);
+                }
+                enumerator.close(null);
+                filesDir.delete(null);
+            }
+            dir.get_child(`${id}.json`).delete(null);
+        } catch (e) {
+            console.error(`SnapshotStore: Failed to delete snapshot ${id}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Delete the oldest snapshots beyond a count
+     * @param {number} keep - Number of snapshots to keep
+     */
+    prune(keep) {
+        for (const snapshot of this.list().slice(keep)) {
+            this.delete(snapshot.id);
+        }
+    }
+}
+
+/**
+ * A snapshot being captured during a restore. Only the first capture of a
+ * key or file counts, so it keeps the state from before the restore.
+ */
+export class RestoreSnapshot {
+    constructor(dir, id, timestamp) {
+        this._dir = dir;
+        this.id = id;
+        this.timestamp = timestamp;
+        this.settings = {};
+        this.files = {};
+        this._blobCount = 0;
+    }
+
+    get isEmpty() {
+        return Object.keys(this.settings).length === 0 && Object.keys(this.files).length === 0;
+    }
+
+    /**
+     * Record a key's value before it is overwritten
+     * @param {string} schema - GSettings schema
+     * @param {string} key - Key name
+     * @param {string} value - Current value as a printed GVariant
+     */
+    captureSetting(schema, key, value) {
+        if (!this.settings[schema]) {
+            this.settings[schema] = {};
+        }
+        if (!(key in this.settings[schema])) {
+            this.settings[schema][key] = value;
+        }
+    }
+
+    /**
+     * Save a copy of a file before it is overwritten, deleted or chmodded
+     * @param {string} filePath - Path as written in sync-files
+     * @param {Gio.File} file - The local file
+     */
+    captureFile(filePath, file) {
+        if (filePath in this.files) {
+            return;
+        }
+
+        let info;
+        try {
+            info = file.query_info('standard::type,standard::symlink-target,unix::mode',
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+                throw e;
+            }
+            this.files[filePath] = { exists: false };
+            return;
+        }
+
+        if (info.get_file_type() === Gio.FileType.SYMBOLIC_LINK) {
+            this.files[filePath] = { exists: true, symlink: info.get_symlink_target() };
+            return;
+        }
+
+        const filesDir = this._dir.get_child(this.id);
+        if (!filesDir.query_exists(null)) {
+            this._makeDirectory(filesDir);
+        }
+        const blob = String(this._blobCount++);
+        file.copy(filesDir.get_child(blob), Gio.FileCopyFlags.OVERWRITE, null, null);
+        this.files[filePath] = {
+            exists: true,
+            blob,
+            ...(info.has_attribute('unix::mode') && {
+                mode: (info.get_attribute_uint32('unix::mode') & 0o7777).toString(8).padStart(4, '0')
+            })
+        };
+    }
+
+    /**
+     * Write <id>.json, if anything was captured. Can be called again after
+     * more captures.
+     */
+    save() {
+        if (this.isEmpty) {
+            return;
+        }
+        try {
+            if (!this._dir.query_exists(null)) {
+                this._makeDirectory(this._dir);
+            }
+            const snapshot = {
+                id: this.id,
+                timestamp: this.timestamp,
+                settings: this.settings,
+                files: this.files
+            };
+            this._dir.get_child(`${this.id}.json`).replace_contents(
+                new TextEncoder().encode(JSON.stringify(snapshot, null, 2)),
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION | Gio.FileCreateFlags.PRIVATE,
+                null
+            );
+        } catch (e) {
+            console.error(`SnapshotStore: Failed to save snapshot ${this.id}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Create the snapshots directory or a snapshot's file directory.
+     * Snapshots hold copies of private files such as ~/.ssh/config, so the
+     * snapshots directory is 0700.
+     */
+    _makeDirectory(dir) {
+        dir.make_directory_with_parents(null);
+        SnapshotStore.getDirectory().set_attribute_uint32('unix::mode', 0o700,
+            Gio.FileQueryInfoFlags.NONE, null);
+    }
+}
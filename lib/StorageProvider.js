@@ -3,11 +3,49 @@
  * Part of Gnoming Profiles extension
  */
 
+/**
+ * Error for a request the backend answered with a failure status. The
+ * status is kept so callers can tell outages (429, 5xx) from other failures
+ * without reading the message.
+ */
+export class StorageError extends Error {
+    /**
+     * @param {string} message - What failed
+     * @param {number} status - HTTP status, or the provider's equivalent
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'StorageError';
+        this.status = status;
+    }
+}
+
 /**
  * Abstract storage provider interface.
- * All storage backends (GitHub, Nextcloud, etc.) must implement these methods.
+ * All storage backends (GitHub, Nextcloud, Local Folder, etc.) must implement these methods.
+ *
+ * Paths passed to providers are complete remote paths. SyncManager places
+ * everything for a named profile under profiles/<name>/ with profilePath();
+ * the default profile keeps the original layout at the root.
+ *
+ * Backends that keep earlier versions expose them through historyType,
+ * listRevisions() and downloadRevision(); the others keep the defaults,
+ * which report no history.
  */
 export class StorageProvider {
+    static PROFILES_DIRECTORY = 'profiles';
+
+    // Profile names become a directory on the remote
+    static PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
+
+    // What a revision from listRevisions() covers
+    static HISTORY_NONE = 'none';        // No earlier versions are kept
+    static HISTORY_COMMITS = 'commits';  // The whole remote at one commit; its id reads any path
+    static HISTORY_FILE = 'file';        // One file; every file has its own revisions
+
+    // Revisions listed when the caller doesn't say
+    static HISTORY_LIMIT = 20;
+
     /**
      * @param {import('./RequestQueue.js').RequestQueue} requestQueue
      * @param {import('./ETagManager.js').ETagManager} etagManager
@@ -15,6 +53,28 @@ export class StorageProvider {
     constructor(requestQueue, etagManager) {
         this.requestQueue = requestQueue;
         this.etagManager = etagManager;
+        // Active profile name, '' for the default profile
+        this.profile = '';
+    }
+
+    /**
+     * Check that a profile name can be used as a remote directory name
+     * @param {string} name - Profile name
+     * @returns {boolean}
+     */
+    static isValidProfileName(name) {
+        return StorageProvider.PROFILE_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Remote path of a file in the active profile
+     * @param {string} path - Path within the profile, e.g. 'config-backup.json'
+     * @returns {string}
+     */
+    profilePath(path) {
+        return this.profile
+            ? `${StorageProvider.PROFILES_DIRECTORY}/${this.profile}/${path}`
+            : path;
     }
 
     /**
@@ -25,10 +85,23 @@ export class StorageProvider {
         throw new Error('StorageProvider.name must be implemented');
     }
 
+    /**
+     * Get the ETagManager key this provider uses for change detection.
+     * Used by the panel indicator to report polling cache status.
+     * @returns {string}
+     */
+    get changeCacheKey() {
+        throw new Error('StorageProvider.changeCacheKey must be implemented');
+    }
+
     /**
      * Upload a batch of file changes atomically (or as close to atomic as the backend supports).
      * @param {Array<{path: string, content: string, encoding?: string, mode?: string}>} changes
      *   Each entry has a remote path, content string, and optional encoding ('utf-8' or 'base64').
+     *   mode is the git tree mode ('100644', '100755', or '120000' with the link target as content);
+     *   backends that don't store modes ignore it, the config's file list records them for restore.
+     *   Backends that write file by file go in order and throw at the first failure, leaving
+     *   the rest unwritten; SyncManager puts the configs last so they only list what arrived.
      * @param {Object} credentials - Provider-specific credentials object
      * @returns {Promise<void>}
      */
@@ -36,6 +109,28 @@ export class StorageProvider {
         throw new Error('StorageProvider.uploadBatch must be implemented');
     }
 
+    /**
+     * Delete a batch of files (atomically where the backend supports it).
+     * Paths that don't exist remotely are ignored, so retrying a partly applied
+     * batch is safe.
+     * @param {Array<string>} paths - Remote file paths
+     * @param {Object} credentials - Provider-specific credentials object
+     * @returns {Promise<void>}
+     */
+    async deleteBatch(paths, credentials) {
+        throw new Error('StorageProvider.deleteBatch must be implemented');
+    }
+
+    /**
+     * Delete a single file. Missing files are not an error.
+     * @param {string} path - Remote file path
+     * @param {Object} credentials - Provider-specific credentials object
+     * @returns {Promise<void>}
+     */
+    async deleteFile(path, credentials) {
+        return this.deleteBatch([path], credentials);
+    }
+
     /**
      * Download a text file from the remote storage.
      * @param {string} path - Remote file path
@@ -66,8 +161,42 @@ export class StorageProvider {
         throw new Error('StorageProvider.listDirectory must be implemented');
     }
 
+    /**
+     * How this backend keeps earlier versions, one of the HISTORY_* constants
+     * @returns {string}
+     */
+    get historyType() {
+        return StorageProvider.HISTORY_NONE;
+    }
+
+    /**
+     * List earlier versions of a file, newest first, starting with the
+     * current one. Backends without history return an empty list.
+     * @param {string} path - Remote file path
+     * @param {Object} credentials - Provider-specific credentials object
+     * @param {number} limit - Most revisions to return
+     * @returns {Promise<Array<{id: string, timestamp: string, author: string|null, message: string|null}>>}
+     *   timestamp is ISO 8601; author and message are whatever the backend records
+     */
+    async listRevisions(path, credentials, limit = StorageProvider.HISTORY_LIMIT) {
+        return [];
+    }
+
+    /**
+     * Download a file as it was at a revision from listRevisions(). With
+     * HISTORY_COMMITS the revision may come from another file's list.
+     * @param {string} path - Remote file path
+     * @param {string} revision - Revision id
+     * @param {Object} credentials - Provider-specific credentials object
+     * @returns {Promise<{ok: boolean, status: number, content: Uint8Array|null}>}
+     */
+    async downloadRevision(path, revision, credentials) {
+        throw new Error(`${this.name} does not keep file history`);
+    }
+
     /**
      * Poll for remote changes using efficient conditional requests (ETags, etc.).
+     * Backends that watch config-backup.json watch the active profile's copy.
      * @param {Object} credentials - Provider-specific credentials object
      * @returns {Promise<{hasChanges: boolean}>}
      */
@@ -84,7 +213,8 @@ export class StorageProvider {
 
     /**
      * Build a credentials object from GSettings.
-     * Each provider reads the keys it needs.
+     * Each provider reads the keys it needs; secrets come from Keyring.get(),
+     * which extension.js loads before syncing (or GSettings without a keyring).
      * @param {Gio.Settings} settings
      * @returns {Object} Provider-specific credentials, or null if incomplete
      */
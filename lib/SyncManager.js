@@ -5,10 +5,40 @@
 
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import { ConflictStore } from './ConflictStore.js';
+import { SyncManifest } from './SyncManifest.js';
+import { Utils } from './Utils.js';
+import { FilePatterns } from './FilePatterns.js';
+import { SyncPlan } from './SyncPlan.js';
+import { SnapshotStore } from './SnapshotStore.js';
+import { StorageProvider, StorageError } from './StorageProvider.js';
+import { SchemaPaths } from './SchemaPaths.js';
+import { Encryption } from './Encryption.js';
+import { SecretScanner } from './SecretScanner.js';
 
 /**
  * Manages all sync operations including backup creation and restoration.
  * Works with any StorageProvider implementation (GitHub, Nextcloud, etc.).
+ *
+ * Remote paths used here (config-backup.json, files/..., wallpapers/...) are
+ * relative to the active profile; they are turned into full remote paths
+ * with StorageProvider.profilePath() only when talking to a provider.
+ *
+ * Keys and files marked machine-local skip the shared config. Each machine
+ * keeps them in its own override layer next to it: machines/<name>.json
+ * holds the keys, file list and deletions, and files go under
+ * machines/<name>/files/. Restores apply the shared config, then the layer.
+ *
+ * With encryption on, every uploaded blob is encrypted right before the
+ * batch goes out, and downloads from a remote with the key-check file are
+ * decrypted as they arrive; everything in between works on plain content.
+ *
+ * Text files are scanned for credentials before they join a batch; by
+ * secret-scan-mode, a file with findings is held back or uploaded redacted.
+ *
+ * On backends that keep history, getHistory() lists earlier versions of
+ * config-backup.json with what each changed, and restoreRevision() puts
+ * the profile, one key or one file back as it was at one of them.
  */
 export class SyncManager {
     // Timing constants
@@ -18,11 +48,95 @@ export class SyncManager {
     // HTTP status codes
     static HTTP_NOT_FOUND = 404;
 
+    // Deletion records are dropped after this long; a machine offline for
+    // longer will upload its copy of a deleted file again
+    static TOMBSTONE_MAX_AGE_DAYS = 90;
+
+    // Files in sync-files larger than this are skipped and reported
+    static MAX_SYNC_FILE_BYTES = 10 * 1024 * 1024;
+
+    // Backends with per-file history upload a batch one file at a time, so a
+    // file's revision may be a little newer than the config that lists it
+    static HISTORY_MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+    // Per-machine override layers, next to config-backup.json
+    static MACHINES_DIRECTORY = 'machines';
+
+    // Queried without following symlinks for every synced file
+    static LOCAL_FILE_ATTRIBUTES = 'standard::type,standard::size,standard::symlink-target,unix::mode';
+
+    // Outcome of merging one key against the last synced base
+    static MERGE_SAME = 'same';          // Local and remote agree
+    static MERGE_LOCAL = 'local';        // Only changed here
+    static MERGE_REMOTE = 'remote';      // Only changed on the remote
+    static MERGE_CONFLICT = 'conflict';  // Changed differently on both sides
+    static MERGE_UNKNOWN = 'unknown';    // Differs, but no base to tell who changed it
+
+    // Errors that make a backend worth skipping in favour of a fallback:
+    // rate limiting and server-side failures, from a StorageError's status
+    static HTTP_TOO_MANY_REQUESTS = 429;
+    static HTTP_SERVER_ERROR_MIN = 500;
+    static HTTP_SERVER_ERROR_MAX = 599;
+    static FAILOVER_IO_ERRORS = [
+        Gio.IOErrorEnum.TIMED_OUT,
+        Gio.IOErrorEnum.HOST_NOT_FOUND,
+        Gio.IOErrorEnum.HOST_UNREACHABLE,
+        Gio.IOErrorEnum.NETWORK_UNREACHABLE,
+        Gio.IOErrorEnum.CONNECTION_REFUSED,
+        Gio.IOErrorEnum.CONNECTION_CLOSED,
+        Gio.IOErrorEnum.NOT_CONNECTED,
+        Gio.IOErrorEnum.BROKEN_PIPE,
+        Gio.IOErrorEnum.PROXY_FAILED,
+    ];
+
     constructor(storageProvider, wallpaperManager, settings) {
         this.storageProvider = storageProvider;
         this.wallpaperManager = wallpaperManager;
         this.settings = settings;
-        this._contentHashCache = new Map();
+        // Hashes of uploaded content, persisted so a restart doesn't re-upload everything
+        this._manifest = new SyncManifest();
+
+        // Deletion tracking: what this machine listed and had on disk at the
+        // last successful sync (null until then), and remote deletions to retry
+        this._listedFiles = null;
+        this._localFiles = null;
+        this._pendingDeletions = new Set();
+
+        // sync-files entries left out of the last upload, with the reason
+        this._skippedFiles = new Map();
+
+        // Parsed machine-local-files, rebuilt when the setting changes
+        this._machineFiles = null;
+
+        // Credentials the last upload found, per sync-files path, and the
+        // parsed secret-scan-allowlist
+        this._secretFindings = new Map();
+        this._secretAllowlist = null;
+
+        // Client-side encryption, and what the last key check found per remote
+        this._encryption = new Encryption(settings);
+        this._remoteEncryption = new Map();
+
+        // Keys and files changed differently here and on the remote,
+        // persisted so the preferences window can show them
+        this._conflictStore = new ConflictStore();
+        this._conflictCallback = null;
+
+        // Local state saved before each restore, for undo; _snapshot is the
+        // one being captured while a pull and its restoreBackup() run
+        this._snapshots = new SnapshotStore();
+        this._snapshot = null;
+
+        // Mirror providers receive every upload in addition to the primary
+        this.mirrorProviders = [];
+        this._mirrorStatus = new Map();
+        this._mirrorPending = new Map();
+
+        // Fallback providers take over when the primary is unreachable
+        this.fallbackProviders = [];
+        this._activeFallback = null;
+        this._primaryNeedsReconcile = false;
+        this._failoverCallback = null;
 
         // Sync lock to prevent concurrent operations
         this._isSyncing = false;
@@ -104,6 +218,242 @@ export class SyncManager {
         });
     }
     
+    /**
+     * Set callback for changes to the conflict list
+     * @param {Function} callback - Called with the number of conflicts
+     */
+    setConflictCallback(callback) {
+        this._conflictCallback = callback;
+    }
+
+    /**
+     * Get gsettings keys and files that were changed both here and on the
+     * remote since the last sync
+     * @returns {Array<Object>} Conflicts as stored by ConflictStore
+     */
+    getConflicts() {
+        return this._conflictStore.getAll();
+    }
+
+    _setConflicts(type, conflicts) {
+        this._conflictStore.replaceType(type, [...conflicts.values()]);
+        if (this._conflictCallback) {
+            this._conflictCallback(this._conflictStore.size);
+        }
+    }
+
+    /**
+     * Resolve a conflict. Keeping the local value or writing an edited one
+     * makes it a local change that the next upload sends; taking the remote
+     * value applies it here. Either way the base becomes the remote value.
+     * @param {string} id - Conflict id
+     * @param {string} choice - ConflictStore.RESOLVE_LOCAL, RESOLVE_REMOTE or RESOLVE_EDIT
+     * @param {string|null} editedValue - Printed GVariant or file content for RESOLVE_EDIT
+     * @returns {boolean} Whether a conflict with that id existed
+     */
+    resolveConflict(id, choice, editedValue = null) {
+        const conflict = this._conflictStore.get(id);
+        if (!conflict) {
+            return false;
+        }
+
+        let value = null;
+        if (choice === ConflictStore.RESOLVE_REMOTE) {
+            value = conflict.remote;
+        } else if (choice === ConflictStore.RESOLVE_EDIT) {
+            value = editedValue;
+        } else if (choice !== ConflictStore.RESOLVE_LOCAL) {
+            throw new Error(`Unknown conflict resolution: ${choice}`);
+        }
+
+        const base = this._loadBase();
+
+        if (conflict.type === ConflictStore.TYPE_FILE) {
+            // Binary conflicts carry both sides base64-encoded
+            const decode = text => conflict.binary ? GLib.base64_decode(text) : new TextEncoder().encode(text);
+            if (conflict.binary && choice === ConflictStore.RESOLVE_EDIT) {
+                throw new Error('Binary files cannot be edited');
+            }
+            if (value !== null) {
+                const file = Gio.File.new_for_path(this._localPathFor(conflict.localPath));
+                this._writeLocalFile(file, decode(value), conflict.symlink ? { symlink: true } : null);
+            }
+            base.files[conflict.path] = this._hashContent(decode(conflict.remote));
+        } else {
+            if (value !== null) {
+                const opened = SchemaPaths.open(conflict.schema);
+                if (!opened) {
+                    throw new Error(`Schema ${conflict.schema} is not installed`);
+                }
+                const settings = opened.settings;
+                // Parse with the key's own type so an invalid edit is rejected here
+                const type = settings.get_value(conflict.key).get_type();
+                settings.set_value(conflict.key, GLib.Variant.parse(type, value, null, null));
+            }
+            if (!base.gsettings[conflict.schema]) {
+                base.gsettings[conflict.schema] = {};
+            }
+            base.gsettings[conflict.schema][conflict.key] = conflict.remote;
+        }
+
+        this._saveBase(base);
+        this._conflictStore.remove(id);
+        if (this._conflictCallback) {
+            this._conflictCallback(this._conflictStore.size);
+        }
+        return true;
+    }
+
+    /**
+     * Where a remote value came from: the recorded origin, or the config's writer
+     */
+    _remoteOrigin(origin, config) {
+        return {
+            remoteMachine: (origin && origin.machine) || (config && config.machine) || null,
+            remoteTimestamp: (origin && origin.timestamp) || (config && config.timestamp) || null
+        };
+    }
+
+    /**
+     * SHA256 of text or raw bytes; UTF-8 text hashes the same as its bytes
+     */
+    _hashContent(content) {
+        return typeof content === 'string'
+            ? GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, content, -1)
+            : GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256, content);
+    }
+
+    /**
+     * Classify one key for a three-way merge. Values are printed GVariants;
+     * undefined means the side doesn't have the key, which is not a change.
+     * @param {string|undefined} baseValue - Value at the last sync
+     * @param {string|undefined} localValue - Current local value
+     * @param {string|undefined} remoteValue - Value in the remote config
+     * @returns {string} One of the MERGE_* constants
+     */
+    _mergeKey(baseValue, localValue, remoteValue) {
+        if (localValue === undefined) return SyncManager.MERGE_REMOTE;
+        if (remoteValue === undefined) return SyncManager.MERGE_LOCAL;
+        if (localValue === remoteValue) return SyncManager.MERGE_SAME;
+        if (baseValue === undefined) return SyncManager.MERGE_UNKNOWN;
+        if (baseValue === localValue) return SyncManager.MERGE_REMOTE;
+        if (baseValue === remoteValue) return SyncManager.MERGE_LOCAL;
+        return SyncManager.MERGE_CONFLICT;
+    }
+
+    /**
+     * Merge local gsettings into the remote ones for upload. Keys only changed
+     * remotely and conflicting keys keep their remote value; without a base
+     * (first sync) local values win, as they always did.
+     * Updates base in place for keys that will match after the upload.
+     * Keys this machine changes get an origin naming it, so other machines
+     * can tell where a conflicting value came from.
+     * @param {Object} base - Last synced base, schema → key → value
+     * @param {Object} local - Local gsettings from createBackup()
+     * @param {Object} remoteState - From _loadRemoteState()
+     * @returns {{gsettings: Object, origins: Object, conflicts: Map}}
+     */
+    _mergeForUpload(base, local, remoteState) {
+        const gsettings = {};
+        const origins = {};
+        const conflicts = new Map();
+        const remote = remoteState.gsettings || {};
+        const localOrigin = { machine: GLib.get_host_name(), timestamp: new Date().toISOString() };
+
+        for (const schema of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+            const localKeys = local[schema] || {};
+            const remoteKeys = remote[schema] || {};
+            if (!base[schema]) {
+                base[schema] = {};
+            }
+            const remoteOrigins = remoteState.origins[schema] || {};
+            gsettings[schema] = {};
+            origins[schema] = {};
+
+            for (const key of new Set([...Object.keys(localKeys), ...Object.keys(remoteKeys)])) {
+                const localValue = localKeys[key];
+                const remoteValue = remoteKeys[key];
+
+                // Wallpaper URIs are rewritten per machine, so they can't be compared
+                const state = localValue !== undefined && this.wallpaperManager.isWallpaperKey(schema, key)
+                    ? SyncManager.MERGE_UNKNOWN
+                    : this._mergeKey(base[schema][key], localValue, remoteValue);
+
+                if (state === SyncManager.MERGE_REMOTE || state === SyncManager.MERGE_CONFLICT) {
+                    gsettings[schema][key] = remoteValue;
+                    if (remoteOrigins[key]) {
+                        origins[schema][key] = remoteOrigins[key];
+                    }
+                    if (state === SyncManager.MERGE_CONFLICT) {
+                        conflicts.set(`${schema}::${key}`, {
+                            schema, key,
+                            base: base[schema][key],
+                            local: localValue,
+                            remote: remoteValue,
+                            ...this._remoteOrigin(remoteOrigins[key], remoteState)
+                        });
+                    }
+                } else {
+                    gsettings[schema][key] = localValue;
+                    base[schema][key] = localValue;
+                    const origin = localValue === remoteValue ? remoteOrigins[key] : localOrigin;
+                    if (origin) {
+                        origins[schema][key] = origin;
+                    }
+                }
+            }
+        }
+
+        return { gsettings, origins, conflicts };
+    }
+
+    /**
+     * Location of the last synced state (the merge base): gsettings values
+     * and the hash of each synced file
+     */
+    _getBaseFile() {
+        return Gio.File.new_for_path(GLib.build_filenamev(
+            [GLib.get_user_state_dir(), 'gnoming-profiles', 'base-config.json']));
+    }
+
+    /**
+     * Load the merge base, or an empty one before the first sync
+     * @returns {{gsettings: Object, files: Object, modes: Object}} schema →
+     *   key → printed GVariant, remote path → SHA256 of the content, and
+     *   remote path → octal permission bits
+     */
+    _loadBase() {
+        try {
+            const [, contents] = this._getBaseFile().load_contents(null);
+            const base = JSON.parse(new TextDecoder().decode(contents));
+            return { gsettings: base.gsettings || {}, files: base.files || {}, modes: base.modes || {} };
+        } catch (e) {
+            if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                console.error(`Sync Manager: Failed to read sync base: ${e.message}`);
+            }
+            return { gsettings: {}, files: {}, modes: {} };
+        }
+    }
+
+    _saveBase(base) {
+        try {
+            const file = this._getBaseFile();
+            const parent = file.get_parent();
+            if (!parent.query_exists(null)) {
+                parent.make_directory_with_parents(null);
+            }
+            file.replace_contents(
+                new TextEncoder().encode(JSON.stringify({ timestamp: new Date().toISOString(), ...base })),
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION | Gio.FileCreateFlags.PRIVATE,
+                null
+            );
+        } catch (e) {
+            console.error(`Sync Manager: Failed to save sync base: ${e.message}`);
+        }
+    }
+
     /**
      * Create a backup of current settings and files
      * @returns {Promise<Object>} Backup data object
@@ -130,21 +480,21 @@ export class SyncManager {
         let successfulBackups = 0;
         
         try {
-            const schemaSource = Gio.SettingsSchemaSource.get_default();
-            if (!schemaSource) {
+            if (!Gio.SettingsSchemaSource.get_default()) {
                 throw new Error('Could not get default GSettings schema source');
             }
             
-            for (const schema of allSchemas) {
+            // Relocatable entries expand to one id per dconf path
+            for (const schema of await SchemaPaths.expand(allSchemas)) {
                 try {
                     // Check if schema exists before trying to access it
-                    const schemaObj = schemaSource.lookup(schema, true);
+                    const opened = SchemaPaths.open(schema);
                     
-                    if (!schemaObj) {
+                    if (!opened) {
                         continue;
                     }
                     
-                    const settings = new Gio.Settings({schema: schema});
+                    const settings = opened.settings;
                     const keys = settings.list_keys();
                     backup.gsettings[schema] = {};
                     
@@ -181,11 +531,18 @@ export class SyncManager {
     }
     
     /**
-     * Restore settings from backup data with proper timeout management
+     * Restore settings from backup data with proper timeout management.
+     * Each key is merged against the last synced base: remote changes are
+     * applied, keys only changed locally are kept for the next upload, and
+     * keys changed on both sides are recorded as conflicts and left alone.
+     * Values about to be overwritten go into the restore snapshot first.
+     * With a plan nothing is applied or saved; keys that would change are
+     * added to it instead.
      * @param {Object} backup - Backup data object
      * @param {Function} setMonitoringEnabled - Function to enable/disable monitoring
+     * @param {SyncPlan|null} plan - Dry run: collect changes here
      */
-    async restoreBackup(backup, setMonitoringEnabled) {
+    async restoreBackup(backup, setMonitoringEnabled, plan = null) {
         if (!backup || !backup.gsettings) {
             throw new Error('Invalid backup data');
         }
@@ -201,6 +558,13 @@ export class SyncManager {
         
         // Store timeout ID for proper cleanup if needed
         // (using instance variable for proper cleanup)
+
+        const base = this._loadBase();
+        const conflicts = new Map();
+        const origins = backup.origins || {};
+        if (!plan && !this._snapshot) {
+            this._snapshot = this._snapshots.begin();
+        }
         
         try {
             // Restore gsettings
@@ -212,29 +576,74 @@ export class SyncManager {
                 
                 try {
                     // Check if schema exists before trying to access it
-                    const schemaSource = Gio.SettingsSchemaSource.get_default();
-                    const schemaObj = schemaSource.lookup(schema, true);
+                    // Relocated ids recreate the settings at their dconf path
+                    const opened = SchemaPaths.open(schema);
                     
-                    if (!schemaObj) {
+                    if (!opened) {
                         continue;
                     }
                     
-                    const settings = new Gio.Settings({schema: schema});
+                    const { schema: schemaObj, settings } = opened;
                     let restoredKeys = 0;
                     
+                    if (!base.gsettings[schema]) {
+                        base.gsettings[schema] = {};
+                    }
+                    const baseKeys = base.gsettings[schema];
+                    const keyOrigins = origins[schema] || {};
+
                     for (const [key, value] of Object.entries(keys)) {
                         try {
                             // Special handling for wallpaper URIs
                             if (syncWallpapers && this.wallpaperManager.isWallpaperKey(schema, key)) {
                                 const updatedValue = this.wallpaperManager.updateWallpaperUri(value, schema, key);
+                                if (plan) {
+                                    const localValue = settings.get_value(key).print(true);
+                                    if (localValue !== updatedValue) {
+                                        plan.addSetting(schema, key, localValue, updatedValue);
+                                    }
+                                    continue;
+                                }
                                 const variant = GLib.Variant.parse(null, updatedValue, null, null);
+                                this._snapshot.captureSetting(schema, key, settings.get_value(key).print(true));
                                 settings.set_value(key, variant);
                                 restoredKeys++;
-                            } else {
+                                continue;
+                            }
+
+                            if (!schemaObj.has_key(key)) {
+                                continue;
+                            }
+
+                            const localValue = settings.get_value(key).print(true);
+                            const state = this._mergeKey(baseKeys[key], localValue, value);
+
+                            if (state === SyncManager.MERGE_CONFLICT) {
+                                conflicts.set(`${schema}::${key}`, {
+                                    schema, key,
+                                    base: baseKeys[key],
+                                    local: localValue,
+                                    remote: value,
+                                    ...this._remoteOrigin(keyOrigins[key], backup)
+                                });
+                                continue;
+                            }
+
+                            if (state === SyncManager.MERGE_REMOTE || state === SyncManager.MERGE_UNKNOWN) {
+                                if (plan) {
+                                    plan.addSetting(schema, key, localValue, value);
+                                    continue;
+                                }
                                 const variant = GLib.Variant.parse(null, value, null, null);
+                                this._snapshot.captureSetting(schema, key, localValue);
                                 settings.set_value(key, variant);
                                 restoredKeys++;
                             }
+
+                            // Changed only locally: keep it, the next upload sends it
+                            if (state !== SyncManager.MERGE_LOCAL) {
+                                baseKeys[key] = value;
+                            }
                         } catch (e) {
                             console.error(`Sync Manager: Failed to restore ${schema}.${key}: ${e.message}`);
                         }
@@ -244,31 +653,55 @@ export class SyncManager {
                     console.error(`Sync Manager: Failed to access schema ${schema} for restore: ${e.message}`);
                 }
             }
+
+            if (plan) {
+                plan.conflicts += conflicts.size;
+            } else {
+                this._setConflicts(ConflictStore.TYPE_GSETTINGS, conflicts);
+                this._saveBase(base);
+            }
             
         } finally {
-            // Re-enable change monitoring if it was enabled
-            if (setMonitoringEnabled) {
-                // Clear any existing monitoring restore timeout first
-                if (this._monitoringRestoreTimeout) {
-                    GLib.source_remove(this._monitoringRestoreTimeout);
-                    this._monitoringRestoreTimeout = null;
-                }
-                
-                // Add a small delay to avoid immediate triggers from the restore
-                this._monitoringRestoreTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SyncManager.MONITORING_RESTORE_DELAY_MS, () => {
-                    setMonitoringEnabled(true);
-                    this._monitoringRestoreTimeout = null;
-                    return GLib.SOURCE_REMOVE;
-                });
+            if (!plan) {
+                this._finishSnapshot();
             }
+            this._resumeMonitoring(setMonitoringEnabled);
         }
     }
+
+    /**
+     * Re-enable change monitoring after a restore, with a small delay to
+     * avoid immediate triggers from what the restore wrote
+     * @param {Function|null} setMonitoringEnabled - Function to enable/disable monitoring
+     */
+    _resumeMonitoring(setMonitoringEnabled) {
+        if (!setMonitoringEnabled) {
+            return;
+        }
+
+        // Clear any existing monitoring restore timeout first
+        if (this._monitoringRestoreTimeout) {
+            GLib.source_remove(this._monitoringRestoreTimeout);
+            this._monitoringRestoreTimeout = null;
+        }
+
+        this._monitoringRestoreTimeout = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SyncManager.MONITORING_RESTORE_DELAY_MS, () => {
+            setMonitoringEnabled(true);
+            this._monitoringRestoreTimeout = null;
+            return GLib.SOURCE_REMOVE;
+        });
+    }
     
     /**
-     * Sync configuration to the remote storage provider
-     * @returns {Promise} Promise that resolves when sync completes
+     * Sync configuration to the remote storage provider and any mirrors.
+     * Only a failure of the primary fails the sync; mirror failures are
+     * recorded in getMirrorStatus() and retried on the next upload.
+     * As a dry run the batch is prepared but not sent, and nothing local
+     * (base, manifest, conflicts) is updated.
+     * @param {boolean} dryRun - Return what would be uploaded instead of uploading it
+     * @returns {Promise<SyncPlan|undefined>} The plan, for dry runs
      */
-    async syncToRemote() {
+    async syncToRemote(dryRun = false) {
         const credentials = this.storageProvider.getCredentials(this.settings);
 
         if (!this.storageProvider.hasValidCredentials(credentials)) {
@@ -276,6 +709,24 @@ export class SyncManager {
         }
 
         try {
+            // Remote gsettings, file list and deletion records, shared by all machines
+            const remoteState = await this._loadRemoteState();
+
+            // The manifest was written for another backend or profile (switches,
+            // or uploads that went to a fallback): keep what this remote already
+            // has. A dry run leaves it for the real sync to check.
+            if (!dryRun && this._manifest.provider !== remoteState.provider) {
+                this._manifest.verify(remoteState.provider, remoteState.files);
+            }
+
+            // Turning encryption on, or on for a remote that isn't encrypted
+            // yet, sends everything again; the key check already refused
+            // plain uploads to an encrypted remote
+            const encrypt = this._encryption.enabled;
+            const reencrypt = encrypt !== this._manifest.encrypted || encrypt !== remoteState.encryption.encrypted;
+            if (reencrypt && !dryRun) {
+                this._manifest.clear();
+            }
 
             // Create backup data (without wallpapers in main config)
             const backupData = await this.createBackup();
@@ -283,235 +734,1944 @@ export class SyncManager {
             // Prepare all changes for batching
             const changes = [];
 
-            // 1. Add main config file
-            const configContent = JSON.stringify({
-                timestamp: backupData.timestamp,
-                gsettings: backupData.gsettings
-            }, null, 2);
+            // Values at the last sync, for three-way merging
+            const base = this._loadBase();
+
+            // 1. Collect individual files and the ones that went away
+            const remoteFilesBefore = new Map(remoteState.files);
+            const fileChanges = [];
+            const fileConflicts = new Map();
+            this._skippedFiles.clear();
+            this._secretFindings.clear();
+            const syncFiles = await this._collectSyncFiles();
+            const removedPaths = await this._addFilesToBatch(fileChanges, remoteState, base, fileConflicts, syncFiles);
+            for (const path of this._pendingDeletions) {
+                if (!remoteState.files.has(path) && !removedPaths.includes(path)) {
+                    removedPaths.push(path);
+                }
+            }
+
+            // 2. Merge gsettings with what other machines uploaded since the last sync
+            const local = this._splitMachineKeys(backupData.gsettings);
+            const merged = this._mergeForUpload(base.gsettings, local.shared, remoteState);
 
-            if (await this._shouldUploadContent('config-backup.json', configContent)) {
-                changes.push({
+            // 3. Add main config file, carrying the file list, deletion records
+            // and where each value came from. Machine-local files and their
+            // deletions go to this machine's override layer instead.
+            const files = this._splitMachinePaths(
+                Object.fromEntries([...remoteState.files].sort(([a], [b]) => a.localeCompare(b))));
+            const deletions = this._splitMachinePaths(this._pruneTombstones(remoteState.deletions));
+            const config = {
+                gsettings: merged.gsettings,
+                origins: merged.origins,
+                files: files.shared,
+                deletions: deletions.shared
+            };
+
+            // Compared without the timestamp and writer, which differ every sync
+            const configChanges = [];
+            if (reencrypt || Utils.stableStringify(config) !== remoteState.fingerprint) {
+                configChanges.push({
                     path: 'config-backup.json',
                     mode: '100644',
                     type: 'blob',
-                    content: configContent
+                    content: JSON.stringify({
+                        timestamp: backupData.timestamp,
+                        machine: GLib.get_host_name(),
+                        ...config
+                    }, null, 2)
                 });
             }
 
-            // 2. Add individual files
-            await this._addFilesToBatch(changes);
+            // Only this machine writes its layer, so local values always go up
+            const overrides = {
+                gsettings: local.machine,
+                files: files.machine,
+                deletions: deletions.machine
+            };
+            for (const [schema, keys] of Object.entries(local.machine)) {
+                base.gsettings[schema] = { ...base.gsettings[schema], ...keys };
+            }
+            const overridesEmpty = Object.keys(local.machine).length === 0 &&
+                Object.keys(files.machine).length === 0 && Object.keys(deletions.machine).length === 0;
+            if ((reencrypt || Utils.stableStringify(overrides) !== remoteState.overrides.fingerprint) &&
+                !(overridesEmpty && remoteState.overrides.fingerprint === null)) {
+                configChanges.push({
+                    path: `${this._machinePath()}.json`,
+                    mode: '100644',
+                    type: 'blob',
+                    content: JSON.stringify({
+                        timestamp: backupData.timestamp,
+                        machine: GLib.get_host_name(),
+                        ...overrides
+                    }, null, 2)
+                });
+            }
+            changes.push(...fileChanges);
 
-            // 3. Add wallpapers if enabled
+            // 4. Add wallpapers if enabled
             await this._addWallpapersToBatch(changes);
 
+            // Configs go last: backends that write file by file stop at the
+            // first failure, so a config never lists content that didn't arrive
+            changes.push(...configChanges);
+
+            if (dryRun) {
+                const plan = await this._planUpload(changes, removedPaths, merged, remoteState, remoteFilesBefore);
+                for (const [schema, keys] of Object.entries(local.machine)) {
+                    const remoteKeys = remoteState.overrides.gsettings[schema] || {};
+                    for (const [key, value] of Object.entries(keys)) {
+                        if (remoteKeys[key] !== value) {
+                            plan.addSetting(schema, key, remoteKeys[key] === undefined ? null : remoteKeys[key], value);
+                        }
+                    }
+                }
+                plan.conflicts = merged.conflicts.size + fileConflicts.size;
+                this._manifest.discard();
+                this.wallpaperManager.clear();
+                return plan;
+            }
+
             // If no changes to upload, skip
-            if (changes.length === 0) {
+            if (changes.length === 0 && removedPaths.length === 0 && !this._hasPendingMirrorChanges()) {
                 return;
             }
 
-            // Upload via the storage provider
-            await this.storageProvider.uploadBatch(changes, credentials);
+            if (encrypt) {
+                await this._encryptBatch(changes, remoteState.encryption.passphrase);
+            }
+
+            // Upload to the remote the state came from and all mirrors in parallel
+            const [primaryResult] = await Promise.allSettled([
+                changes.length > 0 || removedPaths.length > 0
+                    ? this._uploadToTarget(remoteState, changes, removedPaths)
+                    : Promise.resolve(),
+                ...this.mirrorProviders.map(mirror => this._uploadToMirror(mirror, changes, removedPaths))
+            ]);
 
             // Clear wallpaper data after upload
             this.wallpaperManager.clear();
 
+            if (primaryResult.status === 'rejected') {
+                throw primaryResult.reason;
+            }
+
+            // Deletions and merges from now on are measured against this sync
+            this._manifest.commit(remoteState.provider, backupData.timestamp, encrypt);
+            this._snapshotLocalFiles(syncFiles.filePaths);
+            this._saveBase(base);
+            this._setConflicts(ConflictStore.TYPE_GSETTINGS, merged.conflicts);
+            this._setConflicts(ConflictStore.TYPE_FILE, fileConflicts);
+
         } catch (error) {
+            this._manifest.discard();
             console.error(`Sync Manager: Failed to sync to ${this.storageProvider.name}: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Sync configuration from the remote storage provider
-     * @returns {Promise} Promise that resolves when sync completes
+     * Describe a prepared upload batch as a plan: gsettings keys whose remote
+     * value would change, files created, overwritten (diffed against the
+     * remote copy) or removed, and wallpapers uploaded
+     * @param {Array} changes - Prepared batch
+     * @param {Array<string>} removedPaths - Remote paths that would be deleted
+     * @param {Object} merged - From _mergeForUpload()
+     * @param {Object} remoteState - From _loadRemoteState()
+     * @param {Map<string, Object>} remoteFiles - Remote file list before the batch was prepared
+     * @returns {Promise<SyncPlan>}
      */
-    async syncFromRemote() {
-        const credentials = this.storageProvider.getCredentials(this.settings);
+    async _planUpload(changes, removedPaths, merged, remoteState, remoteFiles) {
+        const plan = new SyncPlan(SyncPlan.DIRECTION_PUSH);
+        const remoteSettings = remoteState.gsettings || {};
 
-        if (!this.storageProvider.hasValidCredentials(credentials)) {
-            return;
+        for (const [schema, keys] of Object.entries(merged.gsettings)) {
+            const remoteKeys = remoteSettings[schema] || {};
+            for (const [key, value] of Object.entries(keys)) {
+                if (remoteKeys[key] !== value) {
+                    plan.addSetting(schema, key, remoteKeys[key] === undefined ? null : remoteKeys[key], value);
+                }
+            }
         }
 
-        try {
-            // Download gsettings config
-            const backupData = await this._downloadConfig(credentials);
-
-            // Download individual files
-            await this._downloadFiles(credentials);
+        for (const change of changes) {
+            if (change.path.startsWith('wallpapers/')) {
+                plan.addWallpaper(change.path.slice('wallpapers/'.length));
+                continue;
+            }
 
-            // Download and restore wallpapers separately if enabled
-            const syncWallpapers = this.settings.get_boolean('sync-wallpapers');
-            if (syncWallpapers) {
-                await this.wallpaperManager.downloadAndRestoreWallpapers(credentials);
+            const filePath = this._filePathForRemote(change.path);
+            if (!filePath) {
+                continue;
             }
 
-            // Restore configuration (callback will be provided by extension)
-            if (backupData) {
-                return { backupData, requiresRestore: true };
+            const newBytes = change.encoding === 'base64'
+                ? GLib.base64_decode(change.content)
+                : new TextEncoder().encode(change.content);
+            const remoteEntry = remoteFiles.get(change.path);
+            let oldBytes = null;
+            if (remoteEntry) {
+                try {
+                    oldBytes = await this._downloadRemoteFile(
+                        remoteState.target, remoteState.credentials, change.path, remoteEntry);
+                } catch (e) {
+                    console.error(`Sync Manager: Failed to download ${change.path} for the preview: ${e.message}`);
+                    plan.addFile(filePath, SyncPlan.FILE_OVERWRITE, { detail: 'remote copy could not be compared' });
+                    continue;
+                }
             }
+            plan.addFile(filePath, oldBytes ? SyncPlan.FILE_OVERWRITE : SyncPlan.FILE_CREATE,
+                this._planDiff(filePath, oldBytes, newBytes));
+        }
 
-        } catch (error) {
-            console.error(`Sync Manager: Failed to sync from ${this.storageProvider.name}: ${error.message}`);
-            throw error;
+        for (const remotePath of removedPaths) {
+            plan.addFile(this._filePathForRemote(remotePath) || remotePath, SyncPlan.FILE_DELETE,
+                { detail: remoteState.deletions.has(remotePath) ? 'deleted here' : 'no longer in the synced files list' });
         }
+
+        return plan;
     }
 
     /**
-     * Check if content should be uploaded based on hash comparison
+     * Set the providers that mirror every upload.
+     * Reads, restores and polling keep using the primary storageProvider.
+     * @param {Array<StorageProvider>} providers - Mirror providers
      */
-    async _shouldUploadContent(path, content) {
-        const contentHash = GLib.compute_checksum_for_string(
-            GLib.ChecksumType.SHA256, content, -1
-        );
-        
-        if (this._contentHashCache.get(path) === contentHash) {
-            return false; // Content unchanged
-        }
-        
-        // Update cache
-        this._contentHashCache.set(path, contentHash);
-        return true;
+    setMirrorProviders(providers) {
+        this.mirrorProviders = providers;
+        this._mirrorStatus.clear();
+        this._mirrorPending.clear();
     }
-    
+
     /**
-     * Add individual files to the batch
+     * Get sync-files entries the last upload left out, e.g. too large or unreadable
+     * @returns {Array<{path: string, reason: string}>}
      */
-    async _addFilesToBatch(changes) {
-        const filePaths = this.settings.get_strv('sync-files');
-        for (const filePath of filePaths) {
-            try {
-                const expandedPath = filePath.replace('~', GLib.get_home_dir());
-                const file = Gio.File.new_for_path(expandedPath);
-
-                if (!file.query_exists(null)) {
-                    continue;
-                }
-
-                const [success, contents] = file.load_contents(null);
-                if (!success) {
-                    console.error(`Sync Manager: Failed to read file ${filePath}`);
-                    continue;
-                }
+    getSkippedFiles() {
+        return [...this._skippedFiles].map(([path, reason]) => ({ path, reason }));
+    }
 
-                const content = new TextDecoder('utf-8', { fatal: false }).decode(contents);
-                if (content.includes('\uFFFD')) {
-                    continue;
-                }
+    /**
+     * Get files the last upload found credentials in, and what was done
+     * about them: held back (block or ask mode) or uploaded redacted
+     * @returns {Array<{path: string, mode: string, findings: Array<{type: string, label: string, line: number}>}>}
+     */
+    getSecretFindings() {
+        return [...this._secretFindings].map(([path, { mode, findings }]) => ({ path, mode, findings }));
+    }
 
-                const remotePath = `files${filePath.replace('~', '/home')}`;
+    /**
+     * Get per-mirror upload health for display
+     * @returns {Array<{name: string, ok: boolean|null, error: string|null, lastSync: Date|null, pending: number}>}
+     *   ok is null until the mirror has been uploaded to
+     */
+    getMirrorStatus() {
+        return this.mirrorProviders.map(mirror => {
+            const status = this._mirrorStatus.get(mirror) || { ok: null, error: null, lastSync: null };
+            const pending = this._mirrorPending.get(mirror);
+            return { name: mirror.name, ...status, pending: pending ? pending.size : 0 };
+        });
+    }
 
-                if (await this._shouldUploadContent(remotePath, content)) {
-                    changes.push({
-                        path: remotePath,
-                        mode: '100644',
-                        type: 'blob',
-                        content: content
-                    });
-                }
-            } catch (e) {
-                console.error(`Sync Manager: Failed to prepare file ${filePath} for batch: ${e.message}`);
-            }
+    _hasPendingMirrorChanges() {
+        for (const pending of this._mirrorPending.values()) {
+            if (pending.size > 0) return true;
         }
+        return false;
     }
 
     /**
-     * Add wallpapers to the batch
+     * Upload an encrypted batch together with the key-check file if the
+     * remote doesn't have one yet. Each primary, fallback and mirror is
+     * checked on its own, so one added after encryption was turned on can
+     * still be read back.
+     * @param {StorageProvider} provider - Remote to upload to
+     * @param {Object} credentials - Provider credentials
+     * @param {Array} changes - Profile-relative changes
      */
-    async _addWallpapersToBatch(changes) {
-        const syncWallpapers = this.settings.get_boolean('sync-wallpapers');
-        if (!syncWallpapers) return;
-
-        const wallpaperData = this.wallpaperManager.getWallpaperData();
-        if (wallpaperData.size === 0) return;
-
-        for (const [wallpaperKey, wallpaperInfo] of wallpaperData) {
-            try {
-                const wallpaperContent = await this.wallpaperManager.getWallpaperContent(wallpaperKey);
-                if (wallpaperContent) {
-                    const remotePath = `wallpapers/${wallpaperContent.fileName}`;
+    async _uploadWithKeyCheck(provider, credentials, changes) {
+        let batch = changes;
+        let state = null;
+        if (this._encryption.enabled) {
+            state = await this._checkEncryption(provider, credentials, true);
+            if (!state.encrypted) {
+                // First, so encrypted content is never there without it
+                batch = [{
+                    path: Encryption.CHECK_FILE,
+                    mode: '100644',
+                    type: 'blob',
+                    content: await this._encryption.createCheck(state.passphrase)
+                }, ...changes];
+            }
+        }
 
-                    const contentHash = GLib.compute_checksum_for_string(
-                        GLib.ChecksumType.SHA256, wallpaperContent.content, -1
-                    );
+        await provider.uploadBatch(this._inProfile(provider, batch), credentials);
 
-                    if (this._contentHashCache.get(remotePath) !== contentHash) {
-                        changes.push({
-                            path: remotePath,
-                            mode: '100644',
-                            type: 'blob',
-                            content: wallpaperContent.content,
-                            encoding: 'base64'
-                        });
-                        this._contentHashCache.set(remotePath, contentHash);
-                    }
-                }
-            } catch (e) {
-                console.error(`Sync Manager: Failed to prepare wallpaper ${wallpaperKey} for batch: ${e.message}`);
-            }
+        if (state && !state.encrypted) {
+            this._remoteEncryption.set(this._remoteName(provider), { encrypted: true, passphrase: state.passphrase });
         }
     }
 
     /**
-     * Download main config file from the storage provider
+     * Upload a batch to one mirror. Changes a mirror failed to receive are
+     * kept and merged into its next batch, since the content hash cache
+     * won't offer unchanged files again. Deletions are queued the same way,
+     * keyed by path so a later upload or delete of the same file wins.
      */
-    async _downloadConfig(credentials) {
-        const response = await this.storageProvider.downloadFile('config-backup.json', credentials);
+    async _uploadToMirror(mirror, changes, removedPaths) {
+        const batch = new Map(this._mirrorPending.get(mirror) || []);
+        for (const change of changes) {
+            batch.set(change.path, change);
+        }
+        for (const path of removedPaths) {
+            batch.set(path, { path, deleted: true });
+        }
+        if (batch.size === 0) return;
 
-        if (!response.ok) {
-            if (response.status === SyncManager.HTTP_NOT_FOUND) {
-                return null;
+        try {
+            const credentials = mirror.getCredentials(this.settings);
+            if (!mirror.hasValidCredentials(credentials)) {
+                throw new Error('credentials not configured');
+            }
+
+            const entries = [...batch.values()];
+            const uploads = entries.filter(entry => !entry.deleted);
+            const deletions = entries.filter(entry => entry.deleted).map(entry => entry.path);
+            if (uploads.length > 0) {
+                await this._uploadWithKeyCheck(mirror, credentials, uploads);
+            }
+            if (deletions.length > 0) {
+                await mirror.deleteBatch(deletions.map(path => mirror.profilePath(path)), credentials);
             }
-            throw new Error(`Download failed: ${response.status}`);
+
+            this._mirrorPending.delete(mirror);
+            this._mirrorStatus.set(mirror, { ok: true, error: null, lastSync: new Date() });
+        } catch (error) {
+            console.error(`Sync Manager: Mirror upload to ${mirror.name} failed: ${error.message}`);
+            this._mirrorPending.set(mirror, batch);
+            const previous = this._mirrorStatus.get(mirror);
+            this._mirrorStatus.set(mirror, {
+                ok: false,
+                error: error.message,
+                lastSync: previous ? previous.lastSync : null
+            });
         }
+    }
 
-        const backup = JSON.parse(response.content);
-        return backup;
+    /**
+     * Set the ordered list of providers to fall back to when the primary
+     * fails with a network, rate-limit or server error.
+     * @param {Array<StorageProvider>} providers - Fallback providers, most preferred first
+     */
+    setFallbackProviders(providers) {
+        this.fallbackProviders = providers;
+        if (this._activeFallback && !providers.includes(this._activeFallback)) {
+            this._setActiveFallback(null);
+        }
     }
 
     /**
-     * Download individual files from the storage provider
+     * Set callback for failover state changes
+     * @param {Function} callback - Called with the active fallback provider, or null when back on the primary
      */
-    async _downloadFiles(credentials) {
-        const filePaths = this.settings.get_strv('sync-files');
+    setFailoverCallback(callback) {
+        this._failoverCallback = callback;
+    }
+
+    /**
+     * Fallback provider currently serving syncs, or null when the primary is in use
+     * @returns {StorageProvider|null}
+     */
+    get activeFallback() {
+        return this._activeFallback;
+    }
+
+    /**
+     * Whether uploads went to a fallback and the primary still needs a full upload
+     * @returns {boolean}
+     */
+    get primaryNeedsReconcile() {
+        return this._primaryNeedsReconcile;
+    }
+
+    _setActiveFallback(provider) {
+        if (this._activeFallback === provider) return;
+        this._activeFallback = provider;
+        if (this._failoverCallback) {
+            this._failoverCallback(provider);
+        }
+    }
+
+    /**
+     * Check whether an error means the backend is unreachable or overloaded,
+     * rather than misconfigured
+     * @param {Error} error - Error thrown by a provider
+     * @returns {boolean}
+     */
+    _isFailoverError(error) {
+        if (error instanceof GLib.Error) {
+            if (error.domain === Gio.resolver_error_quark()) {
+                return true;
+            }
+            return SyncManager.FAILOVER_IO_ERRORS.some(code => error.matches(Gio.IOErrorEnum, code));
+        }
+        if (error instanceof StorageError) {
+            return error.status === SyncManager.HTTP_TOO_MANY_REQUESTS ||
+                (error.status >= SyncManager.HTTP_SERVER_ERROR_MIN && error.status <= SyncManager.HTTP_SERVER_ERROR_MAX);
+        }
+        return false;
+    }
+
+    /**
+     * Run an operation against the primary, then each fallback in order
+     * while failures look like outages.
+     * @param {Function} operation - async (provider, credentials) => result
+     * @returns {Promise<{result: any, provider: StorageProvider}>}
+     */
+    async _runWithFailover(operation) {
+        try {
+            const credentials = this.storageProvider.getCredentials(this.settings);
+            const result = await operation(this.storageProvider, credentials);
+            this._setActiveFallback(null);
+            return { result, provider: this.storageProvider };
+        } catch (error) {
+            if (this.fallbackProviders.length === 0 || !this._isFailoverError(error)) {
+                throw error;
+            }
+            console.warn(`Sync Manager: ${this.storageProvider.name} unavailable (${error.message}), trying fallbacks`);
+
+            for (const fallback of this.fallbackProviders) {
+                const credentials = fallback.getCredentials(this.settings);
+                if (!fallback.hasValidCredentials(credentials)) {
+                    continue;
+                }
+                try {
+                    const result = await operation(fallback, credentials);
+                    this._setActiveFallback(fallback);
+                    return { result, provider: fallback };
+                } catch (fallbackError) {
+                    console.error(`Sync Manager: Fallback ${fallback.name} failed: ${fallbackError.message}`);
+                }
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Upload a batch to the remote its state was loaded from, then remove
+     * deleted files there. The batch is a delta against that remote, so it
+     * doesn't fail over to another one; the next sync picks again. Failed
+     * deletions are retried next sync rather than failing it, since the
+     * config already records them.
+     * @param {Object} remoteState - From _loadRemoteState()
+     */
+    async _uploadToTarget(remoteState, changes, removedPaths = []) {
+        const { target, credentials } = remoteState;
+        if (changes.length > 0) {
+            await this._uploadWithKeyCheck(target, credentials, changes);
+        }
+        if (removedPaths.length > 0) {
+            try {
+                await target.deleteBatch(removedPaths.map(path => target.profilePath(path)), credentials);
+                this._pendingDeletions.clear();
+            } catch (e) {
+                console.error(`Sync Manager: Failed to delete ${removedPaths.length} files from ${target.name}: ${e.message}`);
+                this._pendingDeletions = new Set(removedPaths);
+            }
+        }
+
+        // Once the primary accepts a full batch again it has caught up
+        this._primaryNeedsReconcile = target !== this.storageProvider;
+    }
+
+    /**
+     * Name of the profile syncs currently go to
+     * @returns {string} Profile name, '' for the default profile
+     */
+    get profile() {
+        return this.storageProvider.profile;
+    }
+
+    /**
+     * Move to another profile on the same remote: upload the current state
+     * to the active profile, then pull the new profile and restore it. An
+     * empty profile is left as is and filled by the next upload. If the
+     * upload fails nothing is switched, so unsaved changes aren't lost.
+     * @param {string} profile - Profile name, '' for the default profile
+     * @param {Function} setMonitoringEnabled - As for restoreBackup()
+     */
+    async switchProfile(profile, setMonitoringEnabled) {
+        if (profile === this.profile) {
+            return;
+        }
+
+        const credentials = this.storageProvider.getCredentials(this.settings);
+        if (this.storageProvider.hasValidCredentials(credentials)) {
+            await this.syncToRemote();
+        }
+
+        this.setProfile(profile);
+
+        const result = await this.syncFromRemote();
+        if (result && result.requiresRestore) {
+            await this.restoreBackup(result.backupData, setMonitoringEnabled);
+        }
+    }
+
+    /**
+     * Point the primary, mirrors and fallbacks at a profile without syncing.
+     * Conflicts, retried deletions and mirror backlogs belong to the old
+     * profile and are dropped; the merge base is kept, so after an upload to
+     * the old profile everything the new one holds differently is restored.
+     * @param {string} profile - Profile name, '' for the default profile
+     */
+    setProfile(profile) {
+        for (const provider of [this.storageProvider, ...this.mirrorProviders, ...this.fallbackProviders]) {
+            provider.profile = profile;
+            provider.clearChangeCache();
+        }
+
+        this._pendingDeletions.clear();
+        this._mirrorPending.clear();
+        this._setConflicts(ConflictStore.TYPE_GSETTINGS, new Map());
+        this._setConflicts(ConflictStore.TYPE_FILE, new Map());
+    }
+
+    /**
+     * Identify a provider and its profile in the upload manifest
+     * @param {StorageProvider} provider
+     * @returns {string}
+     */
+    _remoteName(provider) {
+        return provider.profile ? `${provider.name}:${provider.profile}` : provider.name;
+    }
+
+    /**
+     * Copy a batch with its paths moved into a provider's profile
+     * @param {StorageProvider} provider - Provider about to receive the batch
+     * @param {Array<Object>} changes - Batch with profile-relative paths
+     * @returns {Array<Object>}
+     */
+    _inProfile(provider, changes) {
+        return changes.map(change => ({ ...change, path: provider.profilePath(change.path) }));
+    }
+
+    /**
+     * Name of this machine's override layer: machine-name if set, otherwise
+     * the hostname, or the machine id if the hostname can't name a directory
+     * @returns {string}
+     */
+    get machineName() {
+        const name = this.settings.get_string('machine-name').trim() || GLib.get_host_name();
+        if (StorageProvider.isValidProfileName(name)) {
+            return name;
+        }
+        try {
+            const [, contents] = GLib.file_get_contents('/etc/machine-id');
+            return new TextDecoder().decode(contents).trim();
+        } catch (e) {
+            console.warn(`Sync Manager: No usable machine name, using "localhost": ${e.message}`);
+            return 'localhost';
+        }
+    }
+
+    /**
+     * Profile-relative path of this machine's override layer, without the .json
+     */
+    _machinePath() {
+        return `${SyncManager.MACHINES_DIRECTORY}/${this.machineName}`;
+    }
+
+    _isMachinePath(remotePath) {
+        return remotePath.startsWith(`${this._machinePath()}/`);
+    }
+
+    /**
+     * Check a sync-files path against machine-local-files, which takes the
+     * same entry forms as sync-files
+     */
+    _isMachineLocalFile(filePath) {
+        const entries = this.settings.get_strv('machine-local-files');
+        const key = entries.join('\n');
+        if (!this._machineFiles || this._machineFiles.key !== key) {
+            this._machineFiles = { key, patterns: new FilePatterns(entries) };
+        }
+        return this._machineFiles.patterns.matches(filePath);
+    }
+
+    /**
+     * Whether credentials in a file are to be uploaded as they are.
+     * secret-scan-allowlist entries take the same forms as sync-files.
+     */
+    _isSecretAllowed(filePath) {
+        const entries = this.settings.get_strv('secret-scan-allowlist');
+        const key = entries.join('\n');
+        if (!this._secretAllowlist || this._secretAllowlist.key !== key) {
+            this._secretAllowlist = { key, patterns: new FilePatterns(entries) };
+        }
+        return this._secretAllowlist.patterns.matches(filePath);
+    }
+
+    /**
+     * Scan a text file for credentials and apply secret-scan-mode. Findings
+     * are recorded for getSecretFindings(), with line numbers but not the
+     * secrets themselves.
+     * @param {string} filePath - sync-files path
+     * @param {Uint8Array} contents - Local content
+     * @returns {Uint8Array|null} Content to upload, redacted in redact mode,
+     *   or null to hold the file back
+     */
+    _scanForSecrets(filePath, contents) {
+        const mode = this.settings.get_string('secret-scan-mode');
+        if (mode === SecretScanner.MODE_OFF || this._isSecretAllowed(filePath)) {
+            return contents;
+        }
+
+        const text = new TextDecoder().decode(contents);
+        const findings = SecretScanner.scan(text);
+        if (findings.length === 0) {
+            return contents;
+        }
+
+        this._secretFindings.set(filePath, {
+            mode,
+            findings: findings.map(({ type, label, line }) => ({ type, label, line }))
+        });
+        return mode === SecretScanner.MODE_REDACT
+            ? new TextEncoder().encode(SecretScanner.redact(text, findings))
+            : null;
+    }
+
+    /**
+     * Separate machine-local keys (machine-local-keys entries are
+     * "schema key") from shared ones
+     * @param {Object} gsettings - schema → key → value
+     * @returns {{shared: Object, machine: Object}} Both schema → key → value
+     */
+    _splitMachineKeys(gsettings) {
+        const machineKeys = new Set(this.settings.get_strv('machine-local-keys')
+            .map(entry => entry.trim().split(/\s+/).join(' ')));
+        const shared = {};
+        const machine = {};
+
+        for (const [schema, keys] of Object.entries(gsettings)) {
+            for (const [key, value] of Object.entries(keys)) {
+                const target = machineKeys.has(`${schema} ${key}`) ? machine : shared;
+                if (!target[schema]) {
+                    target[schema] = {};
+                }
+                target[schema][key] = value;
+            }
+        }
+        return { shared, machine };
+    }
+
+    /**
+     * Separate this machine's override paths from shared ones
+     * @param {Object} entries - Remote path → anything
+     * @returns {{shared: Object, machine: Object}}
+     */
+    _splitMachinePaths(entries) {
+        const shared = {};
+        const machine = {};
+        for (const [path, value] of Object.entries(entries)) {
+            (this._isMachinePath(path) ? machine : shared)[path] = value;
+        }
+        return { shared, machine };
+    }
+
+    /**
+     * Layer this machine's overrides over a downloaded config. Machine-local
+     * keys and files never take the shared value: they get the override, or
+     * are left alone while this machine hasn't uploaded one.
+     * @param {Object|null} config - Shared config
+     * @param {Object|null} overrides - This machine's override layer
+     * @returns {Object|null} Config to restore
+     */
+    _withOverrides(config, overrides) {
+        if (!config) {
+            return null;
+        }
+
+        const gsettings = this._splitMachineKeys(config.gsettings || {}).shared;
+        const machineKeys = this._splitMachineKeys((overrides && overrides.gsettings) || {}).machine;
+        for (const [schema, keys] of Object.entries(machineKeys)) {
+            gsettings[schema] = { ...gsettings[schema], ...keys };
+        }
+
+        // Shared entries of machine-local files drop out, since their paths
+        // are now the override paths
+        const keep = (remotePath) => {
+            const filePath = this._filePathForRemote(remotePath);
+            return !filePath || remotePath === this._remotePathFor(filePath);
+        };
+        const files = new Map([...this._parseRemoteFiles(config), ...this._parseRemoteFiles(overrides)]);
+        const deletions = {
+            ...(config.deletions || {}),
+            ...((overrides && overrides.deletions) || {})
+        };
+
+        return {
+            ...config,
+            gsettings,
+            files: Object.fromEntries([...files].filter(([path]) => keep(path))),
+            deletions: Object.fromEntries(Object.entries(deletions).filter(([path]) => keep(path)))
+        };
+    }
+
+    /**
+     * Sync configuration from the remote storage provider, or a fallback
+     * if the primary is unreachable.
+     * As a dry run, files and wallpapers are only compared and the result
+     * carries a plan; pass it to restoreBackup() to add the gsettings.
+     * @param {boolean} dryRun - Collect what would change without writing anything
+     * @returns {Promise<{backupData: Object|null, requiresRestore: boolean, plan: SyncPlan|null}|undefined>}
+     */
+    async syncFromRemote(dryRun = false) {
+        const credentials = this.storageProvider.getCredentials(this.settings);
+
+        if (!this.storageProvider.hasValidCredentials(credentials)) {
+            return;
+        }
+
+        const plan = dryRun ? new SyncPlan(SyncPlan.DIRECTION_PULL) : null;
+        // Files changed here and keys changed by the following restoreBackup()
+        // are saved to one snapshot, which restoreBackup() saves; otherwise
+        // it is saved here, also when the pull fails partway
+        this._snapshot = dryRun ? null : this._snapshots.begin();
+        let restoreFollows = false;
+
+        try {
+            const { result: backupData } = await this._runWithFailover(async (provider, providerCredentials) => {
+                await this._checkEncryption(provider, providerCredentials);
+
+                // Download gsettings config, with this machine's overrides in place
+                const config = this._withOverrides(
+                    await this._downloadConfig(provider, providerCredentials),
+                    await this._downloadConfig(provider, providerCredentials, `${this._machinePath()}.json`));
+
+                // Download individual files, applying deletions from other machines
+                await this._downloadFiles(provider, providerCredentials, config, plan);
+
+                // Download and restore wallpapers separately if enabled
+                const syncWallpapers = this.settings.get_boolean('sync-wallpapers');
+                if (syncWallpapers && plan) {
+                    await this.wallpaperManager.planWallpaperDownloads(providerCredentials, provider, plan);
+                } else if (syncWallpapers) {
+                    const { encrypted, passphrase } = this._remoteEncryption.get(this._remoteName(provider));
+                    await this.wallpaperManager.downloadAndRestoreWallpapers(providerCredentials, provider,
+                        encrypted ? content => this._encryption.decrypt(content, passphrase) : null);
+                }
+
+                return config;
+            });
+
+            // Restore configuration (callback will be provided by extension)
+            if (backupData || plan) {
+                restoreFollows = !!backupData;
+                return { backupData, requiresRestore: !!backupData, plan };
+            }
+
+        } catch (error) {
+            console.error(`Sync Manager: Failed to sync from ${this.storageProvider.name}: ${error.message}`);
+            throw error;
+        } finally {
+            if (!restoreFollows) {
+                this._finishSnapshot();
+            }
+        }
+    }
+
+    /**
+     * Check if content should be uploaded based on hash comparison with the
+     * manifest. The new hash is staged and kept once the upload succeeds.
+     */
+    async _shouldUploadContent(path, content) {
+        const contentHash = this._hashContent(content);
+        
+        if (this._manifest.get(path) === contentHash) {
+            return false; // Content unchanged
+        }
+        
+        this._manifest.set(path, contentHash);
+        return true;
+    }
+    
+    /**
+     * Load gsettings, the file list and deletion records from the remote config.
+     * The fingerprint is the config's content without timestamp and writer,
+     * for telling whether an upload would change it. files and deletions
+     * include this machine's override layer, keyed by its machines/ paths;
+     * overrides holds the layer's keys and fingerprint, encryption what the
+     * key check found. The state comes from the primary or, if it is down, a
+     * fallback; target and credentials name that remote, and the rest of the
+     * sync talks to it alone.
+     * @returns {Promise<{provider: string, target: StorageProvider, credentials: Object, fingerprint: string|null, gsettings: Object|null, origins: Object, machine: string|null, timestamp: string|null, files: Map<string, Object>, deletions: Map<string, string>, overrides: {gsettings: Object, fingerprint: string|null}, encryption: {encrypted: boolean, passphrase: string|null}}>}
+     */
+    async _loadRemoteState() {
+        const { provider, result: [credentials, encryption, config, overrides] } = await this._runWithFailover(
+            async (target, credentials) => [
+                credentials,
+                await this._checkEncryption(target, credentials),
+                await this._downloadConfig(target, credentials),
+                await this._downloadConfig(target, credentials, `${this._machinePath()}.json`)
+            ]);
+
+        return {
+            provider: this._remoteName(provider),
+            target: provider,
+            credentials,
+            fingerprint: config ? Utils.stableStringify({
+                gsettings: config.gsettings,
+                origins: config.origins,
+                files: config.files,
+                deletions: config.deletions
+            }) : null,
+            gsettings: (config && config.gsettings) || null,
+            origins: (config && config.origins) || {},
+            machine: (config && config.machine) || null,
+            timestamp: (config && config.timestamp) || null,
+            files: new Map([...this._parseRemoteFiles(config), ...this._parseRemoteFiles(overrides)]),
+            deletions: new Map([
+                ...Object.entries((config && config.deletions) || {}),
+                ...Object.entries((overrides && overrides.deletions) || {})
+            ]),
+            overrides: {
+                gsettings: (overrides && overrides.gsettings) || {},
+                fingerprint: overrides ? Utils.stableStringify({
+                    gsettings: overrides.gsettings,
+                    files: overrides.files,
+                    deletions: overrides.deletions
+                }) : null
+            },
+            encryption
+        };
+    }
+
+    /**
+     * Read the config's file list: remote path → {hash, machine, timestamp}.
+     * Configs written before hashes were recorded list bare paths.
+     * @param {Object|null} config - Remote config
+     * @returns {Map<string, Object>}
+     */
+    _parseRemoteFiles(config) {
+        const files = (config && config.files) || {};
+        if (Array.isArray(files)) {
+            return new Map(files.map(path => [path, {}]));
+        }
+        return new Map(Object.entries(files));
+    }
+
+    /**
+     * Drop deletion records older than TOMBSTONE_MAX_AGE_DAYS
+     * @param {Map<string, string>} deletions - Remote path to ISO deletion time
+     * @returns {Object} Remaining records, ready for the config JSON
+     */
+    _pruneTombstones(deletions) {
+        const cutoff = Date.now() - SyncManager.TOMBSTONE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        const kept = {};
+        for (const [path, deletedAt] of deletions) {
+            if (Date.parse(deletedAt) > cutoff) {
+                kept[path] = deletedAt;
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Map a sync-files entry to its local and remote paths
+     */
+    _localPathFor(filePath) {
+        return filePath.replace('~', GLib.get_home_dir());
+    }
+
+    /**
+     * Remote path of a synced file: under files/, or under this machine's
+     * override layer for machine-local files
+     */
+    _remotePathFor(filePath) {
+        const remotePath = `files${filePath.replace('~', '/home')}`;
+        return this._isMachineLocalFile(filePath) ? `${this._machinePath()}/${remotePath}` : remotePath;
+    }
+
+    /**
+     * Map a remote path back to a sync-files style path
+     * @returns {string|null} Path, or null for paths outside files/ and
+     *   this machine's machines/<name>/files/
+     */
+    _filePathForRemote(remotePath) {
+        if (this._isMachinePath(remotePath)) {
+            remotePath = remotePath.slice(this._machinePath().length + 1);
+        }
+        if (!remotePath.startsWith('files/')) {
+            return null;
+        }
+        const path = remotePath.slice('files'.length);
+        return path.startsWith('/home/') ? `~${path.slice('/home'.length)}` : path;
+    }
+
+    /**
+     * Expand sync-files into the file paths it covers: listed files, files
+     * found under directory and glob entries and, for restores, remote files
+     * matching them that don't exist here yet. Walks the directory and glob
+     * entries, so each sync calls it once and passes the result on.
+     * @param {Map<string, Object>|null} remoteFiles - Remote file list to match as well
+     * @returns {Promise<{patterns: FilePatterns, filePaths: Set<string>}>}
+     */
+    async _collectSyncFiles(remoteFiles = null) {
+        const patterns = new FilePatterns(this.settings.get_strv('sync-files'));
+        const { files, truncated } = await patterns.expand();
+        for (const entry of truncated) {
+            this._skippedFiles.set(entry, `stopped after ${FilePatterns.MAX_FILES} files or ${FilePatterns.MAX_ENTRIES} entries walked, the rest are not synced`);
+        }
+
+        const filePaths = new Set(files);
+        if (remoteFiles) {
+            for (const remotePath of remoteFiles.keys()) {
+                const filePath = this._filePathForRemote(remotePath);
+                if (filePath && patterns.matches(filePath)) {
+                    filePaths.add(filePath);
+                }
+            }
+        }
+        return { patterns, filePaths };
+    }
+
+    /**
+     * Get a local file's modification time in milliseconds
+     */
+    _getLocalModifiedTime(file) {
+        const info = file.query_info('time::modified', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        const dateTime = info.get_modification_date_time();
+        return dateTime ? dateTime.to_unix() * 1000 : 0;
+    }
+
+    /**
+     * Check if a synced path exists; a dangling symlink counts, since the
+     * link itself is what gets synced
+     */
+    _localFileExists(file) {
+        return file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null) !== Gio.FileType.UNKNOWN;
+    }
+
+    /**
+     * Read a synced path without following symlinks. A symlink's content is
+     * its target, with a target under the home directory written as ~/... so
+     * it resolves on machines with a different home.
+     * @param {Gio.File} file - Local file
+     * @param {Gio.FileInfo} info - From a NOFOLLOW_SYMLINKS query of LOCAL_FILE_ATTRIBUTES
+     * @returns {{contents: Uint8Array, mode: string|undefined, symlink: boolean}}
+     *   mode is octal permission bits, undefined for symlinks and where the
+     *   file system has none
+     */
+    _readLocalFile(file, info) {
+        if (info.get_file_type() === Gio.FileType.SYMBOLIC_LINK) {
+            const home = GLib.get_home_dir();
+            let target = info.get_symlink_target();
+            if (target.startsWith(`${home}/`)) {
+                target = `~${target.slice(home.length)}`;
+            }
+            return { contents: new TextEncoder().encode(target), mode: undefined, symlink: true };
+        }
+
+        const [, contents] = file.load_contents(null);
+        const mode = info.has_attribute('unix::mode')
+            ? (info.get_attribute_uint32('unix::mode') & 0o7777).toString(8).padStart(4, '0')
+            : undefined;
+        return { contents, mode, symlink: false };
+    }
+
+    /**
+     * Write a synced file from remote content. A symlink entry recreates the
+     * link; an entry with a mode replaces whatever is there (including a
+     * symlink) and creates it private if the mode has no group or other
+     * bits, so there is no window where it is readable. Entries from before
+     * modes were recorded write through symlinks and keep permissions.
+     * @param {Gio.File} file - Local file
+     * @param {Uint8Array} contents - Content, or the link target for symlinks
+     * @param {Object|null} entry - The file's entry in the remote file list
+     */
+    _writeLocalFile(file, contents, entry) {
+        const parent = file.get_parent();
+        if (!parent.query_exists(null)) {
+            parent.make_directory_with_parents(null);
+        }
+
+        if (entry && entry.symlink) {
+            const target = new TextDecoder().decode(contents);
+            if (this._localFileExists(file)) {
+                file.delete(null);
+            }
+            file.make_symbolic_link(target.startsWith('~/') ? GLib.get_home_dir() + target.slice(1) : target, null);
+            return;
+        }
+
+        let flags = Gio.FileCreateFlags.NONE;
+        if (entry && entry.mode) {
+            flags = Gio.FileCreateFlags.REPLACE_DESTINATION;
+            if ((parseInt(entry.mode, 8) & 0o077) === 0) {
+                flags |= Gio.FileCreateFlags.PRIVATE;
+            }
+        }
+        file.replace_contents(contents, null, false, flags, null);
+    }
+
+    /**
+     * Apply a remote file's permission bits unless they were changed here
+     * since the last sync. Updates base in place. With a plan, the change is
+     * added to it instead of applied.
+     */
+    _mergeRemoteMode(file, filePath, remotePath, remoteEntry, base, plan = null) {
+        if (!remoteEntry || !remoteEntry.mode || remoteEntry.symlink) {
+            return;
+        }
+
+        const info = file.query_info('standard::type,unix::mode', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        if (info.get_file_type() !== Gio.FileType.REGULAR || !info.has_attribute('unix::mode')) {
+            return;
+        }
+        const localMode = (info.get_attribute_uint32('unix::mode') & 0o7777).toString(8).padStart(4, '0');
+
+        const state = this._mergeKey(base.modes[remotePath], localMode, remoteEntry.mode);
+        if (plan) {
+            if (state === SyncManager.MERGE_REMOTE || state === SyncManager.MERGE_UNKNOWN) {
+                plan.addFile(filePath, SyncPlan.FILE_MODE, { detail: `${localMode} → ${remoteEntry.mode}` });
+            }
+            return;
+        }
+
+        if (state === SyncManager.MERGE_REMOTE || state === SyncManager.MERGE_UNKNOWN) {
+            this._captureFile(filePath, file);
+            file.set_attribute_uint32('unix::mode', parseInt(remoteEntry.mode, 8),
+                Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        }
+        if (state !== SyncManager.MERGE_LOCAL && state !== SyncManager.MERGE_CONFLICT) {
+            base.modes[remotePath] = remoteEntry.mode;
+        }
+    }
+
+    /**
+     * Git tree mode for a file list entry, used by git-based backends
+     * @param {Object|undefined} entry - {mode, symlink} from the file list
+     * @returns {string} '120000' for symlinks, '100755' if any execute bit is set, else '100644'
+     */
+    _gitMode(entry) {
+        if (entry && entry.symlink) return '120000';
+        if (entry && entry.mode && (parseInt(entry.mode, 8) & 0o111)) return '100755';
+        return '100644';
+    }
+
+    /**
+     * Remember which listed files exist locally, as the baseline for
+     * detecting deletions on the next upload
+     * @param {Set<string>} filePaths - From _collectSyncFiles() in this sync
+     */
+    _snapshotLocalFiles(filePaths) {
+        const listed = new Set();
+        const existing = new Set();
+        for (const filePath of filePaths) {
+            const remotePath = this._remotePathFor(filePath);
+            listed.add(remotePath);
+            if (this._localFileExists(Gio.File.new_for_path(this._localPathFor(filePath)))) {
+                existing.add(remotePath);
+            }
+        }
+        this._listedFiles = listed;
+        this._localFiles = existing;
+    }
+
+    /**
+     * Add individual files to the batch and work out which synced files went
+     * away: deleted locally (recorded in the remote config so other machines delete
+     * them too) or dropped from sync-files (only removed from the remote).
+     * Files changed both here and remotely since the last sync are left out
+     * and reported as conflicts. Binary files are sent base64-encoded and
+     * marked as such in the file list, which also records permission bits
+     * and symlinks (sent as their target). Text files with credentials in
+     * them are held back or redacted, see _scanForSecrets(). Updates
+     * remoteState and base in place.
+     * @param {Array} changes - Batch to add file changes to
+     * @param {Object} remoteState - From _loadRemoteState()
+     * @param {{files: Object}} base - From _loadBase()
+     * @param {Map} conflicts - Collects file conflicts
+     * @param {{patterns: FilePatterns, filePaths: Set<string>}} syncFiles - From _collectSyncFiles()
+     * @returns {Promise<Array<string>>} Remote paths to delete
+     */
+    async _addFilesToBatch(changes, remoteState, base, conflicts, syncFiles) {
+        const { patterns, filePaths } = syncFiles;
+        const removedPaths = [];
+        const now = new Date().toISOString();
+        const machine = GLib.get_host_name();
+
+        if (this._listedFiles) {
+            for (const remotePath of this._listedFiles) {
+                const filePath = this._filePathForRemote(remotePath);
+                if (!filePath || !patterns.matches(filePath) ||
+                    (this._isMachinePath(remotePath) && !this._isMachineLocalFile(filePath))) {
+                    // Dropped from the list, or no longer machine-local, since
+                    // the last sync. A shared copy of a file that became
+                    // machine-local stays for the other machines.
+                    removedPaths.push(remotePath);
+                } else if (this._localFiles.has(remotePath)) {
+                    // Had here at the last sync; if it's gone now, that's a deletion
+                    filePaths.add(filePath);
+                }
+            }
+        }
+
+        for (const filePath of filePaths) {
+            const remotePath = this._remotePathFor(filePath);
+            try {
+                const file = Gio.File.new_for_path(this._localPathFor(filePath));
+
+                if (!this._localFileExists(file)) {
+                    // Only a file this machine had counts as deleted; a fresh
+                    // install that hasn't restored yet must not delete anything
+                    if (this._localFiles && this._localFiles.has(remotePath)) {
+                        remoteState.deletions.set(remotePath, now);
+                        removedPaths.push(remotePath);
+                    }
+                    continue;
+                }
+
+                // Deleted on another machine and not restored here yet; the next
+                // restore removes it. A copy edited after the deletion wins.
+                const deletedAt = remoteState.deletions.get(remotePath);
+                if (deletedAt && this._getLocalModifiedTime(file) <= Date.parse(deletedAt)) {
+                    continue;
+                }
+
+                const info = file.query_info(SyncManager.LOCAL_FILE_ATTRIBUTES,
+                    Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                const type = info.get_file_type();
+                if (type !== Gio.FileType.REGULAR && type !== Gio.FileType.SYMBOLIC_LINK) {
+                    this._skippedFiles.set(filePath, 'not a regular file');
+                    continue;
+                }
+                if (info.get_size() > SyncManager.MAX_SYNC_FILE_BYTES) {
+                    this._skippedFiles.set(filePath,
+                        `larger than ${Utils.formatFileSize(SyncManager.MAX_SYNC_FILE_BYTES)}`);
+                    continue;
+                }
+
+                const { contents, mode, symlink } = this._readLocalFile(file, info);
+                const binary = !symlink && Utils.isBinaryContent(contents);
+
+                // Hashed as uploaded, so a redacted file matches its remote
+                // copy and isn't sent again every sync
+                const upload = binary || symlink ? contents : this._scanForSecrets(filePath, contents);
+                if (!upload) {
+                    continue;
+                }
+
+                remoteState.deletions.delete(remotePath);
+
+                const localHash = this._hashContent(upload);
+                const remoteEntry = remoteState.files.get(remotePath);
+                const state = this._mergeKey(
+                    base.files[remotePath], localHash, remoteEntry ? remoteEntry.hash : undefined);
+
+                // Changed only remotely: the next restore brings it here
+                if (state === SyncManager.MERGE_REMOTE) {
+                    continue;
+                }
+
+                if (state === SyncManager.MERGE_CONFLICT) {
+                    const remoteBytes = await this._downloadRemoteFile(
+                        remoteState.target, remoteState.credentials, remotePath, remoteEntry);
+                    if (remoteBytes) {
+                        conflicts.set(remotePath, this._fileConflict(
+                            remotePath, filePath, contents, remoteBytes, remoteEntry, this._remoteOrigin(remoteEntry, remoteState)));
+                    }
+                    continue;
+                }
+
+                // The hash in the remote config says whether the remote copy
+                // differs; the manifest covers configs written before hashes
+                const changed = await this._shouldUploadContent(remotePath, upload);
+
+                // Permission bits merge like content; a mode only changed
+                // remotely is left for the next restore to apply
+                const modeState = this._mergeKey(base.modes[remotePath], mode, remoteEntry ? remoteEntry.mode : undefined);
+                const entry = {
+                    mode: modeState === SyncManager.MERGE_REMOTE ? remoteEntry.mode : mode,
+                    symlink
+                };
+                const metaChanged = !remoteEntry || remoteEntry.mode !== entry.mode || !!remoteEntry.symlink !== symlink;
+
+                // Git-based backends keep the executable bit and symlinks in
+                // the tree, so the blob goes up again when they change
+                const gitMode = this._gitMode(entry);
+                if ((remoteEntry && remoteEntry.hash ? state !== SyncManager.MERGE_SAME : changed) ||
+                    gitMode !== this._gitMode(remoteEntry)) {
+                    changes.push({
+                        path: remotePath,
+                        mode: gitMode,
+                        type: 'blob',
+                        ...(binary
+                            ? { content: GLib.base64_encode(contents), encoding: 'base64' }
+                            : { content: new TextDecoder().decode(upload) })
+                    });
+                }
+                base.files[remotePath] = localHash;
+                if (entry.mode !== undefined && modeState !== SyncManager.MERGE_REMOTE) {
+                    base.modes[remotePath] = entry.mode;
+                }
+                if (state !== SyncManager.MERGE_SAME || metaChanged) {
+                    remoteState.files.set(remotePath, {
+                        hash: localHash,
+                        machine,
+                        timestamp: now,
+                        ...(entry.mode && { mode: entry.mode }),
+                        ...(symlink && { symlink: true }),
+                        ...(binary && { binary: true })
+                    });
+                }
+            } catch (e) {
+                console.error(`Sync Manager: Failed to prepare file ${filePath} for batch: ${e.message}`);
+                this._skippedFiles.set(filePath, e.message);
+            }
+        }
+
+        for (const remotePath of removedPaths) {
+            remoteState.files.delete(remotePath);
+            this._manifest.delete(remotePath);
+            delete base.files[remotePath];
+            delete base.modes[remotePath];
+        }
+
+        return removedPaths;
+    }
+
+    /**
+     * Add wallpapers to the batch
+     */
+    async _addWallpapersToBatch(changes) {
+        const syncWallpapers = this.settings.get_boolean('sync-wallpapers');
+        if (!syncWallpapers) return;
+
+        const wallpaperData = this.wallpaperManager.getWallpaperData();
+        if (wallpaperData.size === 0) return;
+
+        for (const [wallpaperKey, wallpaperInfo] of wallpaperData) {
+            try {
+                const wallpaperContent = await this.wallpaperManager.getWallpaperContent(wallpaperKey);
+                if (wallpaperContent) {
+                    const remotePath = `wallpapers/${wallpaperContent.fileName}`;
+
+                    const contentHash = GLib.compute_checksum_for_string(
+                        GLib.ChecksumType.SHA256, wallpaperContent.content, -1
+                    );
+
+                    if (this._manifest.get(remotePath) !== contentHash) {
+                        changes.push({
+                            path: remotePath,
+                            mode: '100644',
+                            type: 'blob',
+                            content: wallpaperContent.content,
+                            encoding: 'base64'
+                        });
+                        this._manifest.set(remotePath, contentHash);
+                    }
+                }
+            } catch (e) {
+                console.error(`Sync Manager: Failed to prepare wallpaper ${wallpaperKey} for batch: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Download main config file, or another JSON file such as a machine's
+     * override layer, from the storage provider
+     * @returns {Promise<Object|null>} Parsed content, or null if there is none
+     */
+    async _downloadConfig(provider, credentials, path = 'config-backup.json') {
+        const response = await provider.downloadFile(provider.profilePath(path), credentials);
+
+        if (!response.ok) {
+            if (response.status === SyncManager.HTTP_NOT_FOUND) {
+                return null;
+            }
+            throw new StorageError(`Download failed: ${response.status}`, response.status);
+        }
+
+        const content = await this._openDownload(provider, credentials, path, response.content);
+        return content ? JSON.parse(new TextDecoder().decode(content)) : null;
+    }
+
+    /**
+     * Download individual files from the storage provider. Files another
+     * machine deleted are moved to the trash here, unless the local copy was
+     * modified after the deletion. Local files changed since the last sync are
+     * kept, or reported as conflicts if the remote copy changed too.
+     * With a plan nothing is written; what would change is added to it.
+     * @param {StorageProvider} provider - Provider to download from
+     * @param {Object} credentials - Provider credentials
+     * @param {Object|null} config - Downloaded config, for its file list and deletion records
+     * @param {SyncPlan|null} plan - Dry run: collect changes here
+     */
+    async _downloadFiles(provider, credentials, config = null, plan = null) {
+        const deletions = (config && config.deletions) || {};
+        const remoteFiles = this._parseRemoteFiles(config);
+        const { filePaths } = await this._collectSyncFiles(remoteFiles);
+        const base = this._loadBase();
+        const conflicts = new Map();
 
         for (const filePath of filePaths) {
             try {
-                const remotePath = `files${filePath.replace('~', '/home')}`;
+                const remotePath = this._remotePathFor(filePath);
+                const file = Gio.File.new_for_path(this._localPathFor(filePath));
+
+                const deletedAt = deletions[remotePath];
+                if (deletedAt) {
+                    if (this._localFileExists(file) && this._getLocalModifiedTime(file) <= Date.parse(deletedAt)) {
+                        if (plan) {
+                            plan.addFile(filePath, SyncPlan.FILE_DELETE, { detail: `deleted remotely ${deletedAt}` });
+                            continue;
+                        }
+                        this._captureFile(filePath, file);
+                        this._removeLocalFile(file);
+                        this._manifest.forget(remotePath);
+                        delete base.files[remotePath];
+                        delete base.modes[remotePath];
+                    }
+                    continue;
+                }
+
+                // Machine-local and not uploaded from here yet: leave it alone
+                const remoteEntry = remoteFiles.get(remotePath);
+                if (!remoteEntry && this._isMachinePath(remotePath)) {
+                    continue;
+                }
+
+                // Nothing new remotely since the last sync, apart from maybe its mode
+                const exists = this._localFileExists(file);
+                if (exists && remoteEntry && remoteEntry.hash && remoteEntry.hash === base.files[remotePath]) {
+                    this._mergeRemoteMode(file, filePath, remotePath, remoteEntry, base, plan);
+                    continue;
+                }
+
+                const remoteBytes = await this._downloadRemoteFile(provider, credentials, remotePath, remoteEntry);
+
+                if (remoteBytes) {
+                    const remoteHash = this._hashContent(remoteBytes);
 
-                const response = await this.storageProvider.downloadFile(remotePath, credentials);
+                    let localBytes = null;
+                    if (exists) {
+                        const info = file.query_info(SyncManager.LOCAL_FILE_ATTRIBUTES,
+                            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                        localBytes = this._readLocalFile(file, info).contents;
+                        const state = this._mergeKey(
+                            base.files[remotePath], this._hashContent(localBytes), remoteHash);
 
-                if (response.ok) {
-                    const expandedPath = filePath.replace('~', GLib.get_home_dir());
-                    const file = Gio.File.new_for_path(expandedPath);
+                        if (state === SyncManager.MERGE_CONFLICT) {
+                            conflicts.set(remotePath, this._fileConflict(
+                                remotePath, filePath, localBytes, remoteBytes, remoteEntry, this._remoteOrigin(remoteEntry, config)));
+                            continue;
+                        }
+
+                        if (state === SyncManager.MERGE_SAME) {
+                            base.files[remotePath] = remoteHash;
+                        }
 
-                    const parent = file.get_parent();
-                    if (!parent.query_exists(null)) {
-                        parent.make_directory_with_parents(null);
+                        // Changed only locally: keep it, the next upload sends it
+                        if (state === SyncManager.MERGE_LOCAL || state === SyncManager.MERGE_SAME) {
+                            this._mergeRemoteMode(file, filePath, remotePath, remoteEntry, base, plan);
+                            continue;
+                        }
                     }
 
-                    file.replace_contents(
-                        new TextEncoder().encode(response.content),
-                        null,
-                        false,
-                        Gio.FileCreateFlags.REPLACE_DESTINATION,
-                        null
-                    );
+                    if (plan) {
+                        plan.addFile(filePath, exists ? SyncPlan.FILE_OVERWRITE : SyncPlan.FILE_CREATE,
+                            this._planDiff(filePath, localBytes, remoteBytes));
+                        continue;
+                    }
 
-                } else if (response.status !== SyncManager.HTTP_NOT_FOUND) {
-                    console.error(`Sync Manager: Failed to download ${remotePath}: ${response.status}`);
+                    this._captureFile(filePath, file);
+                    this._writeLocalFile(file, remoteBytes, remoteEntry || null);
+                    base.files[remotePath] = remoteHash;
+                    this._mergeRemoteMode(file, filePath, remotePath, remoteEntry, base);
                 }
             } catch (e) {
                 console.error(`Sync Manager: Failed to download file ${filePath}: ${e.message}`);
             }
         }
+
+        if (plan) {
+            plan.conflicts += conflicts.size;
+            return;
+        }
+
+        this._saveBase(base);
+        this._setConflicts(ConflictStore.TYPE_FILE, conflicts);
+        this._snapshotLocalFiles(filePaths);
+    }
+
+    /**
+     * Save a file to the restore snapshot before it is changed. A failure
+     * throws, so the file is left alone rather than changed without a copy.
+     */
+    _captureFile(filePath, file) {
+        if (this._snapshot) {
+            this._snapshot.captureFile(filePath, file);
+        }
+    }
+
+    /**
+     * End the restore snapshot: write it if anything was captured and drop
+     * snapshots beyond the retention limit. The one place snapshots are saved.
+     */
+    _finishSnapshot() {
+        const snapshot = this._snapshot;
+        this._snapshot = null;
+        if (!snapshot || snapshot.isEmpty) {
+            return;
+        }
+        snapshot.save();
+        this._snapshots.prune(this.settings.get_int('snapshot-retention'));
+    }
+
+    /**
+     * The most recent restore snapshot
+     * @returns {Object|null} Snapshot from SnapshotStore, or null if there is none
+     */
+    getLatestSnapshot() {
+        return this._snapshots.list()[0] || null;
+    }
+
+    /**
+     * Undo a restore: put back the settings and files saved in its snapshot,
+     * then delete it. The values put back differ from the synced base, so
+     * the next upload sends them like any local change.
+     * @param {string|null} id - Snapshot id, or null for the latest
+     * @returns {boolean} Whether the snapshot existed
+     */
+    restoreSnapshot(id = null) {
+        const snapshot = id ? this._snapshots.get(id) : this.getLatestSnapshot();
+        if (!snapshot) {
+            return false;
+        }
+
+        for (const [schema, keys] of Object.entries(snapshot.settings || {})) {
+            const opened = SchemaPaths.open(schema);
+            if (!opened) {
+                continue;
+            }
+            const settings = opened.settings;
+            for (const [key, value] of Object.entries(keys)) {
+                try {
+                    const type = settings.get_value(key).get_type();
+                    settings.set_value(key, GLib.Variant.parse(type, value, null, null));
+                } catch (e) {
+                    console.error(`Sync Manager: Failed to undo ${schema}.${key}: ${e.message}`);
+                }
+            }
+        }
+
+        for (const [filePath, entry] of Object.entries(snapshot.files || {})) {
+            try {
+                const file = Gio.File.new_for_path(this._localPathFor(filePath));
+                const type = file.query_file_type(Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+
+                if (!entry.exists) {
+                    // Created by the restore
+                    if (type !== Gio.FileType.UNKNOWN) {
+                        this._removeLocalFile(file);
+                    }
+                    continue;
+                }
+
+                // Whatever the restore put there is replaced, link or not
+                if (type === Gio.FileType.SYMBOLIC_LINK || (entry.symlink && type !== Gio.FileType.UNKNOWN)) {
+                    file.delete(null);
+                }
+                if (entry.symlink) {
+                    file.make_symbolic_link(entry.symlink, null);
+                    continue;
+                }
+
+                const [, contents] = this._snapshots.getBlob(snapshot.id, entry.blob).load_contents(null);
+                this._writeLocalFile(file, contents, entry.mode ? { mode: entry.mode } : null);
+                if (entry.mode) {
+                    file.set_attribute_uint32('unix::mode', parseInt(entry.mode, 8),
+                        Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                }
+            } catch (e) {
+                console.error(`Sync Manager: Failed to undo ${filePath}: ${e.message}`);
+            }
+        }
+
+        this._snapshots.delete(snapshot.id);
+        return true;
+    }
+
+    /**
+     * List earlier versions of the profile's config, newest first, with the
+     * keys and files each one changed compared to the version before it.
+     * The oldest listed version has nothing to compare with and is marked
+     * initial. Machine override layers are not part of the history.
+     * @param {number} limit - Most revisions to return
+     * @returns {Promise<{provider: string, revisions: Array<Object>}>} Each
+     *   revision is {id, timestamp, machine, author, message, initial,
+     *   settings: [{schema, key, old, new}], files: [{path, localPath, change}]};
+     *   old is undefined for added keys, change is added, changed or removed
+     */
+    async getHistory(limit = StorageProvider.HISTORY_LIMIT) {
+        const provider = this.storageProvider;
+        const credentials = this._historyCredentials();
+        await this._checkEncryption(provider, credentials);
+
+        // One extra, so the oldest one returned has something to compare with
+        const listed = await provider.listRevisions(provider.profilePath('config-backup.json'), credentials, limit + 1);
+        const configs = [];
+        for (const revision of listed) {
+            try {
+                configs.push({ revision, config: await this._configAtRevision(provider, credentials, revision.id) });
+            } catch (e) {
+                console.warn(`Sync Manager: Skipping revision ${revision.id}: ${e.message}`);
+            }
+        }
+
+        const revisions = [];
+        for (let i = 0; i < Math.min(configs.length, limit); i++) {
+            const { revision, config } = configs[i];
+            const previous = configs[i + 1] ? configs[i + 1].config : null;
+            revisions.push({
+                id: revision.id,
+                timestamp: revision.timestamp,
+                machine: config.machine || null,
+                author: revision.author || null,
+                message: revision.message || null,
+                initial: !previous,
+                ...this._diffConfigs(previous, config)
+            });
+        }
+
+        return { provider: provider.name, revisions };
+    }
+
+    /**
+     * Keys and files that differ between two versions of the config
+     * @param {Object|null} older - Previous version, or null to list nothing
+     * @param {Object} newer - Later version
+     * @returns {{settings: Array<Object>, files: Array<Object>}}
+     */
+    _diffConfigs(older, newer) {
+        const settings = [];
+        const files = [];
+        if (!older) {
+            return { settings, files };
+        }
+
+        const oldSettings = older.gsettings || {};
+        const newSettings = newer.gsettings || {};
+        for (const schema of new Set([...Object.keys(oldSettings), ...Object.keys(newSettings)])) {
+            const oldKeys = oldSettings[schema] || {};
+            const newKeys = newSettings[schema] || {};
+            for (const key of new Set([...Object.keys(oldKeys), ...Object.keys(newKeys)])) {
+                if (oldKeys[key] !== newKeys[key]) {
+                    settings.push({ schema, key, old: oldKeys[key], new: newKeys[key] });
+                }
+            }
+        }
+
+        const oldFiles = this._parseRemoteFiles(older);
+        const newFiles = this._parseRemoteFiles(newer);
+        for (const path of new Set([...oldFiles.keys(), ...newFiles.keys()])) {
+            const filePath = this._filePathForRemote(path);
+            if (!filePath) {
+                continue;
+            }
+
+            let change = null;
+            if (!oldFiles.has(path)) {
+                change = 'added';
+            } else if (!newFiles.has(path)) {
+                change = 'removed';
+            } else {
+                // Entries also record the writer and time; only content and metadata count
+                const before = oldFiles.get(path);
+                const after = newFiles.get(path);
+                if (before.hash !== after.hash || before.mode !== after.mode || !!before.symlink !== !!after.symlink) {
+                    change = 'changed';
+                }
+            }
+            if (change) {
+                files.push({ path, localPath: filePath, change });
+            }
+        }
+
+        settings.sort((a, b) => `${a.schema}.${a.key}`.localeCompare(`${b.schema}.${b.key}`));
+        files.sort((a, b) => a.localPath.localeCompare(b.localPath));
+        return { settings, files };
+    }
+
+    /**
+     * Put the profile, one key or one file back as it was at a revision from
+     * getHistory(). Wallpaper keys are left alone, as the wallpapers they
+     * point to are not kept with the revision, and so are files the revision
+     * doesn't list. What is replaced goes into a restore snapshot first; the
+     * restored values differ from the synced base, so the next upload sends
+     * them like any local change.
+     * @param {{id: string, timestamp: string}} revision - Revision to restore from
+     * @param {{schema: string, key: string}|{path: string}|null} target - A key, a
+     *   remote file path, or null for everything
+     * @param {Function} setMonitoringEnabled - Function to enable/disable monitoring
+     * @returns {Promise<{settings: number, files: number, missing: string[]}>} What
+     *   was restored, and files whose content at the revision wasn't found
+     */
+    async restoreRevision(revision, target, setMonitoringEnabled) {
+        const provider = this.storageProvider;
+        const credentials = this._historyCredentials();
+        await this._checkEncryption(provider, credentials);
+
+        const config = await this._configAtRevision(provider, credentials, revision.id);
+        const result = { settings: 0, files: 0, missing: [] };
+
+        if (setMonitoringEnabled) {
+            setMonitoringEnabled(false);
+        }
+        this._snapshot = this._snapshots.begin();
+
+        try {
+            // A target names a key or a file; everything else is skipped
+            for (const [schema, keys] of Object.entries(config.gsettings)) {
+                if (target && target.schema !== schema) {
+                    continue;
+                }
+                const opened = SchemaPaths.open(schema);
+                if (!opened) {
+                    continue;
+                }
+
+                const { schema: schemaObj, settings } = opened;
+                for (const [key, value] of Object.entries(keys)) {
+                    if ((target && target.key !== key) || !schemaObj.has_key(key) ||
+                        this.wallpaperManager.isWallpaperKey(schema, key)) {
+                        continue;
+                    }
+                    try {
+                        const current = settings.get_value(key);
+                        const localValue = current.print(true);
+                        if (localValue === value) {
+                            continue;
+                        }
+                        const variant = GLib.Variant.parse(current.get_type(), value, null, null);
+                        this._snapshot.captureSetting(schema, key, localValue);
+                        settings.set_value(key, variant);
+                        result.settings++;
+                    } catch (e) {
+                        console.error(`Sync Manager: Failed to restore ${schema}.${key}: ${e.message}`);
+                    }
+                }
+            }
+
+            for (const [remotePath, entry] of this._parseRemoteFiles(config)) {
+                const filePath = this._filePathForRemote(remotePath);
+                if (!filePath || (target && target.path !== remotePath)) {
+                    continue;
+                }
+                try {
+                    const bytes = await this._fileAtRevision(provider, credentials, remotePath, entry, revision);
+                    if (!bytes) {
+                        result.missing.push(filePath);
+                        continue;
+                    }
+
+                    const file = Gio.File.new_for_path(this._localPathFor(filePath));
+                    if (this._localFileExists(file)) {
+                        const info = file.query_info(SyncManager.LOCAL_FILE_ATTRIBUTES,
+                            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                        const local = this._readLocalFile(file, info);
+                        if (this._hashContent(local.contents) === this._hashContent(bytes) &&
+                            local.symlink === !!entry.symlink && (!entry.mode || local.mode === entry.mode)) {
+                            continue;
+                        }
+                    }
+
+                    this._captureFile(filePath, file);
+                    this._writeLocalFile(file, bytes, entry);
+                    if (entry.mode && !entry.symlink) {
+                        file.set_attribute_uint32('unix::mode', parseInt(entry.mode, 8),
+                            Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+                    }
+                    result.files++;
+                } catch (e) {
+                    console.error(`Sync Manager: Failed to restore ${filePath}: ${e.message}`);
+                    result.missing.push(filePath);
+                }
+            }
+
+        } finally {
+            this._finishSnapshot();
+            this._resumeMonitoring(setMonitoringEnabled);
+        }
+
+        return result;
+    }
+
+    /**
+     * Credentials of the primary provider, which is the one history is read
+     * from; mirrors and fallbacks keep their own
+     */
+    _historyCredentials() {
+        const credentials = this.storageProvider.getCredentials(this.settings);
+        if (!this.storageProvider.hasValidCredentials(credentials)) {
+            throw new Error(`${this.storageProvider.name} credentials not configured`);
+        }
+        if (this.storageProvider.historyType === StorageProvider.HISTORY_NONE) {
+            throw new Error(`${this.storageProvider.name} does not keep file history`);
+        }
+        return credentials;
+    }
+
+    /**
+     * Download and parse config-backup.json as it was at a revision
+     * @returns {Promise<Object>}
+     */
+    async _configAtRevision(provider, credentials, id) {
+        const response = await provider.downloadRevision(provider.profilePath('config-backup.json'), id, credentials);
+        if (!response.ok) {
+            throw new StorageError(`Download failed: ${response.status}`, response.status);
+        }
+        const config = JSON.parse(new TextDecoder().decode(await this._openRevision(provider, credentials, response.content)));
+        if (!config || !config.gsettings) {
+            throw new Error('Invalid backup data');
+        }
+        return config;
+    }
+
+    /**
+     * Content of a synced file as it was when a config revision was written.
+     * On commit history the same revision has it. With per-file history, the
+     * file's newest revision from no later than the config (give or take
+     * HISTORY_MATCH_WINDOW_MS) whose content matches the config's hash is it.
+     * @param {StorageProvider} provider - Provider to download from
+     * @param {Object} credentials - Provider credentials
+     * @param {string} remotePath - Profile-relative file path
+     * @param {Object} entry - The file's entry in that config's file list
+     * @param {{id: string, timestamp: string}} revision - Config revision
+     * @returns {Promise<Uint8Array|null>} Plain content, or null if not found
+     */
+    async _fileAtRevision(provider, credentials, remotePath, entry, revision) {
+        const path = provider.profilePath(remotePath);
+        if (provider.historyType === StorageProvider.HISTORY_COMMITS) {
+            const response = await provider.downloadRevision(path, revision.id, credentials);
+            return response.ok ? this._openRevision(provider, credentials, response.content) : null;
+        }
+
+        const cutoff = Date.parse(revision.timestamp) + SyncManager.HISTORY_MATCH_WINDOW_MS;
+        const candidates = (await provider.listRevisions(path, credentials))
+            .filter(candidate => Date.parse(candidate.timestamp) <= cutoff);
+        for (const candidate of candidates) {
+            const response = await provider.downloadRevision(path, candidate.id, credentials);
+            if (!response.ok) {
+                continue;
+            }
+            const bytes = await this._openRevision(provider, credentials, response.content);
+            // Configs from before hashes were recorded can't be matched; take the closest
+            if (!entry.hash || this._hashContent(bytes) === entry.hash) {
+                return bytes;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Decrypt content from history. Revisions from before the remote was
+     * encrypted are plain and are returned as they are.
+     * @param {StorageProvider} provider - Provider it came from
+     * @param {Object} credentials - Provider credentials
+     * @param {Uint8Array} bytes - Downloaded content
+     * @returns {Promise<Uint8Array>}
+     */
+    async _openRevision(provider, credentials, bytes) {
+        if (!Encryption.isEncrypted(bytes)) {
+            return bytes;
+        }
+        const { passphrase } = await this._checkEncryption(provider, credentials, true);
+        if (!passphrase) {
+            throw new Error('Revision is encrypted; turn on encryption and set its passphrase');
+        }
+        return this._encryption.decrypt(bytes, passphrase);
+    }
+
+    /**
+     * Diff for a file in a plan, or a note when either side isn't text
+     * @param {string} filePath - Path as written in sync-files
+     * @param {Uint8Array|null} oldBytes - Current content, null if the file doesn't exist
+     * @param {Uint8Array} newBytes - Content it would become
+     * @returns {{diff: string}|{detail: string}}
+     */
+    _planDiff(filePath, oldBytes, newBytes) {
+        if ((oldBytes && Utils.isBinaryContent(oldBytes)) || Utils.isBinaryContent(newBytes)) {
+            return {
+                detail: oldBytes
+                    ? `binary, ${Utils.formatFileSize(oldBytes.length)} → ${Utils.formatFileSize(newBytes.length)}`
+                    : `binary, ${Utils.formatFileSize(newBytes.length)}`
+            };
+        }
+        const decoder = new TextDecoder();
+        return {
+            diff: Utils.unifiedDiff(oldBytes ? decoder.decode(oldBytes) : '', decoder.decode(newBytes),
+                oldBytes ? `a/${filePath}` : '/dev/null', `b/${filePath}`)
+        };
+    }
+
+    /**
+     * Download a synced file as bytes, through downloadBinaryFile when the
+     * file list marks it binary
+     * @param {StorageProvider} provider - Provider to download from
+     * @param {Object} credentials - Provider credentials
+     * @param {string} remotePath - Remote file path
+     * @param {Object|undefined} remoteEntry - The file's entry in the remote file list
+     * @returns {Promise<Uint8Array|null>} Content, or null if the remote doesn't have it
+     */
+    async _downloadRemoteFile(provider, credentials, remotePath, remoteEntry) {
+        // Encrypted binary files are stored armored, as text
+        const encrypted = (await this._checkEncryption(provider, credentials, true)).encrypted;
+        if (remoteEntry && remoteEntry.binary && !encrypted) {
+            return provider.downloadBinaryFile(provider.profilePath(remotePath), credentials);
+        }
+
+        const response = await provider.downloadFile(provider.profilePath(remotePath), credentials);
+        if (!response.ok) {
+            if (response.status !== SyncManager.HTTP_NOT_FOUND) {
+                throw new StorageError(`Download failed: ${response.status}`, response.status);
+            }
+            return null;
+        }
+        return this._openDownload(provider, credentials, remotePath, response.content);
+    }
+
+    /**
+     * Check a remote's key-check file against the passphrase. A remote with
+     * one is encrypted and needs the passphrase that wrote it, whether or not
+     * encryption is on here; a remote without one is plain.
+     * @param {StorageProvider} provider - Provider to check
+     * @param {Object} credentials - Provider credentials
+     * @param {boolean} cached - Reuse the result of an earlier check in this sync
+     * @returns {Promise<{encrypted: boolean, passphrase: string|null}>}
+     *   The passphrase is set when content is encrypted or should be
+     */
+    async _checkEncryption(provider, credentials, cached = false) {
+        const name = this._remoteName(provider);
+        if (cached && this._remoteEncryption.has(name)) {
+            return this._remoteEncryption.get(name);
+        }
+
+        const response = await provider.downloadFile(provider.profilePath(Encryption.CHECK_FILE), credentials);
+        if (!response.ok && response.status !== SyncManager.HTTP_NOT_FOUND) {
+            throw new StorageError(`Download failed: ${response.status}`, response.status);
+        }
+
+        let state;
+        if (!response.ok) {
+            state = {
+                encrypted: false,
+                passphrase: this._encryption.enabled ? await this._encryption.getPassphrase() : null
+            };
+        } else if (!this._encryption.enabled) {
+            throw new Error(`${provider.name} is encrypted; turn on encryption and set its passphrase`);
+        } else {
+            const passphrase = await this._encryption.getPassphrase();
+            if (!(await this._encryption.verifyCheck(response.content, passphrase))) {
+                throw new Error(`Wrong encryption passphrase for ${provider.name}`);
+            }
+            state = { encrypted: true, passphrase };
+        }
+
+        this._remoteEncryption.set(name, state);
+        return state;
+    }
+
+    /**
+     * Decrypt downloaded content if the remote is encrypted; anything that
+     * doesn't decrypt is refused. This machine's own override layer is the
+     * exception: it may still be plain if another machine encrypted the
+     * remote, and is treated as missing until this machine uploads it again.
+     * @param {StorageProvider} provider - Provider it came from
+     * @param {Object} credentials - Provider credentials
+     * @param {string} remotePath - Profile-relative path it came from
+     * @param {string|Uint8Array} content - Downloaded content
+     * @returns {Promise<Uint8Array|null>} Plain content, or null if ignored
+     */
+    async _openDownload(provider, credentials, remotePath, content) {
+        const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+        const { encrypted, passphrase } = await this._checkEncryption(provider, credentials, true);
+        if (!encrypted) {
+            return bytes;
+        }
+
+        const ownLayer = remotePath === `${this._machinePath()}.json` || this._isMachinePath(remotePath);
+        if (ownLayer && !Encryption.isEncrypted(bytes)) {
+            console.warn(`Sync Manager: ${remotePath} was uploaded before encryption, ignoring it`);
+            return null;
+        }
+        return this._encryption.decrypt(bytes, passphrase);
+    }
+
+    /**
+     * Encrypt a prepared batch in place. Symlinks go up as plain blobs, as
+     * their targets are encrypted too; the config's file list still records
+     * them as symlinks.
+     * @param {Array<Object>} changes - Batch about to be uploaded
+     * @param {string} passphrase - From the key check
+     */
+    async _encryptBatch(changes, passphrase) {
+        for (const change of changes) {
+            const bytes = change.encoding === 'base64'
+                ? GLib.base64_decode(change.content)
+                : new TextEncoder().encode(change.content);
+            change.content = await this._encryption.encrypt(bytes, passphrase);
+            delete change.encoding;
+            if (change.mode === '120000') {
+                change.mode = '100644';
+            }
+        }
+    }
+
+    /**
+     * Build a file conflict. Text is stored as is so it can be shown and
+     * edited; binary content is stored base64-encoded. For a remote symlink
+     * the values are link targets, and resolving recreates the link.
+     */
+    _fileConflict(remotePath, filePath, localBytes, remoteBytes, remoteEntry, origin) {
+        const binary = Utils.isBinaryContent(localBytes) || Utils.isBinaryContent(remoteBytes);
+        const encode = bytes => binary ? GLib.base64_encode(bytes) : new TextDecoder().decode(bytes);
+        return {
+            path: remotePath,
+            localPath: filePath,
+            local: encode(localBytes),
+            remote: encode(remoteBytes),
+            ...(binary && { binary: true, localSize: localBytes.length, remoteSize: remoteBytes.length }),
+            ...(remoteEntry && remoteEntry.symlink && { symlink: true }),
+            ...origin
+        };
+    }
+
+    /**
+     * Move a local file to the trash, deleting it where there is no trash
+     * (e.g. some network mounts)
+     */
+    _removeLocalFile(file) {
+        try {
+            file.trash(null);
+        } catch (e) {
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_SUPPORTED)) {
+                throw e;
+            }
+            file.delete(null);
+        }
     }
     
     
     /**
-     * Clear the content hash cache
+     * Clear the upload manifest, so the next upload sends everything
      */
     clearCache() {
-        this._contentHashCache.clear();
+        this._manifest.clear();
     }
     
     /**
@@ -535,9 +2695,25 @@ export class SyncManager {
         this._syncQueue.length = 0;
         this._syncQueue = null;
         
-        // Clear content cache
-        this._contentHashCache.clear();
-        this._contentHashCache = null;
+        // Drop staged hashes; the saved manifest is kept for the next session
+        this._manifest.discard();
+        this._manifest = null;
+        this._snapshot = null;
+        this._pendingDeletions.clear();
+        this._skippedFiles.clear();
+        this._secretFindings.clear();
+        this._listedFiles = null;
+        this._localFiles = null;
+
+        // Clear mirror state (providers are owned and cleaned up by the extension)
+        this._mirrorStatus.clear();
+        this._mirrorPending.clear();
+        this.mirrorProviders = [];
+        this.fallbackProviders = [];
+        this._activeFallback = null;
+        this._failoverCallback = null;
+        this._conflictCallback = null;
+        this._conflictStore = null;
         
         // Clear references
         this.storageProvider = null;
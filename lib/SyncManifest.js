@@ -0,0 +1,186 @@
+/*
+ * SyncManifest.js - Persistent record of what was last uploaded
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Maps each uploaded remote path to the hash of its content and the remote
+ * revision it went up with (the timestamp of the config written in the same
+ * sync), so unchanged files are not uploaded again after a restart.
+ *
+ * Hashes and deletions are staged while a batch is prepared and only
+ * become part of the manifest once the upload succeeds, so a failed upload
+ * is retried and a dry run leaves the manifest as it was.
+ *
+ * Hashes are of the plain content; encrypted tells whether it went up
+ * encrypted, so turning encryption on or off uploads everything again.
+ */
+export class SyncManifest {
+    constructor() {
+        this._entries = new Map();
+        this._staged = new Map();
+        this._removed = new Set();
+        this.provider = null;
+        this.encrypted = false;
+        this.load();
+    }
+
+    /**
+     * Location of the manifest, next to the merge base
+     * @returns {Gio.File}
+     */
+    static getFile() {
+        return Gio.File.new_for_path(GLib.build_filenamev(
+            [GLib.get_user_state_dir(), 'gnoming-profiles', 'manifest.json']));
+    }
+
+    /**
+     * (Re)read the manifest from disk
+     */
+    load() {
+        this._entries.clear();
+        this._staged.clear();
+        this._removed.clear();
+        this.provider = null;
+        this.encrypted = false;
+        try {
+            const [, contents] = SyncManifest.getFile().load_contents(null);
+            const manifest = JSON.parse(new TextDecoder().decode(contents));
+            this.provider = manifest.provider || null;
+            this.encrypted = !!manifest.encrypted;
+            for (const [path, entry] of Object.entries(manifest.files || {})) {
+                this._entries.set(path, entry);
+            }
+        } catch (e) {
+            if (!(e instanceof GLib.Error && e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))) {
+                console.error(`SyncManifest: Failed to read manifest: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Hash of a path's content as last uploaded, including staged uploads
+     * @param {string} path - Remote path
+     * @returns {string|undefined}
+     */
+    get(path) {
+        if (this._staged.has(path)) {
+            return this._staged.get(path);
+        }
+        if (this._removed.has(path)) {
+            return undefined;
+        }
+        const entry = this._entries.get(path);
+        return entry ? entry.hash : undefined;
+    }
+
+    /**
+     * Stage a hash for a path about to be uploaded
+     */
+    set(path, hash) {
+        this._removed.delete(path);
+        this._staged.set(path, hash);
+    }
+
+    /**
+     * Stage forgetting a path about to be deleted remotely
+     */
+    delete(path) {
+        this._staged.delete(path);
+        this._removed.add(path);
+    }
+
+    /**
+     * Forget a path right away, e.g. after a remote deletion was applied
+     * here. Takes effect on the next save.
+     */
+    forget(path) {
+        this._staged.delete(path);
+        this._removed.delete(path);
+        this._entries.delete(path);
+    }
+
+    /**
+     * Forget everything, so the next upload sends all content
+     */
+    clear() {
+        this._entries.clear();
+        this._staged.clear();
+        this._removed.clear();
+        this._save();
+    }
+
+    /**
+     * Record staged hashes and deletions as uploaded and save
+     * @param {string} provider - Name of the provider that received the upload
+     * @param {string} revision - Timestamp of the config uploaded with them
+     * @param {boolean} encrypted - Whether the upload was encrypted
+     */
+    commit(provider, revision, encrypted = this.encrypted) {
+        for (const [path, hash] of this._staged) {
+            this._entries.set(path, { hash, revision });
+        }
+        for (const path of this._removed) {
+            this._entries.delete(path);
+        }
+        this._staged.clear();
+        this._removed.clear();
+        this.provider = provider;
+        this.encrypted = encrypted;
+        this._save();
+    }
+
+    /**
+     * Drop staged hashes and deletions after a failed upload or a dry run
+     */
+    discard() {
+        this._staged.clear();
+        this._removed.clear();
+    }
+
+    /**
+     * Keep only entries the remote is known to have, by the hashes its config
+     * records. Used when the manifest was written for a different provider,
+     * e.g. after switching backends or uploading to a fallback. Paths the
+     * config doesn't hash (wallpapers) are dropped and uploaded again.
+     * @param {string} provider - Name of the provider the remote state came from
+     * @param {Map<string, Object>} remoteFiles - Remote path → {hash}, from the remote config
+     */
+    verify(provider, remoteFiles) {
+        for (const [path, entry] of this._entries) {
+            const remote = remoteFiles.get(path);
+            if (!remote || remote.hash !== entry.hash) {
+                this._entries.delete(path);
+            }
+        }
+        this.provider = provider;
+        this._save();
+    }
+
+    _save() {
+        try {
+            const file = SyncManifest.getFile();
+            const parent = file.get_parent();
+            if (!parent.query_exists(null)) {
+                parent.make_directory_with_parents(null);
+            }
+            const manifest = {
+                provider: this.provider,
+                encrypted: this.encrypted,
+                files: Object.fromEntries([...this._entries].sort(([a], [b]) => a.localeCompare(b)))
+            };
+            file.replace_contents(
+                new TextEncoder().encode(JSON.stringify(manifest, null, 2)),
+                null,
+                false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION | Gio.FileCreateFlags.PRIVATE,
+                null
+            );
+        } catch (e) {
+            console.error(`SyncManifest: Failed to save manifest: ${e.message}`);
+        }
+    }
+}
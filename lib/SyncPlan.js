@@ -0,0 +1,55 @@
+/*
+ * SyncPlan.js - What a push or pull would change, from a dry run
+ * Part of Gnoming Profiles extension
+ */
+
+/**
+ * Collected by SyncManager when syncToRemote(true) or syncFromRemote(true)
+ * and restoreBackup(..., plan) run as a dry run: nothing is written locally
+ * or remotely, the plan lists what would have been.
+ *
+ * settings:   { schema, key, from, to }    printed GVariants, from null if unset
+ * files:      { path, action, diff?, detail? }
+ * wallpapers: { name, detail? }
+ */
+export class SyncPlan {
+    static DIRECTION_PUSH = 'push';
+    static DIRECTION_PULL = 'pull';
+
+    static FILE_CREATE = 'create';
+    static FILE_OVERWRITE = 'overwrite';
+    static FILE_DELETE = 'delete';
+    static FILE_MODE = 'mode';
+
+    /**
+     * @param {string} direction - DIRECTION_PUSH or DIRECTION_PULL
+     */
+    constructor(direction) {
+        this.direction = direction;
+        this.settings = [];
+        this.files = [];
+        this.wallpapers = [];
+        this.conflicts = 0;
+    }
+
+    addSetting(schema, key, from, to) {
+        this.settings.push({ schema, key, from, to });
+    }
+
+    /**
+     * @param {string} path - Local path as written in sync-files, or the remote path
+     * @param {string} action - One of the FILE_* constants
+     * @param {Object} [extra] - diff (unified diff text) and/or detail (short note)
+     */
+    addFile(path, action, extra = {}) {
+        this.files.push({ path, action, ...extra });
+    }
+
+    addWallpaper(name, detail = null) {
+        this.wallpapers.push({ name, ...(detail && { detail }) });
+    }
+
+    get isEmpty() {
+        return this.settings.length === 0 && this.files.length === 0 && this.wallpapers.length === 0;
+    }
+}
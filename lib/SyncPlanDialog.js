@@ -0,0 +1,138 @@
+/*
+ * SyncPlanDialog.js - Modal dialog previewing what a sync would change
+ * Part of Gnoming Profiles extension
+ */
+
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import Clutter from 'gi://Clutter';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+import * as Dialog from 'resource:///org/gnome/shell/ui/dialog.js';
+import {gettext as _} from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import { SyncPlan } from './SyncPlan.js';
+
+/**
+ * Shows the plans from a dry run: what an upload would change on the remote
+ * and what a pull would change on this machine. The buttons run the real
+ * operation, so the preview can be followed straight away.
+ */
+export const SyncPlanDialog = GObject.registerClass(
+class SyncPlanDialog extends ModalDialog.ModalDialog {
+    // Longer diffs are cut off; the full change is applied either way
+    static MAX_DIFF_LINES = 200;
+
+    /**
+     * @param {SyncPlan|null} pushPlan - From syncToRemote(true)
+     * @param {SyncPlan|null} pullPlan - From syncFromRemote(true) and restoreBackup()
+     * @param {{onSyncNow: Function, onPull: Function}} actions - Run the real operations
+     */
+    _init(pushPlan, pullPlan, actions) {
+        super._init({ styleClass: 'gnoming-profiles-plan-dialog' });
+
+        const content = new Dialog.MessageDialogContent({
+            title: _('Sync Preview'),
+            description: _('Nothing has been changed yet.')
+        });
+        this.contentLayout.add_child(content);
+
+        const box = new St.BoxLayout({ vertical: true });
+        this.contentLayout.add_child(new St.ScrollView({
+            child: box,
+            style_class: 'plan-scroll',
+            hscrollbar_policy: St.PolicyType.NEVER
+        }));
+
+        this._addPlan(box, _('Upload from this machine'), pushPlan);
+        this._addPlan(box, _('Download to this machine'), pullPlan);
+
+        this.addButton({
+            label: _('Close'),
+            action: () => this.close(),
+            key: Clutter.KEY_Escape
+        });
+        if (pullPlan && !pullPlan.isEmpty) {
+            this.addButton({
+                label: _('Pull Remote Changes'),
+                action: () => {
+                    this.close();
+                    actions.onPull();
+                }
+            });
+        }
+        this.addButton({
+            label: _('Sync Now'),
+            action: () => {
+                this.close();
+                actions.onSyncNow();
+            },
+            default: true
+        });
+    }
+
+    _addPlan(box, title, plan) {
+        box.add_child(new St.Label({ text: title, style_class: 'plan-section-title' }));
+
+        if (!plan) {
+            this._addLine(box, _('Not available (no storage credentials or remote data)'));
+            return;
+        }
+        if (plan.isEmpty) {
+            this._addLine(box, _('No changes'));
+        }
+
+        for (const { schema, key, from, to } of plan.settings) {
+            this._addLine(box, `${schema} ${key}: ${from === null ? _('(unset)') : from} → ${to}`);
+        }
+
+        for (const file of plan.files) {
+            this._addLine(box, file.detail
+                ? `${this._describeAction(file.action)} ${file.path} (${file.detail})`
+                : `${this._describeAction(file.action)} ${file.path}`);
+            if (file.diff) {
+                this._addDiff(box, file.diff);
+            }
+        }
+
+        for (const wallpaper of plan.wallpapers) {
+            const action = plan.direction === SyncPlan.DIRECTION_PUSH ? _('Upload wallpaper') : _('Download wallpaper');
+            this._addLine(box, wallpaper.detail
+                ? `${action} ${wallpaper.name} (${wallpaper.detail})`
+                : `${action} ${wallpaper.name}`);
+        }
+
+        if (plan.conflicts > 0) {
+            this._addLine(box, _(`${plan.conflicts} conflicts would be left for you to resolve`), 'plan-conflicts');
+        }
+    }
+
+    _describeAction(action) {
+        switch (action) {
+        case SyncPlan.FILE_CREATE:
+            return _('Create');
+        case SyncPlan.FILE_OVERWRITE:
+            return _('Overwrite');
+        case SyncPlan.FILE_DELETE:
+            return _('Delete');
+        case SyncPlan.FILE_MODE:
+            return _('Change permissions of');
+        default:
+            return action;
+        }
+    }
+
+    _addLine(box, text, styleClass = 'plan-line') {
+        const label = new St.Label({ text, style_class: styleClass });
+        label.clutter_text.line_wrap = true;
+        box.add_child(label);
+    }
+
+    _addDiff(box, diff) {
+        let lines = diff.replace(/\n$/, '').split('\n');
+        if (lines.length > SyncPlanDialog.MAX_DIFF_LINES) {
+            const hidden = lines.length - SyncPlanDialog.MAX_DIFF_LINES;
+            lines = [...lines.slice(0, SyncPlanDialog.MAX_DIFF_LINES), _(`… ${hidden} more lines`)];
+        }
+        box.add_child(new St.Label({ text: lines.join('\n'), style_class: 'plan-diff' }));
+    }
+});
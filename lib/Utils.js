@@ -27,6 +27,25 @@ export class Utils {
     }
     
     
+    /**
+     * Check if file content has to be synced as binary: it contains NUL bytes
+     * or is not valid UTF-8
+     * @param {Uint8Array} bytes - File content
+     * @returns {boolean} True if the content is not plain text
+     */
+    static isBinaryContent(bytes) {
+        if (bytes.includes(0)) {
+            return true;
+        }
+
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return false;
+        } catch (e) {
+            return true;
+        }
+    }
+
     /**
      * Check if a file appears to be an image based on extension
      * @param {string} filename - Filename to check
@@ -166,4 +185,127 @@ export class Utils {
         
         return obj;
     }
+
+    /**
+     * Serialize to JSON with object keys sorted, so equal data always gives
+     * the same string regardless of insertion order
+     * @param {any} value - JSON-compatible value
+     * @returns {string} Canonical JSON
+     */
+    static stableStringify(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+
+        if (Array.isArray(value)) {
+            return `[${value.map(item => Utils.stableStringify(item === undefined ? null : item)).join(',')}]`;
+        }
+
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${Utils.stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+
+    /**
+     * Line-based unified diff with three lines of context, for previews.
+     * When the differing middle of the texts is too large to compare line
+     * by line, a one-line summary stands in for the hunks.
+     * @param {string} oldText - Current content
+     * @param {string} newText - Content it would become
+     * @param {string} oldLabel - Name for the --- header
+     * @param {string} newLabel - Name for the +++ header
+     * @returns {string} Diff, empty if the texts are equal
+     */
+    static unifiedDiff(oldText, newText, oldLabel, newLabel) {
+        if (oldText === newText) {
+            return '';
+        }
+
+        // A final newline ends the last line rather than starting another
+        const splitLines = text => text ? (text.endsWith('\n') ? text.slice(0, -1) : text).split('\n') : [];
+        const a = splitLines(oldText);
+        const b = splitLines(newText);
+        const header = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+        // Only the part between the common head and tail needs comparing
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        if (n * m > 4000000) {
+            return `${[...header, `@@ ${n} lines replaced by ${m} lines, too many to compare @@`].join('\n')}\n`;
+        }
+
+        // Longest common subsequence lengths of the suffixes
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = a[start + i] === b[start + j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = a.slice(0, start).map(line => [' ', line]);
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push([' ', a[start + i]]);
+                i++;
+                j++;
+            } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push(['-', a[start + i]]);
+                i++;
+            } else {
+                ops.push(['+', b[start + j]]);
+                j++;
+            }
+        }
+        ops.push(...a.slice(endA).map(line => [' ', line]));
+
+        // Lines of each side consumed before each op, for hunk headers
+        const oldAt = new Uint32Array(ops.length + 1);
+        const newAt = new Uint32Array(ops.length + 1);
+        const changed = [];
+        ops.forEach(([op], index) => {
+            oldAt[index + 1] = oldAt[index] + (op === '+' ? 0 : 1);
+            newAt[index + 1] = newAt[index] + (op === '-' ? 0 : 1);
+            if (op !== ' ') {
+                changed.push(index);
+            }
+        });
+
+        const context = 3;
+        const lines = header;
+        let c = 0;
+        while (c < changed.length) {
+            const hunkStart = Math.max(0, changed[c] - context);
+            let last = changed[c];
+            while (c + 1 < changed.length && changed[c + 1] - last <= 2 * context) {
+                last = changed[++c];
+            }
+            c++;
+            const hunkEnd = Math.min(ops.length, last + context + 1);
+
+            const oldCount = oldAt[hunkEnd] - oldAt[hunkStart];
+            const newCount = newAt[hunkEnd] - newAt[hunkStart];
+            lines.push(`@@ -${oldAt[hunkStart] + (oldCount ? 1 : 0)},${oldCount} +${newAt[hunkStart] + (newCount ? 1 : 0)},${newCount} @@`);
+            for (let index = hunkStart; index < hunkEnd; index++) {
+                lines.push(ops[index][0] + ops[index][1]);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
 }
\ No newline at end of file
@@ -6,6 +6,7 @@
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import { Utils } from './Utils.js';
+import { StorageError } from './StorageProvider.js';
 
 /**
  * Manages wallpaper syncing and restoration
@@ -170,17 +171,20 @@ export class WallpaperManager {
     /**
      * Download and restore wallpapers from the storage provider
      * @param {Object} credentials - Provider-specific credentials object
+     * @param {StorageProvider} provider - Provider to read from (defaults to the active one)
+     * @param {Function|null} decrypt - Async function turning downloaded bytes
+     *   into the image, for encrypted remotes
      */
-    async downloadAndRestoreWallpapers(credentials) {
+    async downloadAndRestoreWallpapers(credentials, provider = this.storageProvider, decrypt = null) {
         try {
             // Get list of wallpapers from storage provider
-            const result = await this.storageProvider.listDirectory('wallpapers', credentials);
+            const result = await provider.listDirectory(provider.profilePath('wallpapers'), credentials);
 
             if (!result.ok) {
                 if (result.status === 404) {
                     return;
                 }
-                throw new Error(`Failed to list wallpapers: ${result.status}`);
+                throw new StorageError(`Failed to list wallpapers: ${result.status}`, result.status);
             }
 
             const wallpaperFiles = result.files;
@@ -196,7 +200,7 @@ export class WallpaperManager {
                 if (fileInfo.type !== 'file') continue;
 
                 try {
-                    await this._downloadWallpaperFile(fileInfo, credentials);
+                    await this._downloadWallpaperFile(fileInfo, credentials, provider, decrypt);
                 } catch (e) {
                     console.error(`Wallpaper Manager: Failed to download wallpaper ${fileInfo.name}: ${e.message}`);
                 }
@@ -210,6 +214,31 @@ export class WallpaperManager {
     /**
      * Ensure wallpaper directory exists
      */
+    /**
+     * List the wallpapers downloadAndRestoreWallpapers() would download,
+     * without downloading them
+     * @param {Object} credentials - Provider-specific credentials
+     * @param {StorageProvider} provider - Provider to read from
+     * @param {SyncPlan} plan - Plan to add the wallpapers to
+     */
+    async planWallpaperDownloads(credentials, provider, plan) {
+        const result = await provider.listDirectory(provider.profilePath('wallpapers'), credentials);
+        if (!result.ok) {
+            if (result.status === 404) {
+                return;
+            }
+            throw new StorageError(`Failed to list wallpapers: ${result.status}`, result.status);
+        }
+
+        for (const fileInfo of result.files || []) {
+            if (fileInfo.type !== 'file') continue;
+
+            const localPath = GLib.build_filenamev([this._wallpaperDir, fileInfo.name]);
+            plan.addWallpaper(fileInfo.name,
+                GLib.file_test(localPath, GLib.FileTest.EXISTS) ? 'replaces the local copy' : null);
+        }
+    }
+
     async _ensureWallpaperDirectory() {
         const wallpaperDirFile = Gio.File.new_for_path(this._wallpaperDir);
         if (!wallpaperDirFile.query_exists(null)) {
@@ -225,10 +254,15 @@ export class WallpaperManager {
      * Download a single wallpaper file using the storage provider
      * @param {Object} fileInfo - File information from listDirectory
      * @param {Object} credentials - Provider-specific credentials
+     * @param {StorageProvider} provider - Provider to read from
+     * @param {Function|null} decrypt - As for downloadAndRestoreWallpapers()
      */
-    async _downloadWallpaperFile(fileInfo, credentials) {
+    async _downloadWallpaperFile(fileInfo, credentials, provider, decrypt = null) {
 
-        const content = await this.storageProvider.downloadBinaryFile(`wallpapers/${fileInfo.name}`, credentials);
+        let content = await provider.downloadBinaryFile(provider.profilePath(`wallpapers/${fileInfo.name}`), credentials);
+        if (content && decrypt) {
+            content = await decrypt(content);
+        }
 
         // Validate the content before saving
         if (!content || content.length === 0) {
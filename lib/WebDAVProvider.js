@@ -0,0 +1,554 @@
+/*
+ * WebDAVProvider.js - Generic WebDAV storage backend implementing StorageProvider
+ * Part of Gnoming Profiles extension
+ */
+
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup';
+import { StorageProvider, StorageError } from './StorageProvider.js';
+import { Keyring } from './Keyring.js';
+
+/**
+ * Generic WebDAV storage provider.
+ * Talks to any WebDAV collection URL (Apache mod_dav, nginx-dav, rclone serve webdav,
+ * Synology, ownCloud Infinite Scale, ...) with Basic or Digest authentication.
+ * NextcloudProvider extends this with Nextcloud's URL layout.
+ */
+export class WebDAVProvider extends StorageProvider {
+    static USER_AGENT = 'GNOME-Config-Sync/3.1.0-WebDAV';
+
+    static HTTP_CREATED = 201;
+    static HTTP_NO_CONTENT = 204;
+    static HTTP_MULTI_STATUS = 207;
+    static HTTP_NOT_MODIFIED = 304;
+    static HTTP_NOT_FOUND = 404;
+    static HTTP_METHOD_NOT_ALLOWED = 405;
+    static HTTP_CONFLICT = 409;
+    static HTTP_PRECONDITION_FAILED = 412;
+
+    static AUTH_BASIC = 'basic';
+    static AUTH_DIGEST = 'digest';
+
+    constructor(requestQueue, etagManager) {
+        super(requestQueue, etagManager);
+        this._httpSession = null;
+        this._initializeSession();
+    }
+
+    get name() {
+        return 'WebDAV';
+    }
+
+    get changeCacheKey() {
+        return 'webdav-config';
+    }
+
+    _initializeSession() {
+        this._httpSession = new Soup.Session();
+        this._httpSession.timeout = 30;
+        this._httpSession.max_conns = 10;
+        this._httpSession.user_agent = this.constructor.USER_AGENT;
+    }
+
+    /**
+     * Build credentials from GSettings, with the password from the keyring cache.
+     * Username and password are optional for servers without authentication.
+     */
+    getCredentials(settings) {
+        const collectionUrl = settings.get_string('webdav-url');
+        const username = settings.get_string('webdav-username');
+        const password = Keyring.get('webdav-password', settings);
+        const authMethod = settings.get_string('webdav-auth-method');
+        if (!collectionUrl) return null;
+        return {
+            collectionUrl: collectionUrl.replace(/\/+$/, ''),
+            username,
+            password,
+            authMethod: authMethod === WebDAVProvider.AUTH_DIGEST ? WebDAVProvider.AUTH_DIGEST : WebDAVProvider.AUTH_BASIC
+        };
+    }
+
+    hasValidCredentials(credentials) {
+        return !!(credentials && credentials.collectionUrl);
+    }
+
+    // ── WebDAV helpers ────────────────────────────────────────────────
+
+    /**
+     * Get the URL of the collection that holds the synced profile.
+     * Subclasses override this to map server-specific URL layouts.
+     */
+    _getCollectionUrl(credentials) {
+        return credentials.collectionUrl;
+    }
+
+    /**
+     * Build the full WebDAV URL for a remote path.
+     */
+    _buildUrl(credentials, remotePath) {
+        const base = this._getCollectionUrl(credentials);
+        if (!remotePath) return base;
+        const encoded = remotePath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+        return `${base}/${encoded}`;
+    }
+
+    /**
+     * Perform a WebDAV request via the request queue.
+     */
+    async _request(url, method, credentials, body = null, extraHeaders = null, expectBinary = false) {
+        return this.requestQueue.add(() => this._performRequest(url, method, credentials, body, extraHeaders, expectBinary));
+    }
+
+    /**
+     * Attach authentication to a message.
+     * Basic auth is sent pre-emptively to save a round trip; the authenticate
+     * signal answers Digest challenges (and Basic ones from servers that
+     * ignore pre-emptive credentials).
+     */
+    _applyAuth(message, credentials) {
+        if (!credentials.username) return;
+
+        if (credentials.authMethod !== WebDAVProvider.AUTH_DIGEST) {
+            const authString = GLib.base64_encode(
+                new TextEncoder().encode(`${credentials.username}:${credentials.password}`)
+            );
+            message.request_headers.append('Authorization', `Basic ${authString}`);
+        }
+
+        message.connect('authenticate', (msg, auth, retrying) => {
+            if (retrying) {
+                // Credentials were rejected — let the 401 surface to the caller
+                return false;
+            }
+            auth.authenticate(credentials.username, credentials.password || '');
+            return true;
+        });
+    }
+
+    _performRequest(url, method, credentials, body, extraHeaders, expectBinary) {
+        return new Promise((resolve, reject) => {
+            try {
+                const message = Soup.Message.new(method, url);
+                if (!message) {
+                    throw new Error(`Invalid WebDAV URL: ${url}`);
+                }
+
+                this._applyAuth(message, credentials);
+
+                // Extra headers
+                if (extraHeaders) {
+                    for (const [key, value] of Object.entries(extraHeaders)) {
+                        message.request_headers.append(key, value);
+                    }
+                }
+
+                // Body
+                if (body !== null) {
+                    const contentType = (extraHeaders && extraHeaders['Content-Type']) || 'application/octet-stream';
+                    const bytes = (body instanceof Uint8Array)
+                        ? GLib.Bytes.new(body)
+                        : GLib.Bytes.new(new TextEncoder().encode(body));
+                    message.set_request_body_from_bytes(contentType, bytes);
+                }
+
+                if (method === 'HEAD') {
+                    // HEAD responses have no body — use send_async to avoid
+                    // send_and_read_async failing on the empty body in GJS/libsoup3.
+                    this._httpSession.send_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                        try {
+                            session.send_finish(result);
+                            let responseETag = null;
+                            if (message.response_headers) {
+                                responseETag = message.response_headers.get_one('ETag');
+                            }
+
+                            resolve({
+                                ok: message.status_code >= 200 && message.status_code < 300,
+                                status: message.status_code,
+                                data: null,
+                                etag: responseETag,
+                                isBinary: false
+                            });
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+                } else {
+                    this._httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                        try {
+                            const bytes = session.send_and_read_finish(result);
+                            let responseETag = null;
+                            if (message.response_headers) {
+                                responseETag = message.response_headers.get_one('ETag');
+                            }
+
+                            const rawData = bytes ? bytes.get_data() : null;
+                            let data;
+                            if (expectBinary) {
+                                data = rawData;
+                            } else {
+                                data = rawData ? new TextDecoder().decode(rawData) : '';
+                            }
+
+                            resolve({
+                                ok: message.status_code >= 200 && message.status_code < 300,
+                                status: message.status_code,
+                                data,
+                                etag: responseETag,
+                                isBinary: expectBinary
+                            });
+                        } catch (error) {
+                            reject(error);
+                        }
+                    });
+                }
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // ── Directory management ──────────────────────────────────────────
+
+    /**
+     * Ensure a remote directory (and its parents) exists via MKCOL.
+     */
+    async _ensureDirectory(dirPath, credentials) {
+        const parts = dirPath.split('/').filter(Boolean);
+        let current = '';
+        for (const part of parts) {
+            current = current ? `${current}/${part}` : part;
+            const response = await this._request(this._buildUrl(credentials, current), 'MKCOL', credentials);
+            // 201 = created, 405 = already exists – both are fine.
+            // 409 means parent missing (shouldn't happen since we create incrementally)
+            if (!response.ok && response.status !== WebDAVProvider.HTTP_METHOD_NOT_ALLOWED) {
+                console.error(`${this.constructor.name}: MKCOL ${current} returned ${response.status}`);
+            }
+        }
+    }
+
+    /**
+     * Ensure the root sync folder exists.
+     */
+    async _ensureRootFolder(credentials) {
+        const url = this._buildUrl(credentials, null);
+        const response = await this._request(url, 'MKCOL', credentials);
+        // 201 created, 405 already exists
+        if (!response.ok && response.status !== WebDAVProvider.HTTP_METHOD_NOT_ALLOWED) {
+            console.error(`${this.constructor.name}: Root folder MKCOL returned ${response.status}`);
+            if (response.data) console.error(`${this.constructor.name}: Response: ${String(response.data).substring(0, 500)}`);
+        }
+    }
+
+    // ── StorageProvider implementation ────────────────────────────────
+
+    /**
+     * Upload files individually (WebDAV has no atomic batch, so we upload one-by-one),
+     * in order, stopping at the first failure.
+     */
+    async uploadBatch(changes, credentials) {
+        await this._ensureRootFolder(credentials);
+
+        let lastError = null;
+        for (const change of changes) {
+            try {
+                // Ensure parent directory exists
+                const parentDir = change.path.split('/').slice(0, -1).join('/');
+                if (parentDir) {
+                    await this._ensureDirectory(parentDir, credentials);
+                }
+
+                const url = this._buildUrl(credentials, change.path);
+
+                let body;
+                if (change.encoding === 'base64') {
+                    // Decode base64 to binary for upload
+                    body = GLib.base64_decode(change.content);
+                } else {
+                    body = change.content;
+                }
+
+                const response = await this._request(url, 'PUT', credentials, body);
+
+                if (response.ok || response.status === WebDAVProvider.HTTP_CREATED || response.status === WebDAVProvider.HTTP_NO_CONTENT) {
+                    // Cache the new ETag so the next poll has a valid baseline
+                    // and doesn't falsely detect our own upload as a remote change.
+                    if (change.path === this.profilePath('config-backup.json')) {
+                        let newETag = response.etag;
+                        if (!newETag) {
+                            // PUT often doesn't return ETag; HEAD reliably does
+                            const headResp = await this._request(url, 'HEAD', credentials);
+                            newETag = headResp.etag;
+                        }
+                        if (newETag) {
+                            this.etagManager.setETag(this.changeCacheKey, newETag);
+                        }
+                    }
+                } else {
+                    console.error(`${this.constructor.name}: Failed to upload ${change.path}: HTTP ${response.status}`);
+                    if (response.data) console.error(`${this.constructor.name}: Response: ${String(response.data).substring(0, 500)}`);
+                    lastError = new StorageError(`Failed to upload ${change.path}: HTTP ${response.status}`, response.status);
+                    break;
+                }
+            } catch (e) {
+                console.error(`${this.constructor.name}: Error uploading ${change.path}: ${e.message}`);
+                lastError = e;
+                break;
+            }
+        }
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    /**
+     * Delete files individually with DELETE; a 404 means it's already gone.
+     */
+    async deleteBatch(paths, credentials) {
+        let lastError = null;
+        for (const path of paths) {
+            try {
+                const response = await this._request(this._buildUrl(credentials, path), 'DELETE', credentials);
+                if (!response.ok && response.status !== WebDAVProvider.HTTP_NOT_FOUND) {
+                    console.error(`${this.constructor.name}: Failed to delete ${path}: HTTP ${response.status}`);
+                    lastError = new StorageError(`Failed to delete ${path}: HTTP ${response.status}`, response.status);
+                }
+            } catch (e) {
+                console.error(`${this.constructor.name}: Error deleting ${path}: ${e.message}`);
+                lastError = e;
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+    }
+
+    /**
+     * Download a text file via GET.
+     */
+    async downloadFile(path, credentials) {
+        const url = this._buildUrl(credentials, path);
+        const response = await this._request(url, 'GET', credentials);
+
+        if (!response.ok) {
+            if (response.status !== WebDAVProvider.HTTP_NOT_FOUND) {
+                console.error(`${this.constructor.name}: Download failed for ${path}: HTTP ${response.status}`);
+                if (response.data) console.error(`${this.constructor.name}: Response: ${String(response.data).substring(0, 500)}`);
+            }
+            return { ok: false, status: response.status, content: null };
+        }
+
+        return { ok: true, status: response.status, content: response.data };
+    }
+
+    /**
+     * Download a binary file via GET.
+     */
+    async downloadBinaryFile(path, credentials) {
+        const url = this._buildUrl(credentials, path);
+        const response = await this._request(url, 'GET', credentials, null, null, true);
+
+        if (!response.ok) {
+            throw new StorageError(`Binary download failed for ${path}: ${response.status}`, response.status);
+        }
+
+        if (response.data instanceof Uint8Array) {
+            return response.data;
+        }
+        throw new Error('Response was not binary data as expected');
+    }
+
+    /**
+     * List files using PROPFIND (depth 1).
+     */
+    async listDirectory(path, credentials) {
+        const url = this._buildUrl(credentials, path);
+        const propfindBody = `<?xml version="1.0" encoding="UTF-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:displayname/>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+    <d:getetag/>
+  </d:prop>
+</d:propfind>`;
+
+        const response = await this._request(url, 'PROPFIND', credentials, propfindBody, {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': '1'
+        });
+
+        if (!response.ok && response.status !== WebDAVProvider.HTTP_MULTI_STATUS) {
+            return { ok: false, status: response.status, files: [] };
+        }
+
+        // Parse the WebDAV XML response
+        const files = this._parsePropfindResponse(response.data, path, credentials);
+        return { ok: true, status: response.status, files };
+    }
+
+    /**
+     * Get the decoded URL path of the sync collection, without trailing slash.
+     */
+    _getCollectionPath(credentials) {
+        const uri = GLib.Uri.parse(this._getCollectionUrl(credentials), GLib.UriFlags.NONE);
+        return GLib.Uri.unescape_string(uri.get_path(), null).replace(/\/+$/, '');
+    }
+
+    /**
+     * Parse a PROPFIND XML response into a file list.
+     * Uses simple regex-based parsing since GJS has no built-in XML parser.
+     * Namespace prefixes vary between servers (d:, D:, lp1:, or a default
+     * xmlns), so element names are matched with any prefix.
+     */
+    _parsePropfindResponse(xml, requestedPath, credentials) {
+        const files = [];
+        const el = name => `(?:[\\w.-]+:)?${name}`;
+        const responseRe = new RegExp(`<${el('response')}\\b[^>]*>[\\s\\S]*?<\\/${el('response')}>`, 'gi');
+        const hrefRe = new RegExp(`<${el('href')}\\b[^>]*>([^<]*)<\\/${el('href')}>`, 'i');
+        const collectionRe = new RegExp(`<${el('collection')}\\b`, 'i');
+
+        const responseBlocks = xml.match(responseRe) || [];
+        const basePath = this._getCollectionPath(credentials);
+        const normalizedRequested = (requestedPath || '').replace(/^\/+/, '').replace(/\/+$/, '');
+
+        for (const block of responseBlocks) {
+            // Extract href
+            const hrefMatch = block.match(hrefRe);
+            if (!hrefMatch) continue;
+
+            // Hrefs may be absolute URLs or server-relative paths
+            let href = hrefMatch[1].trim().replace(/&amp;/g, '&');
+            if (/^[a-z][a-z0-9+.-]*:\/\//i.test(href)) {
+                href = GLib.Uri.parse(href, GLib.UriFlags.NONE).get_path();
+            }
+            href = decodeURIComponent(href);
+
+            // Determine the relative path from our sync folder
+            const baseIdx = href.indexOf(basePath);
+            if (baseIdx === -1) continue;
+            const relativePath = href.substring(baseIdx + basePath.length).replace(/^\/+/, '').replace(/\/+$/, '');
+
+            // Skip the directory itself (first entry is always the requested directory)
+            if (relativePath === normalizedRequested) continue;
+
+            const name = relativePath.split('/').pop();
+            if (!name) continue;
+
+            files.push({
+                name,
+                type: collectionRe.test(block) ? 'dir' : 'file',
+                download_url: null, // WebDAV doesn't have separate download URLs
+                url: this._buildUrl(credentials, relativePath)
+            });
+        }
+
+        return files;
+    }
+
+    /**
+     * Poll for changes using a lightweight HEAD request with ETag comparison.
+     *
+     * Some servers (Nextcloud/SabreDAV among them) return 412 Precondition
+     * Failed instead of 304 Not Modified when If-None-Match is used. A 412
+     * means the ETag did not match, so we treat it as "changes detected" and
+     * re-fetch the current ETag without the conditional header.
+     */
+    async pollForChanges(credentials) {
+        const url = this._buildUrl(credentials, this.profilePath('config-backup.json'));
+        const etagKey = this.changeCacheKey;
+        const cachedETag = this.etagManager.getETag(etagKey);
+
+        const headers = {};
+        if (cachedETag) {
+            headers['If-None-Match'] = cachedETag;
+        }
+
+        try {
+            let response = await this._request(url, 'HEAD', credentials, null, headers);
+
+            // Re-fetch without If-None-Match to get the new ETag.
+            if (response.status === WebDAVProvider.HTTP_PRECONDITION_FAILED) {
+                response = await this._request(url, 'HEAD', credentials);
+                if (response.ok && response.etag) {
+                    this.etagManager.setETag(etagKey, response.etag);
+                    this.etagManager.setLastPollResult(true);
+                    return { hasChanges: true, etag304: false };
+                }
+            }
+
+            if (response.status === WebDAVProvider.HTTP_NOT_MODIFIED) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: true };
+            }
+
+            if (response.status === WebDAVProvider.HTTP_NOT_FOUND) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: false };
+            }
+
+            if (!response.ok) {
+                throw new StorageError(`HEAD poll failed: ${response.status}`, response.status);
+            }
+
+            // Extract ETag from response header
+            const newETag = response.etag;
+
+            if (newETag) {
+                const hasChanges = cachedETag !== null && cachedETag !== newETag;
+                this.etagManager.setETag(etagKey, newETag);
+                this.etagManager.setLastPollResult(hasChanges);
+
+                if (!cachedETag) {
+                    // First poll, just cache the ETag
+                    return { hasChanges: false, etag304: false };
+                }
+
+                return { hasChanges, etag304: false };
+            }
+
+            // HEAD returned no ETag — fall back to a minimal GET which
+            // reliably includes the ETag on most WebDAV servers.
+            const getHeaders = cachedETag ? { 'If-None-Match': cachedETag, 'Range': 'bytes=0-0' } : { 'Range': 'bytes=0-0' };
+            const getResponse = await this._request(url, 'GET', credentials, null, getHeaders);
+
+            if (getResponse.status === WebDAVProvider.HTTP_NOT_MODIFIED) {
+                this.etagManager.setLastPollResult(false);
+                return { hasChanges: false, etag304: true };
+            }
+
+            if (getResponse.etag) {
+                const hasChanges = cachedETag !== null && cachedETag !== getResponse.etag;
+                this.etagManager.setETag(etagKey, getResponse.etag);
+                this.etagManager.setLastPollResult(hasChanges);
+
+                if (!cachedETag) {
+                    return { hasChanges: false, etag304: false };
+                }
+
+                return { hasChanges, etag304: false };
+            }
+
+            this.etagManager.setLastPollResult(null);
+            return { hasChanges: false, etag304: false };
+
+        } catch (error) {
+            this.etagManager.setLastPollResult(null);
+            throw error;
+        }
+    }
+
+    clearChangeCache() {
+        this.etagManager.clearETag(this.changeCacheKey);
+    }
+
+    cleanup() {
+        if (this._httpSession) {
+            this._httpSession.abort();
+            this._httpSession = null;
+        }
+        super.cleanup();
+    }
+}
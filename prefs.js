@@ -22,6 +22,12 @@ import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 import {ExtensionPreferences, gettext as _} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { ConflictStore } from './lib/ConflictStore.js';
+import { SnapshotStore } from './lib/SnapshotStore.js';
+import { HistoryStore } from './lib/HistoryStore.js';
+import { StorageProvider } from './lib/StorageProvider.js';
+import { Keyring } from './lib/Keyring.js';
+
 // GOA is optional — Google Drive backend is only available when the typelib is installed
 let Goa = null;
 try {
@@ -36,12 +42,20 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
     static TEXT_VIEW_HEIGHT_PX = 120;
     static MAX_SYNC_DELAY_SECONDS = 300;
     static MAX_POLLING_INTERVAL_MINUTES = 1440;
+    static SECRET_SAVE_DELAY_MS = 500;
+    static HISTORY_VALUE_MAX_CHARS = 80;
     
     constructor(metadata) {
         super(metadata);
         
         // Track active timeouts for proper cleanup
         this._activeTimeouts = new Set();
+
+        // Settings signal handler IDs for cleanup
+        this._settingsSignalIds = [];
+
+        // Secrets typed but not yet saved to the keyring, by name
+        this._pendingSecrets = new Map();
     }
     
     fillPreferencesWindow(window) {
@@ -49,6 +63,9 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         
         // Store settings reference for cleanup
         this._settings = settings;
+
+        // Secret rows are filled once any secrets left in GSettings are moved
+        this._secretsLoaded = this._loadSecrets(settings);
         
         // Create General tab
         this._createGeneralTab(window, settings);
@@ -58,6 +75,12 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         
         // Create Content tab
         this._createContentTab(window, settings);
+
+        // Create Conflicts tab
+        this._createConflictsTab(window, settings);
+
+        // Create History tab
+        this._createHistoryTab(window, settings);
         
         // Create Help tab
         this._createHelpTab(window, settings);
@@ -82,11 +105,111 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         }
         this._activeTimeouts.clear();
 
+        // Save secrets whose delayed save was just cancelled
+        for (const [name, value] of this._pendingSecrets) {
+            this._saveSecret(this._settings, name, value);
+        }
+        this._pendingSecrets.clear();
+
+        if (this._conflictMonitor) {
+            this._conflictMonitor.cancel();
+            this._conflictMonitor = null;
+        }
+
+        if (this._snapshotMonitor) {
+            this._snapshotMonitor.cancel();
+            this._snapshotMonitor = null;
+        }
+
+        for (const id of this._settingsSignalIds) {
+            this._settings.disconnect(id);
+        }
+        this._settingsSignalIds = [];
+
         // Clear settings reference
         this._settings = null;
 
     }
     
+    /**
+     * Move provider secrets still in GSettings into the keyring and read
+     * them, telling the extension if any moved
+     */
+    async _loadSecrets(settings) {
+        try {
+            if (await Keyring.migrate(settings) > 0) {
+                settings.set_boolean('secrets-changed', true);
+            }
+            await Keyring.load();
+        } catch (e) {
+            console.error(`GnomingProfiles prefs: Failed to load secrets from the keyring: ${e.message}`);
+        }
+    }
+
+    /**
+     * Password row for a provider secret. Like the other rows it saves as
+     * you type, but a moment after the last keystroke, since each save
+     * makes the extension reload its secrets. An empty row removes the
+     * secret from the keyring. Without a keyring the secret is kept in its
+     * GSettings key, as before the keyring was used.
+     * @param {Gio.Settings} settings
+     * @param {string} name - A Keyring.PROVIDER_SECRETS name
+     * @param {string} title - Row title
+     * @returns {Adw.PasswordEntryRow}
+     */
+    _createSecretRow(settings, name, title) {
+        const row = new Adw.PasswordEntryRow({ title });
+        if (!Keyring.available) {
+            row.tooltip_text = Keyring.unavailableReason;
+            row.text = settings.get_string(name);
+            row.connect('changed', () => {
+                settings.set_string(name, row.text);
+            });
+            return row;
+        }
+        let loaded = false;
+        let timeoutId = 0;
+
+        this._secretsLoaded.then(() => {
+            row.text = Keyring.get(name);
+            loaded = true;
+        });
+
+        row.connect('changed', () => {
+            if (!loaded) {
+                return;
+            }
+            if (timeoutId) {
+                GLib.source_remove(timeoutId);
+                this._removeActiveTimeout(timeoutId);
+            }
+            this._pendingSecrets.set(name, row.text);
+            timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, ConfigSyncPreferences.SECRET_SAVE_DELAY_MS, () => {
+                this._removeActiveTimeout(timeoutId);
+                timeoutId = 0;
+                this._pendingSecrets.delete(name);
+                this._saveSecret(settings, name, row.text);
+                return GLib.SOURCE_REMOVE;
+            });
+            this._addActiveTimeout(timeoutId);
+        });
+
+        return row;
+    }
+
+    async _saveSecret(settings, name, value) {
+        try {
+            if (value) {
+                await Keyring.store(name, Keyring.PROVIDER_SECRETS[name], value);
+            } else {
+                await Keyring.clear(name);
+            }
+            settings.set_boolean('secrets-changed', true);
+        } catch (e) {
+            console.error(`GnomingProfiles prefs: Failed to save ${name} to the keyring: ${e.message}`);
+        }
+    }
+
     /**
      * Add a timeout to the active set for tracking
      * @param {number} timeoutId - The timeout ID from GLib.timeout_add
@@ -122,8 +245,6 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
             subtitle: _('Select which service to use for syncing your profiles'),
             model: new Gtk.StringList()
         });
-        providerRow.model.append(_('GitHub'));
-        providerRow.model.append(_('Nextcloud (WebDAV)'));
 
         const currentProvider = settings.get_string('storage-provider');
         providerGroup.add(providerRow);
@@ -144,13 +265,7 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         });
         githubGroup.add(usernameRow);
 
-        const tokenRow = new Adw.PasswordEntryRow({
-            title: _('Personal Access Token'),
-            text: settings.get_string('github-token')
-        });
-        tokenRow.connect('changed', () => {
-            settings.set_string('github-token', tokenRow.text);
-        });
+        const tokenRow = this._createSecretRow(settings, 'github-token', _('Personal Access Token'));
         githubGroup.add(tokenRow);
 
         const repoRow = new Adw.EntryRow({
@@ -162,6 +277,99 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         });
         githubGroup.add(repoRow);
 
+        // GitLab settings group
+        const gitlabGroup = new Adw.PreferencesGroup({
+            title: _('GitLab Project'),
+            description: _('Configure a private project on gitlab.com or a self-managed instance')
+        });
+        page.add(gitlabGroup);
+
+        const glRows = [
+            { key: 'gitlab-url', title: _('Instance URL') },
+            { key: 'gitlab-project', title: _('Project Path') },
+            { key: 'gitlab-branch', title: _('Branch (empty for default)') },
+            { key: 'gitlab-token', title: _('Access Token'), secret: true },
+        ];
+        for (const { key, title, secret } of glRows) {
+            if (secret) {
+                gitlabGroup.add(this._createSecretRow(settings, key, title));
+                continue;
+            }
+            const row = new Adw.EntryRow({ title, text: settings.get_string(key) });
+            row.connect('changed', () => {
+                settings.set_string(key, row.text);
+            });
+            gitlabGroup.add(row);
+        }
+
+        const glInfoRow = new Adw.ActionRow({
+            title: _('GitLab Setup'),
+            subtitle: _('Create a personal or project access token with the "api" scope.\nUse the full project path, e.g. team/dotfiles/gnome-profiles.')
+        });
+        gitlabGroup.add(glInfoRow);
+
+        // Gitea/Forgejo settings group
+        const giteaGroup = new Adw.PreferencesGroup({
+            title: _('Gitea / Forgejo Repository'),
+            description: _('Configure a private repository on a self-hosted Gitea or Forgejo instance')
+        });
+        page.add(giteaGroup);
+
+        const giteaRows = [
+            { key: 'gitea-url', title: _('Instance URL') },
+            { key: 'gitea-owner', title: _('Owner (user or organisation)') },
+            { key: 'gitea-repo', title: _('Repository Name') },
+            { key: 'gitea-token', title: _('Access Token'), secret: true },
+        ];
+        for (const { key, title, secret } of giteaRows) {
+            if (secret) {
+                giteaGroup.add(this._createSecretRow(settings, key, title));
+                continue;
+            }
+            const row = new Adw.EntryRow({ title, text: settings.get_string(key) });
+            row.connect('changed', () => {
+                settings.set_string(key, row.text);
+            });
+            giteaGroup.add(row);
+        }
+
+        const giteaInfoRow = new Adw.ActionRow({
+            title: _('Gitea / Forgejo Setup'),
+            subtitle: _('Generate a token under Settings > Applications with read/write access to repositories.\nThe repository must already exist; it may be empty.')
+        });
+        giteaGroup.add(giteaInfoRow);
+
+        // Plain git remote settings group
+        const gitGroup = new Adw.PreferencesGroup({
+            title: _('Git Remote'),
+            description: _('Commit and push with the git command line to any remote, using your existing SSH keys')
+        });
+        page.add(gitGroup);
+
+        const gitUrlRow = new Adw.EntryRow({
+            title: _('Remote URL'),
+            text: settings.get_string('git-remote-url')
+        });
+        gitUrlRow.connect('changed', () => {
+            settings.set_string('git-remote-url', gitUrlRow.text);
+        });
+        gitGroup.add(gitUrlRow);
+
+        const gitBranchRow = new Adw.EntryRow({
+            title: _('Branch'),
+            text: settings.get_string('git-branch')
+        });
+        gitBranchRow.connect('changed', () => {
+            settings.set_string('git-branch', gitBranchRow.text);
+        });
+        gitGroup.add(gitBranchRow);
+
+        const gitInfoRow = new Adw.ActionRow({
+            title: _('Git Setup'),
+            subtitle: _('e.g. git@example.com:me/profiles.git or file:///mnt/backup/profiles.git\nThe local clone lives in ~/.local/share/gnoming-profiles/repo. Make sure your SSH key is loaded in the agent.')
+        });
+        gitGroup.add(gitInfoRow);
+
         // Nextcloud settings group
         const nextcloudGroup = new Adw.PreferencesGroup({
             title: _('Nextcloud Server'),
@@ -187,13 +395,7 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         });
         nextcloudGroup.add(ncUsernameRow);
 
-        const ncPasswordRow = new Adw.PasswordEntryRow({
-            title: _('App Password'),
-            text: settings.get_string('nextcloud-password')
-        });
-        ncPasswordRow.connect('changed', () => {
-            settings.set_string('nextcloud-password', ncPasswordRow.text);
-        });
+        const ncPasswordRow = this._createSecretRow(settings, 'nextcloud-password', _('App Password'));
         nextcloudGroup.add(ncPasswordRow);
 
         const ncFolderRow = new Adw.EntryRow({
@@ -211,6 +413,150 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         });
         nextcloudGroup.add(ncInfoRow);
 
+        // Generic WebDAV settings group
+        const webdavGroup = new Adw.PreferencesGroup({
+            title: _('WebDAV Server'),
+            description: _('Sync to any WebDAV collection (Apache, nginx, rclone, Synology, ownCloud)')
+        });
+        page.add(webdavGroup);
+
+        const davUrlRow = new Adw.EntryRow({
+            title: _('Collection URL'),
+            text: settings.get_string('webdav-url')
+        });
+        davUrlRow.connect('changed', () => {
+            settings.set_string('webdav-url', davUrlRow.text);
+        });
+        webdavGroup.add(davUrlRow);
+
+        const davUsernameRow = new Adw.EntryRow({
+            title: _('Username'),
+            text: settings.get_string('webdav-username')
+        });
+        davUsernameRow.connect('changed', () => {
+            settings.set_string('webdav-username', davUsernameRow.text);
+        });
+        webdavGroup.add(davUsernameRow);
+
+        const davPasswordRow = this._createSecretRow(settings, 'webdav-password', _('Password'));
+        webdavGroup.add(davPasswordRow);
+
+        const davAuthMethods = ['basic', 'digest'];
+        const davAuthRow = new Adw.ComboRow({
+            title: _('Authentication'),
+            subtitle: _('HTTP authentication scheme used by the server'),
+            model: Gtk.StringList.new([_('Basic'), _('Digest')])
+        });
+        davAuthRow.selected = Math.max(0, davAuthMethods.indexOf(settings.get_string('webdav-auth-method')));
+        davAuthRow.connect('notify::selected', () => {
+            settings.set_string('webdav-auth-method', davAuthMethods[davAuthRow.selected] || 'basic');
+        });
+        webdavGroup.add(davAuthRow);
+
+        const davInfoRow = new Adw.ActionRow({
+            title: _('WebDAV Setup'),
+            subtitle: _('Enter the full URL of the folder to sync into, e.g. https://dav.example.com/profiles.\nFor a quick local test server: rclone serve webdav ~/profiles')
+        });
+        webdavGroup.add(davInfoRow);
+
+        // S3-compatible object storage settings group
+        const s3Group = new Adw.PreferencesGroup({
+            title: _('S3 Object Storage'),
+            description: _('Sync to AWS S3 or an S3-compatible service such as MinIO or Garage')
+        });
+        page.add(s3Group);
+
+        const s3Rows = [
+            { key: 's3-endpoint', title: _('Endpoint URL') },
+            { key: 's3-region', title: _('Region') },
+            { key: 's3-bucket', title: _('Bucket') },
+            { key: 's3-prefix', title: _('Key Prefix') },
+            { key: 's3-access-key', title: _('Access Key ID') },
+            { key: 's3-secret-key', title: _('Secret Access Key'), secret: true },
+        ];
+        for (const { key, title, secret } of s3Rows) {
+            if (secret) {
+                s3Group.add(this._createSecretRow(settings, key, title));
+                continue;
+            }
+            const row = new Adw.EntryRow({ title, text: settings.get_string(key) });
+            row.connect('changed', () => {
+                settings.set_string(key, row.text);
+            });
+            s3Group.add(row);
+        }
+
+        const s3InfoRow = new Adw.ActionRow({
+            title: _('S3 Setup'),
+            subtitle: _('Leave the endpoint empty for AWS S3. For MinIO use e.g. http://localhost:9000.\nPath-style addressing is used, so the bucket name is not part of the endpoint.')
+        });
+        s3Group.add(s3InfoRow);
+
+        // Local folder settings group
+        const localFolderGroup = new Adw.PreferencesGroup({
+            title: _('Local Folder'),
+            description: _('Store profiles in a directory kept in sync by Syncthing, a USB drive or an NFS share')
+        });
+        page.add(localFolderGroup);
+
+        const localPathRow = new Adw.EntryRow({
+            title: _('Folder Path'),
+            text: settings.get_string('local-folder-path')
+        });
+        localPathRow.connect('changed', () => {
+            settings.set_string('local-folder-path', localPathRow.text);
+        });
+
+        const localPathButton = new Gtk.Button({
+            icon_name: 'folder-open-symbolic',
+            tooltip_text: _('Choose Folder'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        localPathButton.connect('clicked', () => {
+            const dialog = new Gtk.FileDialog({ title: _('Choose Sync Folder'), modal: true });
+            dialog.select_folder(window, null, (dlg, result) => {
+                try {
+                    const folder = dlg.select_folder_finish(result);
+                    if (folder) {
+                        localPathRow.text = folder.get_path();
+                    }
+                } catch (e) {
+                    // Dismissed by the user
+                }
+            });
+        });
+        localPathRow.add_suffix(localPathButton);
+        localFolderGroup.add(localPathRow);
+
+        const localInfoRow = new Adw.ActionRow({
+            title: _('Local Folder Setup'),
+            subtitle: _('Use the same folder on every machine (e.g. a shared Syncthing folder). Changes are detected by file modification time.')
+        });
+        localFolderGroup.add(localInfoRow);
+
+        // GVfs network location settings group
+        const gvfsGroup = new Adw.PreferencesGroup({
+            title: _('Network Location'),
+            description: _('Store profiles on any location Files can open, such as SFTP, SMB or WebDAV shares')
+        });
+        page.add(gvfsGroup);
+
+        const gvfsUriRow = new Adw.EntryRow({
+            title: _('Location URI'),
+            text: settings.get_string('gvfs-uri')
+        });
+        gvfsUriRow.connect('changed', () => {
+            settings.set_string('gvfs-uri', gvfsUriRow.text);
+        });
+        gvfsGroup.add(gvfsUriRow);
+
+        const gvfsInfoRow = new Adw.ActionRow({
+            title: _('Network Location Setup'),
+            subtitle: _('e.g. sftp://server/home/me/profiles or smb://nas/share/profiles\nConnect once in Files and let it remember the password; SSH keys from the agent are used automatically.')
+        });
+        gvfsGroup.add(gvfsInfoRow);
+
         // Google Drive settings group — only available when GOA typelib is installed
         let gdriveGroup = null;
         const goaAvailable = Goa !== null;
@@ -315,31 +661,103 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
                 subtitle: _('1. Add your Google account in GNOME Settings > Online Accounts\n2. Ensure "Files" is enabled for the account\n3. Select the account above\n\nRequires gir1.2-goa-1.0 or gnome-online-accounts package — see README for install instructions'),
             });
             gdriveGroup.add(gdriveSetupInfoRow);
+        }
 
-            // Add Google Drive to provider ComboRow
-            providerRow.model.append(_('Google Drive'));
+        // Provider ComboRow entries, in display order
+        const providers = [
+            { id: 'github', label: _('GitHub'), group: githubGroup },
+            { id: 'gitlab', label: _('GitLab'), group: gitlabGroup },
+            { id: 'gitea', label: _('Gitea / Forgejo'), group: giteaGroup },
+            { id: 'git', label: _('Git Remote (SSH, file, HTTPS)'), group: gitGroup },
+            { id: 'nextcloud', label: _('Nextcloud (WebDAV)'), group: nextcloudGroup },
+            { id: 'webdav', label: _('WebDAV Server'), group: webdavGroup },
+            { id: 's3', label: _('S3 Object Storage'), group: s3Group },
+            { id: 'localfolder', label: _('Local Folder (Syncthing, USB, NFS)'), group: localFolderGroup },
+            { id: 'gvfs', label: _('Network Location (SFTP, SMB, GVfs)'), group: gvfsGroup },
+        ];
+        if (goaAvailable) {
+            providers.push({ id: 'googledrive', label: _('Google Drive'), group: gdriveGroup });
+        }
+        for (const provider of providers) {
+            providerRow.model.append(provider.label);
         }
 
-        // Show/hide provider groups based on selection
-        const providerValues = goaAvailable
-            ? ['github', 'nextcloud', 'googledrive']
-            : ['github', 'nextcloud'];
+        // Mirror uploads: every enabled provider gets a copy of each upload
+        const mirrorRow = new Adw.ExpanderRow({
+            title: _('Mirror Uploads'),
+            subtitle: _('Also upload every sync to these backends for redundancy. Restores use the primary backend.')
+        });
+        providerGroup.add(mirrorRow);
+
+        const mirrorSwitches = providers.map(provider => {
+            const row = new Adw.SwitchRow({
+                title: provider.label,
+                active: settings.get_strv('mirror-providers').includes(provider.id)
+            });
+            row.connect('notify::active', () => {
+                const mirrors = settings.get_strv('mirror-providers').filter(id => id !== provider.id);
+                if (row.active) {
+                    mirrors.push(provider.id);
+                }
+                settings.set_strv('mirror-providers', mirrors);
+                updateProviderVisibility();
+            });
+            mirrorRow.add_row(row);
+            return row;
+        });
+
+        // Failover: up to two backends tried in order when the primary is unreachable
+        const failoverRow = new Adw.ExpanderRow({
+            title: _('Failover'),
+            subtitle: _('Use these backends when the primary has network errors, rate limits or server errors')
+        });
+        providerGroup.add(failoverRow);
 
+        const fallbackLabels = [_('None'), ...providers.map(p => p.label)];
+        const fallbackRows = [_('First fallback'), _('Second fallback')].map((title, slot) => {
+            const row = new Adw.ComboRow({
+                title,
+                model: Gtk.StringList.new(fallbackLabels),
+            });
+            const configured = settings.get_strv('fallback-providers')[slot];
+            row.selected = Math.max(0, providers.findIndex(p => p.id === configured) + 1);
+            failoverRow.add_row(row);
+            return row;
+        });
+
+        const saveFallbacks = () => {
+            const fallbacks = [];
+            for (const row of fallbackRows) {
+                const provider = providers[row.selected - 1];
+                if (provider && !fallbacks.includes(provider.id)) {
+                    fallbacks.push(provider.id);
+                }
+            }
+            settings.set_strv('fallback-providers', fallbacks);
+            updateProviderVisibility();
+        };
+        for (const row of fallbackRows) {
+            row.connect('notify::selected', saveFallbacks);
+        }
+
+        // Show provider groups for the primary, every mirror and every fallback, since each needs credentials
         const updateProviderVisibility = () => {
-            githubGroup.visible = providerRow.selected === 0;
-            nextcloudGroup.visible = providerRow.selected === 1;
-            if (gdriveGroup)
-                gdriveGroup.visible = providerRow.selected === 2;
+            const fallbacks = settings.get_strv('fallback-providers');
+            providers.forEach((provider, idx) => {
+                const isPrimary = providerRow.selected === idx;
+                provider.group.visible = isPrimary || mirrorSwitches[idx].active || fallbacks.includes(provider.id);
+                mirrorSwitches[idx].sensitive = !isPrimary;
+                mirrorSwitches[idx].subtitle = isPrimary ? _('Primary backend') : '';
+            });
         };
 
         providerRow.connect('notify::selected', () => {
-            settings.set_string('storage-provider', providerValues[providerRow.selected] || 'github');
+            const selected = providers[providerRow.selected];
+            settings.set_string('storage-provider', selected ? selected.id : 'github');
             updateProviderVisibility();
         });
 
-        let currentProviderIdx = currentProvider === 'nextcloud' ? 1
-            : (currentProvider === 'googledrive' && goaAvailable) ? 2
-            : 0;
+        const currentProviderIdx = Math.max(0, providers.findIndex(p => p.id === currentProvider));
         // If user had googledrive selected but GOA is gone, reset to github
         if (currentProvider === 'googledrive' && !goaAvailable) {
             settings.set_string('storage-provider', 'github');
@@ -368,6 +786,8 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         settings.bind('auto-sync-on-logout', logoutSyncRow, 'active', Gio.SettingsBindFlags.DEFAULT);
         sessionGroup.add(logoutSyncRow);
 
+        this._createEncryptionGroup(page, settings);
+
         // Security info group
         const securityGroup = new Adw.PreferencesGroup({
             title: _('Security'),
@@ -377,11 +797,85 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
 
         const securityRow = new Adw.ActionRow({
             title: _('Data Security'),
-            subtitle: _('GitHub: Use private repositories only. Tokens stored via GSettings.\nNextcloud: Use app passwords. Data stored on your own server.\nGoogle Drive: Uses GNOME Online Accounts for secure authentication. Tokens managed by the system.\nAll providers: Only configured files and settings are synced.')
+            subtitle: _('GitHub: Use private repositories only. Tokens stored in the GNOME keyring.\nGitLab: Scope project access tokens to the sync project only.\nGit Remote: No credentials are stored; git uses your SSH agent or credential helper.\nNextcloud: Use app passwords. Data stored on your own server.\nWebDAV: Use HTTPS — Basic auth sends the password with every request.\nS3: Use a key scoped to a single bucket. Requests are signed, never sent with the secret.\nGoogle Drive: Uses GNOME Online Accounts for secure authentication. Tokens managed by the system.\nLocal Folder: Files are stored unencrypted unless encryption is on; protect the folder and whatever syncs it.\nNetwork Location: Passwords stay in the GNOME keyring; prefer sftp:// over unencrypted protocols.\nAll providers: Only configured files and settings are synced.')
         });
         securityGroup.add(securityRow);
     }
     
+    /**
+     * Encryption switch and passphrase. The passphrase goes straight to the
+     * keyring and is never shown again; the extension reads it from there.
+     */
+    _createEncryptionGroup(page, settings) {
+        const encryptionGroup = new Adw.PreferencesGroup({
+            title: _('Encryption'),
+            description: _('Encrypt the config, files and wallpapers on this machine before they are uploaded, so the storage provider only sees file names. Use the same passphrase on every machine; a wrong one is detected before anything is restored.')
+        });
+        page.add(encryptionGroup);
+
+        const gpgAvailable = GLib.find_program_in_path('gpg') !== null;
+        const enabledRow = new Adw.SwitchRow({
+            title: _('Encrypt Uploads'),
+            subtitle: gpgAvailable
+                ? _('AES-256 with an integrity check, using gpg')
+                : _('Needs gpg, which is not installed')
+        });
+        settings.bind('encryption-enabled', enabledRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        encryptionGroup.add(enabledRow);
+
+        const passphraseRow = new Adw.PasswordEntryRow({
+            title: _('Set Passphrase'),
+            show_apply_button: true
+        });
+        encryptionGroup.add(passphraseRow);
+
+        const statusRow = new Adw.ActionRow({
+            title: _('Passphrase in Keyring')
+        });
+        const clearButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Remove the passphrase from the keyring'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        statusRow.add_suffix(clearButton);
+        encryptionGroup.add(statusRow);
+
+        const refreshStatus = async () => {
+            try {
+                const stored = await Keyring.lookup(Keyring.ENCRYPTION_PASSPHRASE);
+                statusRow.subtitle = stored ? _('Stored') : _('Not set');
+                clearButton.visible = !!stored;
+            } catch (e) {
+                statusRow.subtitle = `${_('Keyring unavailable')}: ${e.message}`;
+                clearButton.visible = false;
+            }
+        };
+
+        passphraseRow.connect('apply', async () => {
+            const passphrase = passphraseRow.text;
+            if (!passphrase) {
+                return;
+            }
+            passphraseRow.text = '';
+            try {
+                await Keyring.store(Keyring.ENCRYPTION_PASSPHRASE, _('Gnoming Profiles encryption passphrase'), passphrase);
+            } catch (e) {
+                console.error(`GnomingProfiles prefs: Failed to store passphrase: ${e.message}`);
+            }
+            refreshStatus();
+        });
+        clearButton.connect('clicked', async () => {
+            try {
+                await Keyring.clear(Keyring.ENCRYPTION_PASSPHRASE);
+            } catch (e) {
+                console.error(`GnomingProfiles prefs: Failed to remove passphrase: ${e.message}`);
+            }
+            refreshStatus();
+        });
+        refreshStatus();
+    }
+
     _createSyncTab(window, settings) {
         const page = new Adw.PreferencesPage({
             title: _('Sync'),
@@ -471,6 +965,10 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         };
         pollingEnabledRow.connect('notify::active', updatePollingRowSensitivity);
         updatePollingRowSensitivity();
+
+        this._createProfilesGroup(page, settings);
+
+        this._createSnapshotsGroup(page, settings);
         
         // Performance tips (updated for v2.9 with ETag)
         const tipsGroup = new Adw.PreferencesGroup({
@@ -540,6 +1038,204 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         initGroup.add(initWarningRow);
     }
     
+    /**
+     * Named profiles stored side by side on the remote. Switching only sets
+     * the profile key; the extension saves the current state to the old
+     * profile before restoring the new one.
+     */
+    _createProfilesGroup(page, settings) {
+        const profilesGroup = new Adw.PreferencesGroup({
+            title: _('Profiles'),
+            description: _('Keep several sets of settings and files on one remote, e.g. work, home and presentation. Named profiles are stored under profiles/NAME/; the default profile stays at the top level. Switch from here or from the panel menu.')
+        });
+        page.add(profilesGroup);
+
+        const addRow = new Adw.EntryRow({
+            title: _('Add Profile'),
+            show_apply_button: true
+        });
+        addRow.connect('apply', () => {
+            const name = addRow.text.trim();
+            const profiles = settings.get_strv('profiles');
+            if (!StorageProvider.isValidProfileName(name)) {
+                addRow.add_css_class('error');
+                return;
+            }
+            addRow.remove_css_class('error');
+            addRow.text = '';
+            if (!profiles.includes(name)) {
+                settings.set_strv('profiles', [...profiles, name]);
+            }
+        });
+        addRow.connect('changed', () => {
+            addRow.remove_css_class('error');
+        });
+        profilesGroup.add(addRow);
+
+        let rows = [];
+        const refresh = () => {
+            for (const row of rows) {
+                profilesGroup.remove(row);
+            }
+
+            const active = settings.get_string('profile');
+            const names = ['', ...settings.get_strv('profiles')];
+            if (!names.includes(active)) {
+                names.push(active);
+            }
+            rows = names.map(name => this._createProfileRow(name, name === active, settings));
+            for (const row of rows) {
+                profilesGroup.add(row);
+            }
+        };
+        refresh();
+
+        this._settingsSignalIds.push(
+            settings.connect('changed::profile', refresh),
+            settings.connect('changed::profiles', refresh)
+        );
+    }
+
+    _createProfileRow(name, active, settings) {
+        const row = new Adw.ActionRow({
+            title: name || _('Default'),
+            subtitle: name ? `profiles/${name}/` : _('Top level of the remote'),
+            use_markup: false
+        });
+
+        if (active) {
+            row.add_suffix(new Gtk.Label({ label: _('Active'), css_classes: ['dim-label'] }));
+            return row;
+        }
+
+        const switchButton = new Gtk.Button({
+            label: _('Switch'),
+            valign: Gtk.Align.CENTER
+        });
+        switchButton.connect('clicked', () => {
+            settings.set_string('profile', name);
+        });
+        row.add_suffix(switchButton);
+
+        if (name) {
+            const removeButton = new Gtk.Button({
+                icon_name: 'user-trash-symbolic',
+                tooltip_text: _('Remove from the list (the remote copy is kept)'),
+                valign: Gtk.Align.CENTER,
+                css_classes: ['flat']
+            });
+            removeButton.connect('clicked', () => {
+                settings.set_strv('profiles', settings.get_strv('profiles').filter(profile => profile !== name));
+            });
+            row.add_suffix(removeButton);
+        }
+
+        return row;
+    }
+
+    /**
+     * Snapshots taken before each restore, with undo. Restoring is done by
+     * the extension (requested through restore-snapshot); deleting is safe
+     * to do from here.
+     */
+    _createSnapshotsGroup(page, settings) {
+        const snapshotsGroup = new Adw.PreferencesGroup({
+            title: _('Restore Snapshots'),
+            description: _('Before applying remote settings and files, the local values they replace are saved to ~/.local/share/gnoming-profiles/snapshots. Restore one to undo that sync on this machine; the restored values are uploaded like any local change.')
+        });
+        page.add(snapshotsGroup);
+
+        const retentionRow = new Adw.SpinRow({
+            title: _('Snapshots to Keep'),
+            subtitle: _('Older snapshots are deleted after each restore'),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 100,
+                step_increment: 1,
+                page_increment: 10,
+                value: settings.get_int('snapshot-retention')
+            })
+        });
+        settings.bind('snapshot-retention', retentionRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        snapshotsGroup.add(retentionRow);
+
+        const store = new SnapshotStore();
+        let rows = [];
+        const refresh = () => {
+            for (const row of rows) {
+                snapshotsGroup.remove(row);
+            }
+            rows = [];
+
+            const snapshots = store.list();
+            if (snapshots.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No snapshots'),
+                    subtitle: _('One is taken the next time remote changes are applied here')
+                }));
+            }
+            for (const snapshot of snapshots) {
+                rows.push(this._createSnapshotRow(snapshot, store, settings, refresh));
+            }
+            for (const row of rows) {
+                snapshotsGroup.add(row);
+            }
+        };
+        refresh();
+
+        this._snapshotMonitor = SnapshotStore.getDirectory().monitor_directory(Gio.FileMonitorFlags.NONE, null);
+        this._snapshotMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (!file.get_basename().endsWith('.json')) {
+                return;
+            }
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                eventType === Gio.FileMonitorEvent.DELETED) {
+                refresh();
+            }
+        });
+    }
+
+    _createSnapshotRow(snapshot, store, settings, refresh) {
+        const keys = Object.entries(snapshot.settings || {})
+            .flatMap(([schema, values]) => Object.keys(values).map(key => `${schema} ${key}`));
+        const files = Object.keys(snapshot.files || {});
+
+        const row = new Adw.ExpanderRow({
+            title: new Date(snapshot.timestamp).toLocaleString(),
+            subtitle: _(`${keys.length} settings, ${files.length} files`),
+            use_markup: false
+        });
+
+        for (const subject of [...keys, ...files]) {
+            row.add_row(new Adw.ActionRow({ title: subject, use_markup: false }));
+        }
+
+        const restoreButton = new Gtk.Button({
+            label: _('Restore'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action']
+        });
+        restoreButton.connect('clicked', () => {
+            settings.set_string('restore-snapshot', snapshot.id);
+            row.sensitive = false;
+        });
+        row.add_suffix(restoreButton);
+
+        const deleteButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Delete snapshot'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        deleteButton.connect('clicked', () => {
+            store.delete(snapshot.id);
+            refresh();
+        });
+        row.add_suffix(deleteButton);
+
+        return row;
+    }
+    
     _createContentTab(window, settings) {
         const page = new Adw.PreferencesPage({
             title: _('Content'),
@@ -584,7 +1280,7 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         // GSettings schemas group
         const schemasGroup = new Adw.PreferencesGroup({
             title: _('GSettings Schemas'),
-            description: _('Configure which GSettings schemas to monitor and sync (one per line)')
+            description: _('Configure which GSettings schemas to monitor and sync (one per line). Write SCHEMA:/path/ for a relocatable schema, SCHEMA:/path/*/ for every dconf directory under /path/, or just the path of a known directory')
         });
         page.add(schemasGroup);
         
@@ -649,10 +1345,17 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         });
         schemasGroup.add(ubuntuSchemasRow);
         
+        // Relocatable schemas info
+        const relocatableSchemasRow = new Adw.ActionRow({
+            title: _('⌨️ Keybindings & Terminal Profiles'),
+            subtitle: _('org.gnome.settings-daemon.plugins.media-keys + /org/gnome/settings-daemon/plugins/media-keys/custom-keybindings/ (custom shortcuts)\norg.gnome.Terminal.ProfilesList + /org/gnome/terminal/legacy/profiles:/ (Terminal profiles)\n/org/gnome/Ptyxis/Profiles/ (Ptyxis profiles)')
+        });
+        schemasGroup.add(relocatableSchemasRow);
+        
         // Files to sync group
         const filesGroup = new Adw.PreferencesGroup({
             title: _('Files to Monitor and Sync'),
-            description: _('Configure which files to monitor for changes and sync (one per line, use ~ for home directory)')
+            description: _('Configure which files to monitor for changes and sync (one per line, use ~ for home directory). End a path with / to sync a whole directory, use * and ** globs, and start a line with ! to exclude matches')
         });
         page.add(filesGroup);
         
@@ -699,11 +1402,429 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         // Example files
         const exampleFilesRow = new Adw.ActionRow({
             title: _('📋 Example Files'),
-            subtitle: _('~/.bashrc\n~/.gitconfig\n~/.config/gtk-3.0/settings.ini\n~/.config/Code/User/settings.json')
+            subtitle: _('~/.bashrc\n~/.gitconfig\n~/.config/nvim/\n~/.local/share/applications/*.desktop\n!~/.config/nvim/plugin/\n!*.swp')
         });
         filesGroup.add(exampleFilesRow);
+
+        this._createMachineLocalGroup(page, settings);
+        this._createSecretScanGroup(page, settings);
+    }
+
+    /**
+     * Keys and files that differ per machine. They are still synced, but to
+     * this machine's override layer, which restores apply after the shared
+     * values.
+     */
+    _createMachineLocalGroup(page, settings) {
+        const machineGroup = new Adw.PreferencesGroup({
+            title: _('Machine-local Settings and Files'),
+            description: _('Listed keys and files are kept per machine: this machine uploads them to its own override layer (machines/NAME.json next to config-backup.json) and restores them from it, after the shared values. Other machines keep their own values.')
+        });
+        page.add(machineGroup);
+
+        const nameRow = new Adw.EntryRow({
+            title: _(`Machine Name (empty for the hostname, ${GLib.get_host_name()})`),
+            text: settings.get_string('machine-name')
+        });
+        nameRow.connect('changed', () => {
+            const name = nameRow.text.trim();
+            if (name && !StorageProvider.isValidProfileName(name)) {
+                nameRow.add_css_class('error');
+                return;
+            }
+            nameRow.remove_css_class('error');
+            settings.set_string('machine-name', name);
+        });
+        machineGroup.add(nameRow);
+
+        machineGroup.add(new Adw.ActionRow({
+            title: _('Machine-local Keys'),
+            subtitle: _('One per line as "schema key", e.g. org.gnome.desktop.interface text-scaling-factor')
+        }));
+        machineGroup.add(this._createListRow(settings, 'machine-local-keys'));
+
+        machineGroup.add(new Adw.ActionRow({
+            title: _('Machine-local Files'),
+            subtitle: _('Entries from the synced files list, in the same forms, e.g. ~/.gitconfig')
+        }));
+        machineGroup.add(this._createListRow(settings, 'machine-local-files'));
+    }
+
+    /**
+     * What happens to synced files with credentials in them. The panel menu
+     * lists what the last upload found; allowlisted files are not scanned.
+     */
+    _createSecretScanGroup(page, settings) {
+        const scanGroup = new Adw.PreferencesGroup({
+            title: _('Secret Scanning'),
+            description: _('Synced text files are checked for GitHub and GitLab tokens, AWS keys, private keys and random-looking values assigned to names like TOKEN or PASSWORD before they are uploaded. Findings are listed in the panel menu.')
+        });
+        page.add(scanGroup);
+
+        const modes = ['block', 'redact', 'ask', 'off'];
+        const modeRow = new Adw.ComboRow({
+            title: _('When Secrets Are Found'),
+            subtitle: _('Redacted files reach other machines with placeholders instead of the secrets'),
+            model: Gtk.StringList.new([
+                _('Don\'t upload the file'),
+                _('Upload with secrets replaced'),
+                _('Ask from the panel menu'),
+                _('Upload as it is')
+            ])
+        });
+        modeRow.selected = Math.max(0, modes.indexOf(settings.get_string('secret-scan-mode')));
+        modeRow.connect('notify::selected', () => {
+            settings.set_string('secret-scan-mode', modes[modeRow.selected] || 'block');
+        });
+        scanGroup.add(modeRow);
+
+        scanGroup.add(new Adw.ActionRow({
+            title: _('Allowed Files'),
+            subtitle: _('Uploaded as they are, one per line in the same forms as the synced files list, e.g. ~/.config/rclone/rclone.conf')
+        }));
+        scanGroup.add(this._createListRow(settings, 'secret-scan-allowlist'));
+    }
+
+    /**
+     * Text area editing a string list setting, one entry per line
+     * @param {Gio.Settings} settings
+     * @param {string} key - An "as" key
+     * @returns {Adw.PreferencesRow}
+     */
+    _createListRow(settings, key) {
+        const buffer = new Gtk.TextBuffer();
+        buffer.text = settings.get_strv(key).join('\n');
+        buffer.connect('changed', () => {
+            settings.set_strv(key, buffer.text.split('\n').filter(line => line.trim().length > 0));
+        });
+
+        const view = new Gtk.TextView({
+            buffer,
+            wrap_mode: Gtk.WrapMode.WORD,
+            accepts_tab: false,
+            height_request: ConfigSyncPreferences.TEXT_VIEW_HEIGHT_PX,
+            margin_top: 12,
+            margin_bottom: 12,
+            margin_start: 12,
+            margin_end: 12,
+            css_classes: ['card']
+        });
+
+        return new Adw.PreferencesRow({
+            child: new Gtk.ScrolledWindow({
+                child: view,
+                height_request: ConfigSyncPreferences.TEXT_VIEW_HEIGHT_PX,
+                hscrollbar_policy: Gtk.PolicyType.NEVER,
+                vscrollbar_policy: Gtk.PolicyType.AUTOMATIC,
+                margin_top: 6,
+                margin_bottom: 6,
+                margin_start: 12,
+                margin_end: 12
+            })
+        });
     }
     
+    _createConflictsTab(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('Conflicts'),
+            icon_name: 'dialog-warning-symbolic',
+        });
+        window.add(page);
+
+        const conflictsGroup = new Adw.PreferencesGroup({
+            title: _('Sync Conflicts'),
+            description: _('Settings and files changed on this machine and on another one since the last sync. The extension applies your choice and uploads the result.')
+        });
+        page.add(conflictsGroup);
+
+        // The extension owns the conflict list; follow its file
+        const store = new ConflictStore();
+        let rows = [];
+        const refresh = () => {
+            for (const row of rows) {
+                conflictsGroup.remove(row);
+            }
+            rows = [];
+
+            store.load();
+            const conflicts = store.getAll();
+            if (conflicts.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No conflicts'),
+                    subtitle: _('Everything changed on one side only')
+                }));
+            }
+            for (const conflict of conflicts) {
+                rows.push(this._createConflictRow(conflict, settings));
+            }
+            for (const row of rows) {
+                conflictsGroup.add(row);
+            }
+        };
+        refresh();
+
+        this._conflictMonitor = ConflictStore.getFile().monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._conflictMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                eventType === Gio.FileMonitorEvent.DELETED) {
+                refresh();
+            }
+        });
+    }
+
+    /**
+     * Build the row for one conflict: both values, an editable copy and the
+     * resolution buttons. Choices are queued in conflict-resolutions for the
+     * extension to apply.
+     */
+    _createConflictRow(conflict, settings) {
+        const subject = conflict.type === ConflictStore.TYPE_FILE
+            ? conflict.localPath
+            : `${conflict.schema} ${conflict.key}`;
+        const when = conflict.remoteTimestamp
+            ? new Date(conflict.remoteTimestamp).toLocaleString()
+            : _('an unknown time');
+
+        const row = new Adw.ExpanderRow({
+            title: subject,
+            subtitle: _(`Remote value from ${conflict.remoteMachine || _('another machine')}, ${when}`),
+            use_markup: false
+        });
+
+        // Binary files can only be kept or replaced, so show their size instead
+        const editedBuffer = new Gtk.TextBuffer({ text: conflict.local || '' });
+        if (conflict.binary) {
+            row.add_row(new Adw.ActionRow({
+                title: _('This machine'),
+                subtitle: _(`Binary file, ${conflict.localSize} bytes`)
+            }));
+            row.add_row(new Adw.ActionRow({
+                title: _('Remote'),
+                subtitle: _(`Binary file, ${conflict.remoteSize} bytes`)
+            }));
+        } else {
+            row.add_row(this._createConflictValueRow(_('This machine'), new Gtk.TextBuffer({ text: conflict.local || '' }), false));
+            row.add_row(this._createConflictValueRow(_('Remote'), new Gtk.TextBuffer({ text: conflict.remote || '' }), false));
+            row.add_row(this._createConflictValueRow(_('Edited value'), editedBuffer, true));
+        }
+
+        const queueResolution = (choice, value = null) => {
+            const queued = settings.get_strv('conflict-resolutions');
+            queued.push(JSON.stringify({ id: conflict.id, choice, value }));
+            settings.set_strv('conflict-resolutions', queued);
+            row.sensitive = false;
+        };
+
+        const buttonBox = new Gtk.Box({
+            orientation: Gtk.Orientation.HORIZONTAL,
+            spacing: 6,
+            halign: Gtk.Align.END,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 12,
+            margin_end: 12
+        });
+
+        const keepButton = new Gtk.Button({ label: _('Keep Mine') });
+        keepButton.connect('clicked', () => queueResolution(ConflictStore.RESOLVE_LOCAL));
+        buttonBox.append(keepButton);
+
+        const takeButton = new Gtk.Button({ label: _('Take Theirs') });
+        takeButton.connect('clicked', () => queueResolution(ConflictStore.RESOLVE_REMOTE));
+        buttonBox.append(takeButton);
+
+        if (!conflict.binary) {
+            const editButton = new Gtk.Button({ label: _('Use Edited'), css_classes: ['suggested-action'] });
+            editButton.connect('clicked', () => queueResolution(ConflictStore.RESOLVE_EDIT, editedBuffer.text));
+            buttonBox.append(editButton);
+        }
+
+        row.add_row(new Adw.PreferencesRow({ child: buttonBox, activatable: false }));
+        return row;
+    }
+
+    _createConflictValueRow(title, buffer, editable) {
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 6,
+            margin_top: 6,
+            margin_bottom: 6,
+            margin_start: 12,
+            margin_end: 12
+        });
+        box.append(new Gtk.Label({ label: title, xalign: 0, css_classes: ['heading'] }));
+        box.append(new Gtk.ScrolledWindow({
+            child: new Gtk.TextView({
+                buffer,
+                editable,
+                monospace: true,
+                wrap_mode: Gtk.WrapMode.WORD_CHAR,
+                css_classes: ['card']
+            }),
+            height_request: ConfigSyncPreferences.TEXT_VIEW_HEIGHT_PX,
+            hscrollbar_policy: Gtk.PolicyType.NEVER,
+            vscrollbar_policy: Gtk.PolicyType.AUTOMATIC
+        }));
+
+        return new Adw.PreferencesRow({ child: box, activatable: false });
+    }
+
+    /**
+     * Earlier versions of the remote profile, loaded by the extension on
+     * request through history-request. Restores are requested the same way;
+     * the extension reports back through the history store.
+     */
+    _createHistoryTab(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: _('History'),
+            icon_name: 'document-open-recent-symbolic',
+        });
+        window.add(page);
+
+        const historyGroup = new Adw.PreferencesGroup({
+            title: _('Version History'),
+            description: _('Earlier versions of the synced profile, with the machine that uploaded each one and what it changed. Restore the whole profile, one setting or one file from any of them; a restore snapshot is taken first and the result is uploaded. Available with GitHub, GitLab, Gitea, Git, Nextcloud and Google Drive.')
+        });
+        page.add(historyGroup);
+
+        const request = (action, extra = {}) => {
+            settings.set_string('history-request', JSON.stringify({ action, ...extra }));
+        };
+
+        const loadButton = new Gtk.Button({
+            label: _('Load'),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['suggested-action']
+        });
+        loadButton.connect('clicked', () => request('list'));
+        historyGroup.set_header_suffix(loadButton);
+
+        // The extension owns the history; follow its file
+        const store = new HistoryStore();
+        let rows = [];
+        const refresh = () => {
+            for (const row of rows) {
+                historyGroup.remove(row);
+            }
+            rows = [];
+
+            store.load();
+            const { provider, loading, error, status, revisions, profile } = store.state;
+            // Revisions are only listed for the profile they were loaded for
+            const loaded = provider !== null && profile === settings.get_string('profile');
+            loadButton.label = loaded ? _('Refresh') : _('Load');
+            loadButton.sensitive = !loading;
+
+            if (loading) {
+                rows.push(new Adw.ActionRow({ title: _('Working…'), subtitle: _('The extension is reading the history') }));
+            } else if (error) {
+                rows.push(new Adw.ActionRow({ title: _('History failed'), subtitle: error, use_markup: false }));
+            } else if (status) {
+                rows.push(new Adw.ActionRow({ title: _('Restore finished'), subtitle: status, use_markup: false }));
+            }
+
+            if (!loaded) {
+                if (!loading) {
+                    rows.push(new Adw.ActionRow({
+                        title: _('No history loaded'),
+                        subtitle: _('Load it to see the versions of the active profile')
+                    }));
+                }
+            } else if (revisions.length === 0) {
+                rows.push(new Adw.ActionRow({
+                    title: _('No earlier versions'),
+                    subtitle: _('Nothing has been uploaded to this profile yet')
+                }));
+            } else {
+                for (const revision of revisions) {
+                    rows.push(this._createRevisionRow(revision, request));
+                }
+            }
+
+            for (const row of rows) {
+                historyGroup.add(row);
+            }
+        };
+        refresh();
+
+        this._historyMonitor = HistoryStore.getFile().monitor_file(Gio.FileMonitorFlags.NONE, null);
+        this._historyMonitor.connect('changed', (monitor, file, otherFile, eventType) => {
+            if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                eventType === Gio.FileMonitorEvent.DELETED) {
+                refresh();
+            }
+        });
+        this._settingsSignalIds.push(settings.connect('changed::profile', refresh));
+    }
+
+    /**
+     * Build the row for one revision: when and where it was uploaded, what
+     * it changed, and restore buttons for all of it or each key and file
+     */
+    _createRevisionRow(revision, request) {
+        const { id, timestamp } = revision;
+        const restore = (target, widget) => {
+            request('restore', { revision: { id, timestamp }, target });
+            widget.sensitive = false;
+        };
+
+        const subtitle = revision.initial
+            ? _(`${revision.machine || _('Unknown machine')}, oldest version loaded`)
+            : _(`${revision.machine || _('Unknown machine')}, ${revision.settings.length} settings and ${revision.files.length} files changed`);
+        const row = new Adw.ExpanderRow({
+            title: new Date(timestamp).toLocaleString(),
+            subtitle,
+            use_markup: false
+        });
+
+        const restoreAllButton = new Gtk.Button({
+            label: _('Restore All'),
+            tooltip_text: _('Restore every setting and file as of this version'),
+            valign: Gtk.Align.CENTER
+        });
+        restoreAllButton.connect('clicked', () => restore(null, row));
+        row.add_suffix(restoreAllButton);
+
+        const shorten = value => {
+            if (value === undefined) return _('(not set)');
+            return value.length > ConfigSyncPreferences.HISTORY_VALUE_MAX_CHARS
+                ? `${value.slice(0, ConfigSyncPreferences.HISTORY_VALUE_MAX_CHARS)}…`
+                : value;
+        };
+
+        for (const change of revision.settings) {
+            const changeRow = new Adw.ActionRow({
+                title: `${change.schema} ${change.key}`,
+                subtitle: `${shorten(change.old)} → ${shorten(change.new)}`,
+                use_markup: false
+            });
+            // A key the version removed has no value to restore
+            if (change.new !== undefined) {
+                const button = new Gtk.Button({ label: _('Restore'), valign: Gtk.Align.CENTER });
+                button.connect('clicked', () => restore({ schema: change.schema, key: change.key }, changeRow));
+                changeRow.add_suffix(button);
+            }
+            row.add_row(changeRow);
+        }
+
+        const changeLabels = { added: _('Added'), changed: _('Changed'), removed: _('Removed') };
+        for (const change of revision.files) {
+            const changeRow = new Adw.ActionRow({
+                title: change.localPath,
+                subtitle: changeLabels[change.change] || change.change,
+                use_markup: false
+            });
+            if (change.change !== 'removed') {
+                const button = new Gtk.Button({ label: _('Restore'), valign: Gtk.Align.CENTER });
+                button.connect('clicked', () => restore({ path: change.path }, changeRow));
+                changeRow.add_suffix(button);
+            }
+            row.add_row(changeRow);
+        }
+
+        return row;
+    }
+
     _createHelpTab(window, settings) {
         const page = new Adw.PreferencesPage({
             title: _('Help'),
@@ -783,7 +1904,7 @@ export default class ConfigSyncPreferences extends ExtensionPreferences {
         
         const repoStructureRow = new Adw.ActionRow({
             title: _('📂 Repository Structure'),
-            subtitle: _('config-backup.json - Main GSettings backup\nfiles/ - Your configuration files\nwallpapers/ - Wallpaper images (if enabled)')
+            subtitle: _('config-backup.json - Main GSettings backup\nfiles/ - Your configuration files\nwallpapers/ - Wallpaper images (if enabled)\nmachines/NAME.json - Per-machine overrides (machine-local keys and files)\nprofiles/NAME/ - The same layout for each named profile')
         });
         repoGroup.add(repoStructureRow);
         